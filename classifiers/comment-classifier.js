@@ -0,0 +1,129 @@
+// Comment classifier: warning signs in a video's top comments
+// Looks for strangers trying to contact viewers privately, links to off-platform chats, and other
+// viewers warning that the video isn't meant for kids.
+
+// Someone trying to start private contact with viewers (grooming patterns)
+const CONTACT_PATTERNS = [
+  /\b(dm|pm|message|text|msg) me\b/i,
+  /\bhow old (are|r) (you|u)\b/i,
+  /\bwhat'?s your (age|snap|number|insta|discord)\b/i,
+  /\bsend (me )?(a )?(pics?|pictures?|photos?|selfies?)\b/i,
+  /\b(add|hit) me up\b|\badd me on\b/i,
+  /\b(are|r) (you|u) (a )?(boy|girl|alone)\b/i,
+  /\b(any|lonely) (girls|boys|kids) (here|wanna|want to)\b/i,
+  /\bdon'?t tell (your|ur) (parents|mom|mum|dad)\b/i,
+  /\bour (little )?secret\b/i,
+];
+
+// Invites and handles that move the conversation somewhere parents can't see
+const OFF_PLATFORM_PATTERNS = [
+  /discord(app)?\.(gg|com\/invite)\/\w+/i,
+  /\bt\.me\/\w+/i,
+  /chat\.whatsapp\.com\/\w+/i,
+  /\b(join|add me on|find me on|talk on|chat on|my) (discord|snap(chat)?|telegram|whatsapp|kik|insta(gram)?|wickr|session)\b/i,
+  /\b(snap|snapchat|kik|telegram|insta|discord)\s*(:|-|is)\s*@?[\w.]{3,}/i,
+];
+
+// Other viewers warning about the video
+const WARNING_PATTERNS = [
+  /\b(not|isn'?t|is not) (for|appropriate for|suitable for|ok for|okay for) (kids|children|little ones)\b/i,
+  /\b(parents|moms|mums|dads),? (beware|be careful|watch out|please)\b/i,
+  /\bdon'?t (let|show) (your )?(kids|children|little ones)\b/i,
+  /\b(reported|reporting|report) (this|the) (video|channel)\b/i,
+  /\bthis (video|channel|is) (is )?(so )?(inappropriate|disturbing|creepy|sick)\b/i,
+  /\b(trigger warning|tw:)/i,
+  /\belsagate\b/i,
+];
+
+const MAX_EXAMPLE_LENGTH = 120;
+
+/**
+ * Comments whose text matches any of the patterns
+ * @returns {Array<Object>} Matching comments
+ */
+function matching(comments, patterns) {
+  return comments.filter(comment => patterns.some(pattern => pattern.test(comment.text || '')));
+}
+
+/**
+ * Confidence grows with the number of matching comments
+ */
+function confidenceFor(count) {
+  return Math.min(0.95, 0.5 + 0.15 * count);
+}
+
+function describe(comments) {
+  return {
+    commentIds: comments.map(c => c.id),
+    example: (comments[0].text || '').replace(/\s+/g, ' ').slice(0, MAX_EXAMPLE_LENGTH),
+  };
+}
+
+/**
+ * Classify a video from its top comments
+ * @param {Object} video - Video details object
+ * @param {Object} options
+ * @param {Array<{id: string, text: string}>} options.comments - The video's comments
+ * @returns {Promise<Object>} Classification result (see classifiers/README.md)
+ */
+export async function classify(video, options = {}) {
+  const comments = options.comments || [];
+
+  if (comments.length === 0) {
+    return {
+      videoId: video.id,
+      classifierName: 'comments',
+      skipped: true,
+      reason: 'No comments fetched',
+    };
+  }
+
+  const contact = matching(comments, CONTACT_PATTERNS);
+  const offPlatform = matching(comments, OFF_PLATFORM_PATTERNS);
+  const warnings = matching(comments, WARNING_PATTERNS);
+  const flags = [];
+
+  if (contact.length > 0) {
+    flags.push({
+      type: 'PREDATORY_CONTACT',
+      severity: 'HIGH',
+      message: `${contact.length} comment${contact.length === 1 ? '' : 's'} trying to contact viewers privately`,
+      confidence: confidenceFor(contact.length),
+      evidence: describe(contact),
+    });
+  }
+
+  if (offPlatform.length > 0) {
+    // An invite to a private chat next to a contact attempt is the pattern to worry about most
+    const withContact = offPlatform.some(c => contact.includes(c));
+    flags.push({
+      type: 'OFF_PLATFORM_LINK',
+      severity: withContact ? 'HIGH' : 'MEDIUM',
+      message: `${offPlatform.length} comment${offPlatform.length === 1 ? '' : 's'} linking to off-platform chats (Discord, Snapchat, Telegram...)`,
+      confidence: confidenceFor(offPlatform.length),
+      evidence: describe(offPlatform),
+    });
+  }
+
+  if (warnings.length > 0) {
+    flags.push({
+      type: 'VIEWER_WARNING',
+      severity: warnings.length >= 2 ? 'MEDIUM' : 'LOW',
+      message: `${warnings.length} viewer${warnings.length === 1 ? '' : 's'} warning that the video is inappropriate`,
+      confidence: confidenceFor(warnings.length),
+      evidence: describe(warnings),
+    });
+  }
+
+  return {
+    videoId: video.id,
+    classifierName: 'comments',
+    result: {
+      commentsChecked: comments.length,
+      contactAttempts: contact.length,
+      offPlatformLinks: offPlatform.length,
+      viewerWarnings: warnings.length,
+    },
+    flags,
+  };
+}
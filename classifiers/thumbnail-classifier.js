@@ -0,0 +1,183 @@
+// Thumbnail classifier: scores a video's thumbnail with local ONNX image models (CPU only)
+// Needs the optional onnxruntime-node package and ffmpeg (to decode and resize the image).
+import fs from 'fs';
+import {spawn} from 'child_process';
+
+// onnxruntime module and one inference session per model file, loaded on first use
+let ort;
+const sessions = new Map();
+
+/**
+ * Load onnxruntime-node, which is an optional dependency
+ * @returns {Promise<Object>} onnxruntime module
+ * @throws {Error} If the package isn't installed
+ */
+async function loadRuntime() {
+  if (!ort) {
+    try {
+      ort = await import('onnxruntime-node');
+    } catch {
+      throw new Error('onnxruntime-node is not installed (run "npm install onnxruntime-node")');
+    }
+  }
+  return ort;
+}
+
+/**
+ * Whether onnxruntime-node is installed, so callers can skip work before scoring
+ * @returns {Promise<boolean>}
+ */
+export async function isRuntimeAvailable() {
+  try {
+    await loadRuntime();
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+async function getSession(model) {
+  if (!sessions.has(model.path)) {
+    const runtime = await loadRuntime();
+    sessions.set(model.path, await runtime.InferenceSession.create(model.path, {executionProviders: ['cpu']}));
+  }
+  return sessions.get(model.path);
+}
+
+/**
+ * Decode an image and resize it to size x size RGB pixels with ffmpeg
+ * @param {string} imagePath - Image file
+ * @param {number} size - Width and height in pixels
+ * @returns {Promise<Buffer>} size * size * 3 bytes (RGB)
+ */
+function decodeImage(imagePath, size) {
+  return new Promise((resolve, reject) => {
+    const ffmpeg = spawn('ffmpeg', [
+      '-v', 'error',
+      '-i', imagePath,
+      '-vf', `scale=${size}:${size}`,
+      '-frames:v', '1',
+      '-f', 'rawvideo',
+      '-pix_fmt', 'rgb24',
+      '-',
+    ]);
+
+    const chunks = [];
+    let stderr = '';
+
+    ffmpeg.stdout.on('data', (data) => chunks.push(data));
+    ffmpeg.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+
+    ffmpeg.on('close', (code) => {
+      const pixels = Buffer.concat(chunks);
+      if (code !== 0 || pixels.length !== size * size * 3) {
+        reject(new Error(`ffmpeg could not decode ${imagePath}: ${stderr.trim() || `exit code ${code}`}`));
+        return;
+      }
+      resolve(pixels);
+    });
+
+    ffmpeg.on('error', (error) => {
+      reject(new Error(`Failed to spawn ffmpeg: ${error.message}`));
+    });
+  });
+}
+
+/**
+ * Turn RGB bytes into a normalized float tensor in the model's layout
+ * @returns {{data: Float32Array, dims: number[]}}
+ */
+function toTensorData(pixels, model) {
+  const size = model.inputSize;
+  const mean = model.mean || [0, 0, 0];
+  const std = model.std || [1, 1, 1];
+  const scale = model.scale || 255;
+  const data = new Float32Array(size * size * 3);
+
+  for (let i = 0; i < size * size; i++) {
+    for (let c = 0; c < 3; c++) {
+      const value = (pixels[i * 3 + c] / scale - mean[c]) / std[c];
+      const index = model.layout === 'NCHW' ? c * size * size + i : i * 3 + c;
+      data[index] = value;
+    }
+  }
+
+  const dims = model.layout === 'NCHW' ? [1, 3, size, size] : [1, size, size, 3];
+  return {data, dims};
+}
+
+function softmax(values) {
+  const max = Math.max(...values);
+  const exps = values.map(v => Math.exp(v - max));
+  const sum = exps.reduce((a, b) => a + b, 0);
+  return exps.map(v => v / sum);
+}
+
+/**
+ * Score an image with one model
+ * @returns {Promise<Object>} Map of label -> score (0-1)
+ */
+async function scoreImage(pixels, model) {
+  const runtime = await loadRuntime();
+  const session = await getSession(model);
+  const {data, dims} = toTensorData(pixels, model);
+
+  const output = await session.run({[session.inputNames[0]]: new runtime.Tensor('float32', data, dims)});
+  const raw = Array.from(output[session.outputNames[0]].data);
+  const probabilities = model.softmax ? softmax(raw) : raw;
+
+  return Object.fromEntries(model.labels.map((label, i) => [label, Math.round((probabilities[i] ?? 0) * 1000) / 1000]));
+}
+
+/**
+ * Classify a video from its thumbnail
+ * @param {Object} video - Video details object
+ * @param {Object} options
+ * @param {string} options.imagePath - Downloaded thumbnail
+ * @param {Array<Object>} options.models - Model configs (config/thumbnail-models.json) with a resolved "path"
+ * @returns {Promise<Object>} Classification result (see classifiers/README.md)
+ */
+export async function classify(video, options = {}) {
+  const {imagePath, models = []} = options;
+
+  if (!imagePath || !fs.existsSync(imagePath)) {
+    return {
+      videoId: video.id,
+      classifierName: 'thumbnail',
+      skipped: true,
+      reason: 'No thumbnail downloaded',
+    };
+  }
+
+  const scores = {};
+  const flagsByType = {};
+
+  for (const model of models) {
+    const pixels = await decodeImage(imagePath, model.inputSize);
+    scores[model.name] = await scoreImage(pixels, model);
+
+    // Several labels can raise the same flag type (e.g. porn and hentai): keep the highest score
+    Object.entries(model.flags || {}).forEach(([label, rule]) => {
+      const score = scores[model.name][label] ?? 0;
+      if (score < rule.threshold) return;
+      if (flagsByType[rule.type] && flagsByType[rule.type].confidence >= score) return;
+
+      flagsByType[rule.type] = {
+        type: rule.type,
+        severity: rule.severity,
+        message: `Thumbnail looks like ${rule.description || label} (${Math.round(score * 100)}% ${model.name})`,
+        confidence: score,
+        evidence: {model: model.name, label, score},
+      };
+    });
+  }
+
+  return {
+    videoId: video.id,
+    classifierName: 'thumbnail',
+    result: {scores},
+    flags: Object.values(flagsByType),
+  };
+}
@@ -2,6 +2,8 @@ export default {
   schema: './src/db/schema.js',
   out: './src/db/migrations',
   dialect: 'sqlite',
+  // caption_cues_fts (and its shadow tables) is created by a custom migration
+  tablesFilter: ['!caption_cues_fts*'],
   dbCredentials: {
     url: './data/guardian.db',
   },
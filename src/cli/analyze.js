@@ -3,10 +3,15 @@
 // Content analysis: AI analysis + reporting
 import 'dotenv/config';
 import readline from 'readline';
+import {parseArgs} from 'util';
 import {db, videos} from '../db/index.js';
 import {areCaptionsDownloaded} from '../lib/caption-downloader.js';
 import {analyzeAllVideos} from '../lib/ai-analyzer.js';
+import {analyzeSearches} from '../lib/search-analyzer.js';
 import {generateReport} from '../lib/report-generator.js';
+import {getProfile} from '../lib/profiles.js';
+import {getMusicVideoIds} from '../lib/content-type.js';
+import {transcribeAllVideos} from '../lib/transcriber.js';
 
 function askConfirmation(question) {
   const rl = readline.createInterface({
@@ -38,20 +43,33 @@ async function main() {
     process.exit(1);
   }
 
-  // Parse optional limit argument
-  const limitArg = process.argv[2];
+  // Parse optional limit argument, --profile (used for the report) and --exclude-music
+  const {values: options, positionals} = parseArgs({
+    options: {
+      profile: {type: 'string', short: 'p'},
+      'exclude-music': {type: 'boolean', default: false},
+    },
+    allowPositionals: true,
+  });
+  const limitArg = positionals[0];
   const limit = limitArg ? parseInt(limitArg, 10) : null;
 
   if (limitArg && (isNaN(limit) || limit <= 0)) {
     console.error('❌ Error: Limit must be a positive number\n');
-    console.log('Usage: npm run analyze [limit]\n');
+    console.log('Usage: npm run analyze -- [limit] [--profile <name>]\n');
     console.log('Examples:');
-    console.log('  npm run analyze     # Analyze all videos');
-    console.log('  npm run analyze 3   # Analyze only 3 videos\n');
+    console.log('  npm run analyze                     # Analyze all videos');
+    console.log('  npm run analyze 3                   # Analyze only 3 videos');
+    console.log('  npm run analyze -- --profile alice  # Report on Alice\'s history');
+    console.log('  npm run analyze -- --exclude-music  # Skip music videos\n');
     process.exit(1);
   }
 
   try {
+    if (options.profile) {
+      await getProfile(options.profile);
+    }
+
     // Get all videos
     const allVideos = await db.select().from(videos);
 
@@ -61,8 +79,12 @@ async function main() {
       process.exit(1);
     }
 
+    // Transcribe downloaded videos that have no captions, so they can be analyzed too
+    const musicIds = options['exclude-music'] ? await getMusicVideoIds() : new Set();
+    await transcribeAllVideos(allVideos.map(v => v.id).filter(id => !musicIds.has(id)));
+
     // Count videos with captions
-    const withCaptions = allVideos.filter(v => areCaptionsDownloaded(v.id));
+    const withCaptions = allVideos.filter(v => areCaptionsDownloaded(v.id) && !musicIds.has(v.id));
 
     if (withCaptions.length === 0) {
       console.log('❌ No videos have captions');
@@ -74,6 +96,9 @@ async function main() {
     if (limit) {
       console.log(`Limit: ${limit} videos`);
     }
+    if (options['exclude-music']) {
+      console.log(`Excluding ${musicIds.size} music videos`);
+    }
     console.log(`Model: gpt-4o-mini`);
 
     // Estimate cost (~$0.0002 per video)
@@ -91,7 +116,7 @@ async function main() {
 
     // Run AI analysis
     console.log('\nAnalyzing videos with AI...\n');
-    const results = await analyzeAllVideos(limit);
+    const results = await analyzeAllVideos(limit, {excludeMusic: options['exclude-music']});
 
     // Display summary
     console.log('\n' + '='.repeat(60));
@@ -99,6 +124,9 @@ async function main() {
     console.log(`  ✓ Analyzed: ${results.analyzed} videos`);
     console.log(`  ⊘ Skipped: ${results.skipped} videos (already analyzed)`);
     console.log(`  ✗ Failed: ${results.failed} videos`);
+    if (results.heldBack > 0) {
+      console.log(`    (${results.heldBack} failed in earlier runs; retry with "npm run jobs -- retry-failed")`);
+    }
 
     if (results.errors.length > 0) {
       console.log('\nErrors:');
@@ -115,8 +143,19 @@ async function main() {
       console.log('Tags and risk assessments stored in database.\n');
     }
 
+    // Classify search history (blocklist + AI)
+    console.log('\nAnalyzing search history...');
+    const searchResults = await analyzeSearches();
+
+    if (searchResults.analyzed > 0 || searchResults.failed > 0) {
+      console.log('\nSearch Analysis Summary:');
+      console.log(`  ✓ Analyzed: ${searchResults.analyzed} queries`);
+      console.log(`  ⚠ Concerning: ${searchResults.concerning} queries`);
+      console.log(`  ✗ Failed: ${searchResults.failed} queries\n`);
+    }
+
     // Auto-generate report
-    await generateReport();
+    await generateReport({profile: options.profile || null});
 
   } catch (error) {
     console.error('\n❌ Error:', error.message);
@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+
+// Check a single video or playlist link before letting a child watch it
+import 'dotenv/config';
+import {parseArgs} from 'util';
+import {checkUrl} from '../lib/url-check.js';
+import {colorize} from '../lib/report-generator.js';
+
+const VERDICT_COLORS = {BLOCK: 'red', REVIEW: 'yellow', OK: 'green'};
+const VERDICT_ICONS = {BLOCK: '⛔', REVIEW: '⚠️ ', OK: '✅'};
+
+function printUsage() {
+  console.log('Usage: npm run check -- <url> [--max <n>] [--skip-ai] [--profile <name>]\n');
+  console.log('Examples:');
+  console.log('  npm run check -- https://www.youtube.com/watch?v=dQw4w9WgXcQ');
+  console.log('  npm run check -- https://youtu.be/dQw4w9WgXcQ --skip-ai      # Metadata and captions only');
+  console.log('  npm run check -- "https://www.youtube.com/playlist?list=PL..." --max 10');
+  console.log('  npm run check -- https://youtu.be/dQw4w9WgXcQ --profile alice  # Captions in Alice\'s languages\n');
+}
+
+async function main() {
+  console.log('╔════════════════════════════════════════════════════════════════╗');
+  console.log('║               🛡️  YOUTUBE GUARDIAN - CHECK 🛡️                 ║');
+  console.log('║                Vet a Video or Playlist Link                   ║');
+  console.log('╚════════════════════════════════════════════════════════════════╝\n');
+
+  const {values: options, positionals} = parseArgs({
+    options: {
+      max: {type: 'string', default: '25'},
+      'skip-ai': {type: 'boolean', default: false},
+      profile: {type: 'string', short: 'p'},
+    },
+    allowPositionals: true,
+  });
+
+  const [url] = positionals;
+  if (!url) {
+    printUsage();
+    process.exit(1);
+  }
+
+  const maxVideos = parseInt(options.max, 10);
+  if (isNaN(maxVideos) || maxVideos <= 0 || maxVideos > 50) {
+    console.error('❌ Error: --max must be a number from 1 to 50\n');
+    printUsage();
+    process.exit(1);
+  }
+
+  let analyze = !options['skip-ai'];
+  if (analyze && !process.env.OPENAI_API_KEY) {
+    console.log('⚠️  OPENAI_API_KEY not set, skipping AI analysis (verdict uses metadata only)\n');
+    analyze = false;
+  }
+
+  try {
+    const check = await checkUrl(url, {maxVideos, analyze, profile: options.profile || null});
+
+    console.log('\n' + '='.repeat(60) + '\n');
+    check.results.forEach(result => {
+      const color = VERDICT_COLORS[result.verdict];
+      console.log(`${VERDICT_ICONS[result.verdict]} ${colorize(result.verdict, color)}  ${result.title || result.videoId}`);
+      if (result.channelTitle) {
+        console.log(colorize(`   ${result.channelTitle} - https://youtu.be/${result.videoId}`, 'gray'));
+      }
+      result.reasons.forEach(reason => {
+        console.log(`   ${colorize('•', VERDICT_COLORS[reason.verdict])} ${reason.message}`);
+      });
+      console.log();
+    });
+
+    const count = check.results.length;
+    const label = check.kind === 'playlist' ? `Playlist (${count} video${count === 1 ? '' : 's'})` : 'Video';
+    console.log(colorize(`Verdict: ${label} - ${check.verdict}`, 'bold'));
+    console.log(colorize(`Saved as check #${check.id}`, 'gray') + '\n');
+  } catch (error) {
+    console.error('\n❌ Error:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+}
+
+main();
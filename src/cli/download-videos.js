@@ -52,6 +52,7 @@ async function main() {
     if (results.success > 0) {
       console.log('✅ Download complete!');
       console.log(`\nVideos saved to: data/videos/`);
+      console.log('Videos without captions are transcribed locally by "npm run analyze" (see README)');
       console.log(`Use "npm run cleanup-videos" to delete when done\n`);
     } else {
       console.log('❌ No videos were downloaded');
@@ -1,77 +1,280 @@
 #!/usr/bin/env node
 
-// Ingest metadata: Parse watch history, fetch YouTube data, download captions
+// Ingest metadata: Parse watch and search history, fetch YouTube data, download captions
 import 'dotenv/config';
 import path from 'path';
 import {fileURLToPath} from 'url';
-import fs from 'fs';
-import {db, watchHistory, videos} from '../db/index.js';
+import {parseArgs} from 'util';
+import {db, withTransaction, watchHistory, searchHistory, subscriptions, playlists, playlistItems, videos, ingestRuns} from '../db/index.js';
+import {and, eq, desc, isNotNull, inArray} from 'drizzle-orm';
 import {analyzeVideos} from '../lib/video-analyzer.js';
 import {analyzeChannels} from '../lib/channel-analyzer.js';
 import {downloadAllCaptions} from '../lib/caption-downloader.js';
+import {importAllCaptionCues} from '../lib/caption-cues.js';
+import {streamHistoryExport, parseSubscriptionsCsv, parsePlaylistCsvs} from '../lib/takeout-parser.js';
+import {openTakeoutSource} from '../lib/takeout-source.js';
+import {classifyWatchEntry} from '../lib/content-type.js';
+import {getOrCreateProfile, resolveCaptionLanguages, DEFAULT_PROFILE} from '../lib/profiles.js';
+import {normalizeQuery} from '../lib/search-analyzer.js';
+import {buildSessions} from '../lib/session-analyzer.js';
+import {cacheCategories} from '../lib/categories.js';
+import {fetchComments, analyzeComments} from '../lib/comment-analyzer.js';
+import {analyzeThumbnails} from '../lib/thumbnail-analyzer.js';
+import {getMetadataProvider} from '../lib/metadata-providers/index.js';
 
 const PROJECT_ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '..');
 const DATA = path.join(PROJECT_ROOT, 'data');
-const WATCH_HISTORY_FILE = path.join(DATA, 'watch-history.json');
 
-async function parseWatchHistory() {
-  console.log('📋 Parsing watch history...\n');
+// History entries per multi-row INSERT
+const INSERT_BATCH_SIZE = 500;
 
-  if (!fs.existsSync(WATCH_HISTORY_FILE)) {
-    console.error('❌ watch-history.json not found at:', WATCH_HISTORY_FILE);
-    console.log('\nPlease export your YouTube watch history from Google Takeout');
-    console.log('and place it at data/watch-history.json\n');
+// Print progress every this many history entries
+const PROGRESS_INTERVAL = 10000;
+
+function openTakeout(takeoutPath) {
+  let takeout;
+  try {
+    takeout = openTakeoutSource(takeoutPath);
+  } catch (error) {
+    console.error(`❌ ${error.message}\n`);
     process.exit(1);
   }
 
-  const rawData = JSON.parse(fs.readFileSync(WATCH_HISTORY_FILE, 'utf-8'));
+  if (!takeout.watchHistory) {
+    console.error('❌ Watch history not found in:', takeout.label);
+    if (takeout.type === 'zip') {
+      console.log('\nThe archive has a YouTube section but no history/watch-history file.');
+      console.log('In Google Takeout, make sure "history" is included in the YouTube data options\n');
+    } else {
+      console.log('\nPlease export your YouTube watch history from Google Takeout and either pass');
+      console.log('the Takeout .zip with --takeout, or place the file at data/watch-history.json');
+      console.log('(or data/watch-history.html)\n');
+    }
+    process.exit(1);
+  }
+
+  return takeout;
+}
+
+function describeSource(takeout, file) {
+  return takeout.type === 'zip' ? file.name : path.relative(PROJECT_ROOT, path.resolve(file.name));
+}
+
+async function parseWatchHistory(profile, takeout, run, lastRun) {
+  console.log(`📋 Parsing watch history for profile "${profile}"...\n`);
+  console.log(`  Source: ${describeSource(takeout, takeout.watchHistory)}`);
+
+  if (lastRun) {
+    console.log(`  Last import: ${lastRun.completedAt.toLocaleString()} (${lastRun.newEntries} new entries)`);
+  }
+  console.log();
 
   let totalEntries = 0;
   let videoEntries = 0;
+  let newEntries = 0;
   let adEntries = 0;
   let gameEntries = 0;
+  let musicEntries = 0;
+  const newVideoIds = new Set();
+  let firstNewWatch = null;
+  let lastNewWatch = null;
+  let batch = [];
 
-  for (const entry of rawData) {
-    totalEntries++;
+  // Insert a batch of entries (entries from earlier imports hit the unique index and are skipped)
+  const flush = () => {
+    if (batch.length === 0) return;
 
-    // Skip entries without titleUrl (incomplete data)
-    if (!entry.titleUrl) continue;
+    const inserted = db.insert(watchHistory).values(batch).onConflictDoNothing()
+      .returning({videoId: watchHistory.videoId, watchedAt: watchHistory.watchedAt})
+      .all();
 
-    // Filter out ads
-    if (entry.titleUrl.includes('googleadservices.com')) {
-      adEntries++;
-      continue;
-    }
+    newEntries += inserted.length;
+    inserted.forEach(({videoId, watchedAt}) => {
+      newVideoIds.add(videoId);
+      if (!firstNewWatch || watchedAt < firstNewWatch) firstNewWatch = watchedAt;
+      if (!lastNewWatch || watchedAt > lastNewWatch) lastNewWatch = watchedAt;
+    });
+    batch = [];
+  };
 
-    // Filter out games
-    if (entry.titleUrl.includes('/games/')) {
-      gameEntries++;
-      continue;
-    }
+  // Stream entries into the database in one transaction
+  await withTransaction(async () => {
+    for await (const entry of streamHistoryExport(takeout.watchHistory)) {
+      totalEntries++;
+      if (totalEntries % PROGRESS_INTERVAL === 0) {
+        console.log(`  ... ${totalEntries} entries read (${videoEntries} videos)`);
+      }
 
-    // Extract video ID from URL
-    const match = entry.titleUrl.match(/[?&]v=([^&]+)/);
-    if (!match) continue;
+      // Skip entries without titleUrl or time (incomplete data)
+      if (!entry.titleUrl || !entry.time) continue;
 
-    const videoId = match[1];
+      // Filter out ads
+      if (entry.titleUrl.includes('googleadservices.com')) {
+        adEntries++;
+        continue;
+      }
 
-    // Store in database
-    await db.insert(watchHistory).values({
-      videoId,
-      title: entry.title,
-      watchedAt: entry.time,
-      channel: entry.subtitles?.[0]?.name
-    }).onConflictDoNothing();
+      // Filter out games
+      if (entry.titleUrl.includes('/games/')) {
+        gameEntries++;
+        continue;
+      }
 
-    videoEntries++;
-  }
+      // Extract video ID from URL
+      const match = entry.titleUrl.match(/[?&]v=([^&]+)/);
+      if (!match) continue;
+
+      const contentType = classifyWatchEntry(entry);
+
+      batch.push({
+        profile,
+        videoId: match[1],
+        title: entry.title,
+        watchedAt: entry.time,
+        channel: entry.subtitles?.[0]?.name,
+        contentType,
+        ingestRunId: run.id
+      });
+
+      videoEntries++;
+      if (contentType === 'music') musicEntries++;
+
+      if (batch.length >= INSERT_BATCH_SIZE) flush();
+    }
+    flush();
+
+    db.update(ingestRuns).set({
+      totalEntries,
+      newEntries,
+      duplicateEntries: videoEntries - newEntries,
+      adsFiltered: adEntries,
+      gamesFiltered: gameEntries
+    }).where(eq(ingestRuns.id, run.id)).run();
+  });
+
+  if (totalEntries >= PROGRESS_INTERVAL) console.log();
 
   console.log(`  Total entries: ${totalEntries}`);
   console.log(`  Videos: ${videoEntries}`);
+  console.log(`  YouTube Music plays: ${musicEntries}`);
   console.log(`  Ads filtered: ${adEntries}`);
   console.log(`  Games filtered: ${gameEntries}\n`);
 
-  return videoEntries;
+  console.log(lastRun ? '  Since last import:' : '  First import:');
+  console.log(`    New watch entries: ${newEntries} (${newVideoIds.size} unique videos)`);
+  console.log(`    Already imported: ${videoEntries - newEntries}`);
+  if (firstNewWatch) {
+    console.log(`    Watched between: ${new Date(firstNewWatch).toLocaleString()} - ${new Date(lastNewWatch).toLocaleString()}`);
+  }
+  console.log();
+
+  return newEntries;
+}
+
+async function parseSearchHistory(profile, takeout, run) {
+  console.log(`🔎 Parsing search history for profile "${profile}"...\n`);
+
+  if (!takeout.searchHistory) {
+    console.log('  No search history found in export, skipping\n');
+    return 0;
+  }
+
+  console.log(`  Source: ${describeSource(takeout, takeout.searchHistory)}\n`);
+
+  let totalEntries = 0;
+  let searchEntries = 0;
+  let newEntries = 0;
+  let batch = [];
+
+  const flush = () => {
+    if (batch.length === 0) return;
+    newEntries += db.insert(searchHistory).values(batch).onConflictDoNothing()
+      .returning({id: searchHistory.id})
+      .all().length;
+    batch = [];
+  };
+
+  await withTransaction(async () => {
+    for await (const entry of streamHistoryExport(takeout.searchHistory)) {
+      totalEntries++;
+      if (totalEntries % PROGRESS_INTERVAL === 0) {
+        console.log(`  ... ${totalEntries} entries read`);
+      }
+
+      if (!entry.titleUrl || !entry.time) continue;
+
+      // Search text is in the results URL (the title is "Searched for ..." in the export language)
+      let query;
+      try {
+        query = new URL(entry.titleUrl).searchParams.get('search_query');
+      } catch {
+        continue;
+      }
+      if (!query || !query.trim()) continue;
+
+      batch.push({
+        profile,
+        query: normalizeQuery(query),
+        searchedAt: entry.time,
+        ingestRunId: run.id
+      });
+
+      searchEntries++;
+      if (batch.length >= INSERT_BATCH_SIZE) flush();
+    }
+    flush();
+
+    db.update(ingestRuns).set({newSearches: newEntries}).where(eq(ingestRuns.id, run.id)).run();
+  });
+
+  if (totalEntries >= PROGRESS_INTERVAL) console.log();
+
+  console.log(`  Total entries: ${totalEntries}`);
+  console.log(`  Searches: ${searchEntries}`);
+  console.log(`  New since last import: ${newEntries}\n`);
+
+  return newEntries;
+}
+
+async function importSubscriptionsAndPlaylists(profile, takeout) {
+  console.log(`📌 Importing subscriptions and playlists for profile "${profile}"...\n`);
+
+  // Both are snapshots of the account, so each import replaces the previous one
+  if (takeout.subscriptions) {
+    const channelList = parseSubscriptionsCsv(takeout.subscriptions.read());
+
+    await db.delete(subscriptions).where(eq(subscriptions.profile, profile));
+    for (const channel of channelList) {
+      await db.insert(subscriptions).values({profile, ...channel}).onConflictDoNothing();
+    }
+
+    console.log(`  Subscriptions: ${channelList.length} channels`);
+  } else {
+    console.log('  No subscriptions found in export, skipping');
+  }
+
+  if (takeout.playlists.length > 0) {
+    const playlistList = parsePlaylistCsvs(takeout.playlists.map(f => ({name: f.name, content: f.read()})));
+
+    const oldPlaylists = db.select({id: playlists.id}).from(playlists).where(eq(playlists.profile, profile));
+    await db.delete(playlistItems).where(inArray(playlistItems.playlistId, oldPlaylists));
+    await db.delete(playlists).where(eq(playlists.profile, profile));
+
+    let itemCount = 0;
+    for (const {videos: items, ...playlist} of playlistList) {
+      const [row] = await db.insert(playlists).values({profile, ...playlist}).returning();
+      for (const item of items) {
+        await db.insert(playlistItems).values({playlistId: row.id, ...item});
+      }
+      itemCount += items.length;
+    }
+
+    console.log(`  Playlists: ${playlistList.length} (${itemCount} videos)`);
+  } else {
+    console.log('  No playlists found in export, skipping');
+  }
+
+  console.log();
 }
 
 async function main() {
@@ -80,16 +283,25 @@ async function main() {
   console.log('║                Metadata Collection Pipeline                   ║');
   console.log('╚════════════════════════════════════════════════════════════════╝\n');
 
-  // Parse optional limit argument
-  const limitArg = process.argv[2];
+  // Parse optional limit argument, --profile and --takeout options
+  const {values: options, positionals} = parseArgs({
+    options: {
+      profile: {type: 'string', short: 'p', default: DEFAULT_PROFILE},
+      takeout: {type: 'string', short: 't', default: DATA},
+    },
+    allowPositionals: true,
+  });
+  const limitArg = positionals[0];
   const limit = limitArg ? parseInt(limitArg, 10) : null;
 
   if (limitArg && (isNaN(limit) || limit <= 0)) {
     console.error('❌ Error: Limit must be a positive number\n');
-    console.log('Usage: npm run ingest [limit]\n');
+    console.log('Usage: npm run ingest -- [limit] [--profile <name>] [--takeout <zip|dir|file>]\n');
     console.log('Examples:');
-    console.log('  npm run ingest     # Ingest all videos');
-    console.log('  npm run ingest 5   # Ingest only 5 videos\n');
+    console.log('  npm run ingest                                # Ingest all videos');
+    console.log('  npm run ingest 5                              # Ingest only 5 videos');
+    console.log('  npm run ingest -- --profile alice             # Tag history as Alice\'s');
+    console.log('  npm run ingest -- --takeout ~/takeout-001.zip # Read straight from the Takeout zip\n');
     process.exit(1);
   }
 
@@ -98,20 +310,48 @@ async function main() {
   }
 
   try {
+    const profile = await getOrCreateProfile(options.profile);
+    const takeout = openTakeout(options.takeout);
+
+    const [lastRun] = await db.select().from(ingestRuns)
+      .where(and(eq(ingestRuns.profile, profile.name), isNotNull(ingestRuns.completedAt)))
+      .orderBy(desc(ingestRuns.id))
+      .limit(1);
+    const [run] = await db.insert(ingestRuns).values({
+      profile: profile.name,
+      source: describeSource(takeout, takeout.watchHistory)
+    }).returning();
+
     // Step 1: Parse watch history
-    console.log('Step 1/4: Parsing watch history...\n');
-    await parseWatchHistory();
+    console.log('Step 1/9: Parsing watch history...\n');
+    await parseWatchHistory(profile.name, takeout, run, lastRun);
+
+    // Step 2: Parse search history
+    console.log('Step 2/9: Parsing search history...\n');
+    await parseSearchHistory(profile.name, takeout, run);
+
+    // Step 3: Import subscriptions and playlists
+    console.log('Step 3/9: Importing subscriptions and playlists...\n');
+    await importSubscriptionsAndPlaylists(profile.name, takeout);
 
-    // Step 2: Fetch video metadata from YouTube API
-    console.log('Step 2/4: Fetching video metadata...\n');
+    await db.update(ingestRuns).set({completedAt: new Date()}).where(eq(ingestRuns.id, run.id));
+
+    // Step 4: Fetch video metadata from YouTube API
+    console.log('Step 4/9: Fetching video metadata...\n');
     await analyzeVideos(limit);
+    await cacheCategories(getMetadataProvider());
+
+    // Step 5: Rebuild viewing sessions (needs video durations)
+    console.log('\nStep 5/9: Building viewing sessions...\n');
+    const sessionStats = await buildSessions(profile);
+    console.log(`✓ ${sessionStats.sessions} viewing sessions (${sessionStats.lateNight} late-night, ${sessionStats.timezone})`);
 
-    // Step 3: Analyze channels
-    console.log('\nStep 3/4: Analyzing channels...\n');
+    // Step 6: Analyze channels
+    console.log('\nStep 6/9: Analyzing channels...\n');
     await analyzeChannels();
 
-    // Step 4: Download captions
-    console.log('\nStep 4/4: Downloading captions...\n');
+    // Step 7: Download captions
+    console.log('\nStep 7/9: Downloading captions...\n');
     const allVideos = await db.select().from(videos);
     let videoIds = allVideos.map(v => v.id);
 
@@ -120,7 +360,18 @@ async function main() {
       videoIds = videoIds.slice(0, limit);
     }
 
-    const results = await downloadAllCaptions(videoIds);
+    const results = await downloadAllCaptions(videoIds, {languages: resolveCaptionLanguages(profile)});
+    const cueStats = await importAllCaptionCues();
+    console.log(`✓ Indexed ${cueStats.cues} caption cues from ${cueStats.files} files for "npm run search"`);
+
+    // Step 8: Fetch top comments and check them for warning signs
+    console.log('\nStep 8/9: Fetching and checking comments...\n');
+    await fetchComments(limit);
+    await analyzeComments();
+
+    // Step 9: Download thumbnails and score them with the local image models
+    console.log('\nStep 9/9: Downloading and scoring thumbnails...\n');
+    await analyzeThumbnails(limit);
 
     console.log('\n' + '='.repeat(60));
     console.log('\n✅ Metadata ingestion complete!');
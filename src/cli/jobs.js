@@ -0,0 +1,131 @@
+#!/usr/bin/env node
+
+// Show the caption, video download and AI analysis job queue, and retry failed jobs
+import 'dotenv/config';
+import {parseArgs} from 'util';
+import {getJobStatus, getFailedJobs, retryFailedJobs, STAGES} from '../lib/job-queue.js';
+import {downloadAllCaptions} from '../lib/caption-downloader.js';
+import {downloadAllVideos} from '../lib/video-downloader.js';
+import {analyzeAllVideos} from '../lib/ai-analyzer.js';
+import {resolveCaptionLanguages} from '../lib/profiles.js';
+
+const USAGE = `Usage: npm run jobs -- [status|retry-failed] [--stage ${Object.keys(STAGES).join('|')}]\n`;
+
+/**
+ * Print job counts per stage and the most recent failures
+ */
+async function printStatus(stage) {
+  const status = (await getJobStatus()).filter(s => !stage || s.stage === stage);
+
+  console.log(`${'Stage'.padEnd(20)} ${'Pending'.padStart(8)} ${'Running'.padStart(8)} ${'Done'.padStart(8)} ${'Skipped'.padStart(8)} ${'Failed'.padStart(8)}`);
+  status.forEach(s => {
+    const counts = [s.pending, s.running, s.done, s.skipped, s.failed].map(n => String(n).padStart(8)).join(' ');
+    console.log(`${s.label.padEnd(20)} ${counts}`);
+  });
+  console.log();
+
+  if (status.some(s => s.running > 0)) {
+    console.log('Running jobs with no run in progress were interrupted; they resume on the next run.\n');
+  }
+
+  const failed = await getFailedJobs({stage});
+  if (failed.length === 0) {
+    console.log('✓ No failed jobs\n');
+    return;
+  }
+
+  console.log('Recent failures:');
+  failed.forEach(job => {
+    console.log(`  ✗ ${job.stage.padEnd(8)} ${job.videoId} - ${job.lastError} (${job.attempts} attempts)`);
+  });
+  console.log('\nRetry them with: npm run jobs -- retry-failed\n');
+}
+
+/**
+ * Queue failed jobs again and run them
+ */
+async function retryFailed(stage) {
+  if ((!stage || stage === 'analysis') && !process.env.OPENAI_API_KEY) {
+    const failed = await getFailedJobs({stage: 'analysis', limit: 1});
+    if (failed.length > 0) {
+      console.error('❌ Error: OPENAI_API_KEY environment variable not set (needed to retry AI analysis)\n');
+      console.log('Retry the other stages with: npm run jobs -- retry-failed --stage captions\n');
+      process.exit(1);
+    }
+  }
+
+  const retried = await retryFailedJobs(stage);
+  const stages = Object.keys(retried);
+
+  if (stages.length === 0) {
+    console.log('✓ No failed jobs to retry\n');
+    return;
+  }
+
+  stages.forEach(s => {
+    console.log(`↻ ${STAGES[s].label}: ${retried[s].length} jobs queued again`);
+  });
+
+  if (retried.captions) {
+    // In the languages each job was queued with (the profile's caption languages)
+    const byLanguages = new Map();
+    retried.captions.forEach(({videoId, options}) => {
+      const languages = options?.languages || resolveCaptionLanguages();
+      const key = languages.join(',');
+      if (!byLanguages.has(key)) byLanguages.set(key, {languages, videoIds: []});
+      byLanguages.get(key).videoIds.push(videoId);
+    });
+    for (const {languages, videoIds} of byLanguages.values()) {
+      await downloadAllCaptions(videoIds, {languages});
+    }
+  }
+  if (retried.video) {
+    await downloadAllVideos(retried.video.map(job => job.videoId));
+  }
+  if (retried.analysis) {
+    const results = await analyzeAllVideos(null, {videoIds: retried.analysis.map(job => job.videoId)});
+    console.log(`\n  ✓ Analyzed: ${results.analyzed} videos`);
+    console.log(`  ✗ Failed: ${results.failed} videos\n`);
+  }
+
+  console.log('✅ Retry complete. Check the queue with: npm run jobs\n');
+}
+
+async function main() {
+  console.log('╔════════════════════════════════════════════════════════════════╗');
+  console.log('║               🛡️  YOUTUBE GUARDIAN - JOBS 🛡️                  ║');
+  console.log('║          Caption, Download and Analysis Job Queue             ║');
+  console.log('╚════════════════════════════════════════════════════════════════╝\n');
+
+  const {values: options, positionals} = parseArgs({
+    options: {
+      stage: {type: 'string', short: 's'},
+    },
+    allowPositionals: true,
+  });
+  const [command = 'status'] = positionals;
+
+  if (options.stage && !STAGES[options.stage]) {
+    console.error(`❌ Error: Unknown stage "${options.stage}"\n`);
+    console.log(USAGE);
+    process.exit(1);
+  }
+
+  try {
+    if (command === 'status') {
+      await printStatus(options.stage || null);
+    } else if (command === 'retry-failed') {
+      await retryFailed(options.stage || null);
+    } else {
+      console.error(`❌ Error: Unknown command "${command}"\n`);
+      console.log(USAGE);
+      process.exit(1);
+    }
+  } catch (error) {
+    console.error('\n❌ Error:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+
+// Pre-screen: analyze new uploads of watched and subscribed channels before they're watched
+import 'dotenv/config';
+import {parseArgs} from 'util';
+import {prescreenChannels} from '../lib/prescreen.js';
+import {generateComingUp} from '../lib/report-generator.js';
+import {getProfile} from '../lib/profiles.js';
+
+function printUsage() {
+  console.log('Usage: npm run prescreen -- [--profile <name>] [--channels <n>] [--per-channel <n>] [--days <n>] [--skip-ai]\n');
+  console.log('Examples:');
+  console.log('  npm run prescreen                      # 20 most watched channels + subscriptions, last 30 days');
+  console.log('  npm run prescreen -- --profile alice    # Alice\'s channels only');
+  console.log('  npm run prescreen -- --per-channel 10   # Look at the 10 newest uploads per channel');
+  console.log('  npm run prescreen -- --skip-ai          # Only list uploads and download captions\n');
+}
+
+function parsePositive(value, name) {
+  const number = parseInt(value, 10);
+  if (isNaN(number) || number <= 0) {
+    console.error(`❌ Error: --${name} must be a positive number\n`);
+    printUsage();
+    process.exit(1);
+  }
+  return number;
+}
+
+async function main() {
+  console.log('╔════════════════════════════════════════════════════════════════╗');
+  console.log('║             🛡️  YOUTUBE GUARDIAN - PRESCREEN 🛡️               ║');
+  console.log('║              New Uploads on Watched Channels                  ║');
+  console.log('╚════════════════════════════════════════════════════════════════╝\n');
+
+  const {values: options} = parseArgs({
+    options: {
+      profile: {type: 'string', short: 'p'},
+      channels: {type: 'string', default: '20'},
+      'per-channel': {type: 'string', default: '5'},
+      days: {type: 'string', default: '30'},
+      'skip-ai': {type: 'boolean', default: false},
+    },
+  });
+
+  const maxChannels = parsePositive(options.channels, 'channels');
+  const perChannel = parsePositive(options['per-channel'], 'per-channel');
+  const maxAgeDays = parsePositive(options.days, 'days');
+
+  let analyze = !options['skip-ai'];
+  if (analyze && !process.env.OPENAI_API_KEY) {
+    console.log('⚠️  OPENAI_API_KEY not set, skipping AI analysis (uploads are listed and captioned only)\n');
+    analyze = false;
+  }
+
+  try {
+    if (options.profile) {
+      await getProfile(options.profile);
+    }
+
+    const results = await prescreenChannels({profile: options.profile || null, maxChannels, perChannel, maxAgeDays, analyze});
+
+    console.log('='.repeat(60));
+    console.log('\nPre-screen Summary:');
+    console.log(`  Channels checked: ${results.channels}`);
+    console.log(`  New uploads found: ${results.uploads} (${results.fetched} fetched)`);
+    console.log(`  Captions downloaded: ${results.captions}`);
+    console.log(`  Analyzed: ${results.analyzed}${results.failed ? ` (${results.failed} failed)` : ''}\n`);
+
+    await generateComingUp(options.profile || null, Infinity, maxAgeDays);
+  } catch (error) {
+    console.error('\n❌ Error:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+}
+
+main();
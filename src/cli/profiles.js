@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+
+// List, add or configure child profiles
+import 'dotenv/config';
+import {parseArgs} from 'util';
+import {getOrCreateProfile, listProfiles, setProfileTimezone, setProfileCaptionLanguages, resolveTimezone, resolveCaptionLanguages} from '../lib/profiles.js';
+
+const USAGE = 'Usage: npm run profiles -- [list|add <name>|set <name> [--timezone <IANA timezone>] [--languages <codes>]]\n';
+
+async function main() {
+  const {values: options, positionals} = parseArgs({
+    options: {
+      timezone: {type: 'string'},
+      languages: {type: 'string'},
+    },
+    allowPositionals: true,
+  });
+  const [command = 'list', name] = positionals;
+
+  try {
+    if (command === 'add') {
+      if (!name) {
+        console.error('❌ Error: Profile name required\n');
+        console.log('Usage: npm run profiles -- add <name>\n');
+        process.exit(1);
+      }
+      const profile = await getOrCreateProfile(name);
+      console.log(`✓ Profile "${profile.name}" ready`);
+      console.log(`  Ingest history with: npm run ingest -- --profile ${profile.name}\n`);
+      return;
+    }
+
+    if (command === 'set') {
+      if (!name || (options.timezone === undefined && options.languages === undefined)) {
+        console.error('❌ Error: Profile name and --timezone or --languages required\n');
+        console.log('Usage: npm run profiles -- set <name> --timezone America/Los_Angeles');
+        console.log('       npm run profiles -- set <name> --languages es,pt,en   # Caption languages by preference\n');
+        process.exit(1);
+      }
+      if (options.timezone !== undefined) {
+        const profile = await setProfileTimezone(name, options.timezone);
+        console.log(`✓ Profile "${profile.name}" timezone set to ${profile.timezone}`);
+        console.log('  Sessions are rebuilt in this timezone on the next "npm run ingest"');
+      }
+      if (options.languages !== undefined) {
+        const profile = await setProfileCaptionLanguages(name, options.languages);
+        console.log(`✓ Profile "${profile.name}" caption languages set to ${resolveCaptionLanguages(profile).join(', ')}`);
+        console.log('  Captions in these languages are downloaded on the next "npm run ingest"');
+      }
+      console.log();
+      return;
+    }
+
+    if (command !== 'list') {
+      console.error(`❌ Error: Unknown command "${command}"\n`);
+      console.log(USAGE);
+      process.exit(1);
+    }
+
+    const allProfiles = await listProfiles();
+
+    if (allProfiles.length === 0) {
+      console.log('No profiles yet. Run "npm run ingest" to create the default profile\n');
+      return;
+    }
+
+    console.log('Profiles:');
+    allProfiles.forEach(p => {
+      const timezone = p.timezone || `${resolveTimezone()} (default)`;
+      const languages = p.captionLanguages?.length > 0 ? p.captionLanguages.join(', ') : `${resolveCaptionLanguages().join(', ')} (default)`;
+      console.log(`  ${p.name.padEnd(20)} ${String(p.watchCount).padStart(6)} watch history entries   ${timezone}   captions: ${languages}`);
+    });
+    console.log();
+  } catch (error) {
+    console.error('\n❌ Error:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,37 @@
+#!/usr/bin/env node
+
+// Show today's YouTube Data API quota spend and what's left of the daily budget
+import 'dotenv/config';
+import {getQuotaUsage, QUOTA_TIMEZONE} from '../lib/quota.js';
+
+async function main() {
+  try {
+    const usage = await getQuotaUsage();
+
+    console.log(`YouTube API quota for ${usage.day} (resets at midnight ${QUOTA_TIMEZONE})\n`);
+
+    if (usage.endpoints.length === 0) {
+      console.log('  No API requests yet today');
+    } else {
+      usage.endpoints.forEach(e => {
+        console.log(`  ${e.endpoint.padEnd(22)} ${String(e.requests).padStart(6)} requests ${String(e.units).padStart(8)} units`);
+      });
+    }
+
+    const percent = Math.round((usage.used / usage.budget) * 100);
+    console.log();
+    console.log(`  Used:      ${usage.used} units (${percent}% of budget)`);
+    console.log(`  Budget:    ${usage.budget} units (set YOUTUBE_QUOTA_BUDGET to change)`);
+    console.log(`  Remaining: ${usage.remaining} units\n`);
+
+    if (usage.remaining === 0) {
+      console.log('⚠️  Budget reached: fetching resumes after the quota resets\n');
+    }
+  } catch (error) {
+    console.error('\n❌ Error:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+}
+
+main();
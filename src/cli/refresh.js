@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+
+// Metadata refresh: re-fetch stale videos and channels and record what changed
+import 'dotenv/config';
+import {parseArgs} from 'util';
+import {refreshMetadata, parseAge} from '../lib/metadata-refresh.js';
+
+function printUsage() {
+  console.log('Usage: npm run refresh -- [limit] [--older-than <age>]\n');
+  console.log('Examples:');
+  console.log('  npm run refresh                        # Refresh rows fetched more than 30 days ago');
+  console.log('  npm run refresh -- --older-than 7d     # ...more than 7 days ago (h, d or w)');
+  console.log('  npm run refresh -- 100                 # At most 100 videos and 100 channels\n');
+}
+
+async function main() {
+  console.log('╔════════════════════════════════════════════════════════════════╗');
+  console.log('║              🛡️  YOUTUBE GUARDIAN - REFRESH 🛡️                ║');
+  console.log('║                   Metadata Change Tracking                    ║');
+  console.log('╚════════════════════════════════════════════════════════════════╝\n');
+
+  const {values: options, positionals} = parseArgs({
+    options: {
+      'older-than': {type: 'string', default: '30d'},
+    },
+    allowPositionals: true,
+  });
+  const limitArg = positionals[0];
+  const limit = limitArg ? parseInt(limitArg, 10) : null;
+  const olderThanMs = parseAge(options['older-than']);
+
+  if ((limitArg && (isNaN(limit) || limit <= 0)) || !olderThanMs) {
+    console.error('❌ Error: Limit must be a positive number and --older-than an age like 30d\n');
+    printUsage();
+    process.exit(1);
+  }
+
+  console.log(`Refreshing metadata fetched more than ${options['older-than']} ago\n`);
+
+  try {
+    const results = await refreshMetadata({olderThanMs, limit});
+
+    console.log('\n' + '='.repeat(60));
+    console.log('\n✅ Refresh complete!\n');
+    console.log(`  Videos refreshed: ${results.videos.refreshed} (${results.videos.changed} changed, ${results.videos.unavailable} no longer available)`);
+    console.log(`  Channels refreshed: ${results.channels.refreshed} (${results.channels.changed} changed, ${results.channels.unavailable} no longer available)\n`);
+    console.log('Changes are listed in the report: npm run report\n');
+  } catch (error) {
+    console.error('\n❌ Error:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+}
+
+main();
@@ -2,11 +2,22 @@
 
 // Display report from existing AI analysis data
 import 'dotenv/config';
+import {parseArgs} from 'util';
 import {generateReport} from '../lib/report-generator.js';
+import {getProfile} from '../lib/profiles.js';
 
 async function main() {
   try {
-    await generateReport();
+    // Optional --profile to report on a single child's history
+    const {values: options} = parseArgs({
+      options: {profile: {type: 'string', short: 'p'}},
+    });
+
+    if (options.profile) {
+      await getProfile(options.profile);
+    }
+
+    await generateReport({profile: options.profile || null});
   } catch (error) {
     console.error('\n❌ Error:', error.message);
     console.error(error.stack);
@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+
+// Search downloaded captions for a word or phrase
+import 'dotenv/config';
+import {parseArgs} from 'util';
+import {importAllCaptionCues, searchCaptions, isSearchablePhrase} from '../lib/caption-cues.js';
+import {colorize} from '../lib/report-generator.js';
+import {getProfile} from '../lib/profiles.js';
+
+function printUsage() {
+  console.log('Usage: npm run search -- "<phrase>" [--profile <name>] [--limit <n>]\n');
+  console.log('Examples:');
+  console.log('  npm run search -- "kill yourself"           # Every downloaded caption');
+  console.log('  npm run search -- skibidi --profile alice    # Only videos Alice watched');
+  console.log('  npm run search -- "no lo digas" --limit 10   # Any caption language\n');
+}
+
+/**
+ * Format a cue offset as m:ss or h:mm:ss
+ */
+function formatTimestamp(ms) {
+  const totalSeconds = Math.floor(ms / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}` : `${minutes}:${seconds}`;
+}
+
+async function main() {
+  console.log('╔════════════════════════════════════════════════════════════════╗');
+  console.log('║              🛡️  YOUTUBE GUARDIAN - SEARCH 🛡️                 ║');
+  console.log('║                   Search Video Captions                       ║');
+  console.log('╚════════════════════════════════════════════════════════════════╝\n');
+
+  const {values: options, positionals} = parseArgs({
+    options: {
+      profile: {type: 'string', short: 'p'},
+      limit: {type: 'string', default: '50'},
+    },
+    allowPositionals: true,
+  });
+
+  const phrase = positionals.join(' ').trim();
+  if (!phrase) {
+    printUsage();
+    process.exit(1);
+  }
+  if (!isSearchablePhrase(phrase)) {
+    console.error('❌ Error: The phrase needs at least one letter or digit\n');
+    printUsage();
+    process.exit(1);
+  }
+
+  const limit = parseInt(options.limit, 10);
+  if (isNaN(limit) || limit <= 0) {
+    console.error('❌ Error: --limit must be a positive number\n');
+    printUsage();
+    process.exit(1);
+  }
+
+  try {
+    if (options.profile) {
+      await getProfile(options.profile);
+    }
+
+    // Pick up captions downloaded since the last search or ingest
+    const imported = await importAllCaptionCues();
+    if (imported.files > 0) {
+      console.log(`✓ Indexed ${imported.cues} caption cues from ${imported.files} new files\n`);
+    }
+
+    const results = await searchCaptions(phrase, {profile: options.profile || null, limit});
+
+    if (results.length === 0) {
+      console.log(`No captions mention "${phrase}"${options.profile ? ` in ${options.profile}'s videos` : ''}\n`);
+      return;
+    }
+
+    const matchCount = results.reduce((sum, video) => sum + video.matches.length, 0);
+    console.log(colorize(`"${phrase}" found ${matchCount} time(s) in ${results.length} video(s):\n`, 'bold'));
+
+    results.forEach(video => {
+      console.log(colorize(video.title || video.videoId, 'bold'));
+      if (video.channelTitle) {
+        console.log(colorize(`  ${video.channelTitle}`, 'gray'));
+      }
+      video.matches.forEach(match => {
+        const text = match.text.replace(/\*\*(.+?)\*\*/g, (_, words) => colorize(words, 'yellow'));
+        console.log(`  ${formatTimestamp(match.startMs).padStart(7)}  ${text}`);
+        console.log(colorize(`           ${match.url}`, 'gray'));
+      });
+      console.log();
+    });
+  } catch (error) {
+    console.error('\n❌ Error:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+}
+
+main();
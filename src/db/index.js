@@ -5,7 +5,8 @@ import path from 'path';
 import {fileURLToPath} from 'url';
 
 const PROJECT_ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '..');
-const DB_PATH = path.join(PROJECT_ROOT, 'data', 'guardian.db');
+// DATABASE_PATH points tests at another file (or :memory:)
+const DB_PATH = process.env.DATABASE_PATH || path.join(PROJECT_ROOT, 'data', 'guardian.db');
 
 // Create SQLite connection
 const sqlite = new Database(DB_PATH);
@@ -16,5 +17,24 @@ sqlite.pragma('journal_mode = WAL');
 // Create Drizzle instance
 export const db = drizzle(sqlite, {schema});
 
+/**
+ * Run an async function inside a single SQLite transaction
+ * better-sqlite3's own transactions must be synchronous; this allows awaiting (e.g. a streamed
+ * file) between statements. Use synchronous drizzle calls (.run(), .all()) inside.
+ * @param {Function} fn - Async function to run
+ * @returns {Promise<*>} Result of fn
+ */
+export async function withTransaction(fn) {
+  sqlite.exec('BEGIN');
+  try {
+    const result = await fn();
+    sqlite.exec('COMMIT');
+    return result;
+  } catch (error) {
+    if (sqlite.inTransaction) sqlite.exec('ROLLBACK');
+    throw error;
+  }
+}
+
 // Export schema for use in queries
 export * from './schema.js';
@@ -0,0 +1,34 @@
+CREATE TABLE `ai_analysis` (
+	`video_id` text PRIMARY KEY NOT NULL,
+	`risk_level` text,
+	`summary` text,
+	`reasoning` text,
+	`content_flags` text,
+	`flagged_severity` text,
+	`model` text,
+	`analyzed_at` integer DEFAULT (unixepoch())
+);
+--> statement-breakpoint
+CREATE TABLE `profiles` (
+	`name` text PRIMARY KEY NOT NULL,
+	`created_at` integer DEFAULT (unixepoch())
+);
+--> statement-breakpoint
+CREATE TABLE `tags` (
+	`id` integer PRIMARY KEY AUTOINCREMENT NOT NULL,
+	`name` text NOT NULL,
+	`created_at` integer DEFAULT (unixepoch())
+);
+--> statement-breakpoint
+CREATE UNIQUE INDEX `tags_name_unique` ON `tags` (`name`);--> statement-breakpoint
+CREATE TABLE `video_tags` (
+	`id` integer PRIMARY KEY AUTOINCREMENT NOT NULL,
+	`video_id` text NOT NULL,
+	`tag_id` integer NOT NULL,
+	`created_at` integer DEFAULT (unixepoch())
+);
+--> statement-breakpoint
+DROP TABLE `classification_flags`;--> statement-breakpoint
+DROP TABLE `classifications`;--> statement-breakpoint
+ALTER TABLE `videos` ADD `self_declared_made_for_kids` integer;--> statement-breakpoint
+ALTER TABLE `watch_history` ADD `profile` text DEFAULT 'default' NOT NULL;
\ No newline at end of file
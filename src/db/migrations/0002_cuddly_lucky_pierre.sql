@@ -0,0 +1,17 @@
+CREATE TABLE `ingest_runs` (
+	`id` integer PRIMARY KEY AUTOINCREMENT NOT NULL,
+	`profile` text NOT NULL,
+	`source` text,
+	`total_entries` integer DEFAULT 0,
+	`new_entries` integer DEFAULT 0,
+	`duplicate_entries` integer DEFAULT 0,
+	`ads_filtered` integer DEFAULT 0,
+	`games_filtered` integer DEFAULT 0,
+	`started_at` integer DEFAULT (unixepoch()),
+	`completed_at` integer
+);
+--> statement-breakpoint
+ALTER TABLE `watch_history` ADD `ingest_run_id` integer;--> statement-breakpoint
+-- Older imports stored the same watch more than once; keep the first copy so the unique index can be created
+DELETE FROM `watch_history` WHERE `id` NOT IN (SELECT MIN(`id`) FROM `watch_history` GROUP BY `profile`, `video_id`, `watched_at`);--> statement-breakpoint
+CREATE UNIQUE INDEX `watch_history_profile_video_watched_idx` ON `watch_history` (`profile`,`video_id`,`watched_at`);
\ No newline at end of file
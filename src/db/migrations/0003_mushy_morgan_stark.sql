@@ -0,0 +1,3 @@
+ALTER TABLE `videos` ADD `content_type` text;--> statement-breakpoint
+ALTER TABLE `videos` ADD `live_broadcast_content` text;--> statement-breakpoint
+ALTER TABLE `watch_history` ADD `content_type` text DEFAULT 'video';
\ No newline at end of file
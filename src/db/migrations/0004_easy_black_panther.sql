@@ -0,0 +1,20 @@
+CREATE TABLE `search_analysis` (
+	`query` text PRIMARY KEY NOT NULL,
+	`risk_level` text,
+	`content_flags` text,
+	`blocklist_matches` text,
+	`reasoning` text,
+	`model` text,
+	`analyzed_at` integer DEFAULT (unixepoch())
+);
+--> statement-breakpoint
+CREATE TABLE `search_history` (
+	`id` integer PRIMARY KEY AUTOINCREMENT NOT NULL,
+	`profile` text DEFAULT 'default' NOT NULL,
+	`query` text NOT NULL,
+	`searched_at` text NOT NULL,
+	`ingest_run_id` integer
+);
+--> statement-breakpoint
+CREATE UNIQUE INDEX `search_history_profile_query_searched_idx` ON `search_history` (`profile`,`query`,`searched_at`);--> statement-breakpoint
+ALTER TABLE `ingest_runs` ADD `new_searches` integer DEFAULT 0;
\ No newline at end of file
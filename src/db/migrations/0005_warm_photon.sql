@@ -0,0 +1,27 @@
+CREATE TABLE `playlist_items` (
+	`id` integer PRIMARY KEY AUTOINCREMENT NOT NULL,
+	`playlist_id` integer NOT NULL,
+	`video_id` text NOT NULL,
+	`added_at` text
+);
+--> statement-breakpoint
+CREATE TABLE `playlists` (
+	`id` integer PRIMARY KEY AUTOINCREMENT NOT NULL,
+	`profile` text DEFAULT 'default' NOT NULL,
+	`playlist_id` text,
+	`title` text NOT NULL,
+	`visibility` text,
+	`created_at` text,
+	`updated_at` text
+);
+--> statement-breakpoint
+CREATE TABLE `subscriptions` (
+	`id` integer PRIMARY KEY AUTOINCREMENT NOT NULL,
+	`profile` text DEFAULT 'default' NOT NULL,
+	`channel_id` text NOT NULL,
+	`channel_title` text,
+	`channel_url` text,
+	`imported_at` integer DEFAULT (unixepoch())
+);
+--> statement-breakpoint
+CREATE UNIQUE INDEX `subscriptions_profile_channel_idx` ON `subscriptions` (`profile`,`channel_id`);
\ No newline at end of file
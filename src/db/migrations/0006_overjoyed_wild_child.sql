@@ -0,0 +1,12 @@
+CREATE TABLE `viewing_sessions` (
+	`id` integer PRIMARY KEY AUTOINCREMENT NOT NULL,
+	`profile` text NOT NULL,
+	`started_at` text NOT NULL,
+	`ended_at` text NOT NULL,
+	`video_count` integer NOT NULL,
+	`duration_seconds` integer NOT NULL,
+	`late_night` integer DEFAULT false
+);
+--> statement-breakpoint
+ALTER TABLE `profiles` ADD `timezone` text;--> statement-breakpoint
+ALTER TABLE `watch_history` ADD `session_id` integer;
\ No newline at end of file
@@ -0,0 +1,7 @@
+CREATE TABLE `quota_ledger` (
+	`id` integer PRIMARY KEY AUTOINCREMENT NOT NULL,
+	`day` text NOT NULL,
+	`endpoint` text NOT NULL,
+	`units` integer NOT NULL,
+	`called_at` integer DEFAULT (unixepoch())
+);
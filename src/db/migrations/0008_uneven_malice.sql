@@ -0,0 +1,12 @@
+CREATE TABLE `fetch_failures` (
+	`id` integer PRIMARY KEY AUTOINCREMENT NOT NULL,
+	`resource_type` text NOT NULL,
+	`resource_id` text NOT NULL,
+	`reason` text NOT NULL,
+	`error` text,
+	`attempts` integer DEFAULT 1 NOT NULL,
+	`first_failed_at` integer DEFAULT (unixepoch()),
+	`last_failed_at` integer DEFAULT (unixepoch())
+);
+--> statement-breakpoint
+CREATE UNIQUE INDEX `fetch_failures_resource_idx` ON `fetch_failures` (`resource_type`,`resource_id`);
\ No newline at end of file
@@ -0,0 +1,12 @@
+CREATE TABLE `metadata_changes` (
+	`id` integer PRIMARY KEY AUTOINCREMENT NOT NULL,
+	`resource_type` text NOT NULL,
+	`resource_id` text NOT NULL,
+	`field` text NOT NULL,
+	`old_value` text,
+	`new_value` text,
+	`changed_at` integer DEFAULT (unixepoch())
+);
+--> statement-breakpoint
+ALTER TABLE `channels` ADD `available` integer DEFAULT true;--> statement-breakpoint
+ALTER TABLE `videos` ADD `available` integer DEFAULT true;
\ No newline at end of file
@@ -0,0 +1,7 @@
+CREATE TABLE `video_categories` (
+	`id` text PRIMARY KEY NOT NULL,
+	`title` text NOT NULL,
+	`assignable` integer,
+	`region_code` text,
+	`fetched_at` integer DEFAULT (unixepoch())
+);
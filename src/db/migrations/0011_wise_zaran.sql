@@ -0,0 +1,24 @@
+CREATE TABLE `classification_flags` (
+	`id` integer PRIMARY KEY AUTOINCREMENT NOT NULL,
+	`video_id` text NOT NULL,
+	`classifier` text NOT NULL,
+	`type` text NOT NULL,
+	`severity` text NOT NULL,
+	`message` text,
+	`confidence` real,
+	`evidence` text,
+	`created_at` integer DEFAULT (unixepoch())
+);
+--> statement-breakpoint
+CREATE UNIQUE INDEX `classification_flags_video_idx` ON `classification_flags` (`video_id`,`classifier`,`type`);--> statement-breakpoint
+CREATE TABLE `comments` (
+	`id` text PRIMARY KEY NOT NULL,
+	`video_id` text NOT NULL,
+	`author_name` text,
+	`author_channel_id` text,
+	`text` text,
+	`like_count` integer DEFAULT 0,
+	`reply_count` integer DEFAULT 0,
+	`published_at` text,
+	`fetched_at` integer DEFAULT (unixepoch())
+);
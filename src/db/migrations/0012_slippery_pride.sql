@@ -0,0 +1,7 @@
+CREATE TABLE `thumbnail_analysis` (
+	`video_id` text PRIMARY KEY NOT NULL,
+	`scores` text,
+	`analyzed_at` integer DEFAULT (unixepoch())
+);
+--> statement-breakpoint
+ALTER TABLE `videos` ADD `thumbnails` text;
\ No newline at end of file
@@ -0,0 +1,4 @@
+ALTER TABLE `channels` ADD `country` text;--> statement-breakpoint
+ALTER TABLE `channels` ADD `made_for_kids` integer;--> statement-breakpoint
+ALTER TABLE `channels` ADD `keywords` text;--> statement-breakpoint
+ALTER TABLE `channels` ADD `topics` text;
\ No newline at end of file
@@ -0,0 +1,11 @@
+CREATE TABLE `channel_uploads` (
+	`id` integer PRIMARY KEY AUTOINCREMENT NOT NULL,
+	`profile` text DEFAULT 'default' NOT NULL,
+	`video_id` text NOT NULL,
+	`channel_id` text NOT NULL,
+	`published_at` text,
+	`discovered_at` integer DEFAULT (unixepoch())
+);
+--> statement-breakpoint
+CREATE UNIQUE INDEX `channel_uploads_profile_video_idx` ON `channel_uploads` (`profile`,`video_id`);--> statement-breakpoint
+ALTER TABLE `channels` ADD `uploads_playlist_id` text;
\ No newline at end of file
@@ -0,0 +1,10 @@
+CREATE TABLE `url_checks` (
+	`id` integer PRIMARY KEY AUTOINCREMENT NOT NULL,
+	`url` text NOT NULL,
+	`kind` text NOT NULL,
+	`playlist_id` text,
+	`video_ids` text,
+	`verdict` text NOT NULL,
+	`results` text,
+	`checked_at` integer DEFAULT (unixepoch())
+);
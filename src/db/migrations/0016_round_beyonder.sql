@@ -0,0 +1,11 @@
+CREATE TABLE `caption_files` (
+	`file` text PRIMARY KEY NOT NULL,
+	`video_id` text NOT NULL,
+	`track_language` text,
+	`language` text,
+	`type` text,
+	`downloaded_at` integer DEFAULT (unixepoch())
+);
+--> statement-breakpoint
+ALTER TABLE `ai_analysis` ADD `language` text;--> statement-breakpoint
+ALTER TABLE `profiles` ADD `caption_languages` text;
\ No newline at end of file
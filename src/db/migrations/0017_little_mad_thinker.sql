@@ -0,0 +1,13 @@
+CREATE TABLE `caption_cues` (
+	`id` integer PRIMARY KEY AUTOINCREMENT NOT NULL,
+	`video_id` text NOT NULL,
+	`file` text NOT NULL,
+	`language` text,
+	`type` text,
+	`start_ms` integer NOT NULL,
+	`end_ms` integer NOT NULL,
+	`text` text NOT NULL
+);
+--> statement-breakpoint
+CREATE INDEX `caption_cues_video_idx` ON `caption_cues` (`video_id`);--> statement-breakpoint
+ALTER TABLE `caption_files` ADD `cues_imported_at` integer;
\ No newline at end of file
@@ -0,0 +1,2 @@
+-- Full-text index over caption_cues.text, keyed by caption_cues.id (drizzle-kit can't describe FTS5 tables)
+CREATE VIRTUAL TABLE `caption_cues_fts` USING fts5(text, tokenize = 'unicode61 remove_diacritics 2');
@@ -0,0 +1,14 @@
+CREATE TABLE `jobs` (
+	`id` integer PRIMARY KEY AUTOINCREMENT NOT NULL,
+	`stage` text NOT NULL,
+	`video_id` text NOT NULL,
+	`state` text DEFAULT 'pending' NOT NULL,
+	`options` text,
+	`attempts` integer DEFAULT 0 NOT NULL,
+	`last_error` text,
+	`created_at` integer DEFAULT (unixepoch()),
+	`updated_at` integer DEFAULT (unixepoch())
+);
+--> statement-breakpoint
+CREATE UNIQUE INDEX `jobs_stage_video_idx` ON `jobs` (`stage`,`video_id`);--> statement-breakpoint
+CREATE INDEX `jobs_state_idx` ON `jobs` (`stage`,`state`);
\ No newline at end of file
@@ -1,15 +1,153 @@
-import {sqliteTable, text, integer, real} from 'drizzle-orm/sqlite-core';
+import {sqliteTable, text, integer, real, index, uniqueIndex} from 'drizzle-orm/sqlite-core';
 import {sql} from 'drizzle-orm';
 
 // IMPORTANT: After modifying this schema, run `npm run db:generate` to create a new migration file
 
+// Child profiles - a household can track several kids separately
+export const profiles = sqliteTable('profiles', {
+  name: text('name').primaryKey(),
+  timezone: text('timezone'),                   // IANA timezone, e.g. America/Los_Angeles
+  captionLanguages: text('caption_languages', {mode: 'json'}),  // Caption language codes by preference, e.g. ["es", "en"]
+
+  createdAt: integer('created_at', {mode: 'timestamp'}).default(sql`(unixepoch())`),
+});
+
+// One row per ingest run, recording what each Takeout import added
+export const ingestRuns = sqliteTable('ingest_runs', {
+  id: integer('id').primaryKey({autoIncrement: true}),
+  profile: text('profile').notNull(),
+  source: text('source'),                       // File the history was read from
+  totalEntries: integer('total_entries').default(0),
+  newEntries: integer('new_entries').default(0),
+  newSearches: integer('new_searches').default(0),
+  duplicateEntries: integer('duplicate_entries').default(0),  // Already imported by an earlier run
+  adsFiltered: integer('ads_filtered').default(0),
+  gamesFiltered: integer('games_filtered').default(0),
+  startedAt: integer('started_at', {mode: 'timestamp'}).default(sql`(unixepoch())`),
+  completedAt: integer('completed_at', {mode: 'timestamp'}),
+});
+
 // Watch history entries parsed from Google Takeout
+// A watch is unique per profile by (video, watched_at), so re-importing a fresh Takeout is idempotent
 export const watchHistory = sqliteTable('watch_history', {
   id: integer('id').primaryKey({autoIncrement: true}),
+  profile: text('profile').notNull().default('default'),  // profiles.name
   videoId: text('video_id').notNull(),
   watchedAt: text('watched_at').notNull(),
   title: text('title'),
   channel: text('channel'),
+  contentType: text('content_type').default('video'),  // music (YouTube Music play) or video
+  ingestRunId: integer('ingest_run_id'),        // Run that first imported this entry
+  sessionId: integer('session_id'),             // viewing_sessions.id
+}, (table) => [
+  uniqueIndex('watch_history_profile_video_watched_idx').on(table.profile, table.videoId, table.watchedAt),
+]);
+
+// YouTube Data API quota ledger: one row per API request, keyed by the Pacific-time day quota resets on
+export const quotaLedger = sqliteTable('quota_ledger', {
+  id: integer('id').primaryKey({autoIncrement: true}),
+  day: text('day').notNull(),                   // YYYY-MM-DD in America/Los_Angeles
+  endpoint: text('endpoint').notNull(),         // videos.list, channels.list, ...
+  units: integer('units').notNull(),            // Quota cost of the request
+  calledAt: integer('called_at', {mode: 'timestamp'}).default(sql`(unixepoch())`),
+});
+
+// Videos and channels the YouTube API couldn't return, so later runs skip or retry them
+export const fetchFailures = sqliteTable('fetch_failures', {
+  id: integer('id').primaryKey({autoIncrement: true}),
+  resourceType: text('resource_type').notNull(),  // video, channel, comments (resource_id is the video)
+  resourceId: text('resource_id').notNull(),
+  reason: text('reason').notNull(),             // not-found (deleted/private, skipped) or transient (retried)
+  error: text('error'),
+  attempts: integer('attempts').notNull().default(1),
+  firstFailedAt: integer('first_failed_at', {mode: 'timestamp'}).default(sql`(unixepoch())`),
+  lastFailedAt: integer('last_failed_at', {mode: 'timestamp'}).default(sql`(unixepoch())`),
+}, (table) => [
+  uniqueIndex('fetch_failures_resource_idx').on(table.resourceType, table.resourceId),
+]);
+
+// Changes to video and channel metadata found by "npm run refresh"
+export const metadataChanges = sqliteTable('metadata_changes', {
+  id: integer('id').primaryKey({autoIncrement: true}),
+  resourceType: text('resource_type').notNull(),  // video, channel
+  resourceId: text('resource_id').notNull(),
+  field: text('field').notNull(),               // contentRating, madeForKids, privacyStatus, title, description, available
+  oldValue: text('old_value', {mode: 'json'}),
+  newValue: text('new_value', {mode: 'json'}),
+  changedAt: integer('changed_at', {mode: 'timestamp'}).default(sql`(unixepoch())`),
+});
+
+// Viewing sessions reconstructed from watch gaps and video durations (rebuilt on each ingest)
+export const viewingSessions = sqliteTable('viewing_sessions', {
+  id: integer('id').primaryKey({autoIncrement: true}),
+  profile: text('profile').notNull(),
+  startedAt: text('started_at').notNull(),
+  endedAt: text('ended_at').notNull(),
+  videoCount: integer('video_count').notNull(),
+  durationSeconds: integer('duration_seconds').notNull(),
+  lateNight: integer('late_night', {mode: 'boolean'}).default(false),  // Any watch during late-night hours (profile timezone)
+});
+
+// Search history entries parsed from Google Takeout
+export const searchHistory = sqliteTable('search_history', {
+  id: integer('id').primaryKey({autoIncrement: true}),
+  profile: text('profile').notNull().default('default'),  // profiles.name
+  query: text('query').notNull(),               // Normalized (trimmed, lowercase) search text
+  searchedAt: text('searched_at').notNull(),
+  ingestRunId: integer('ingest_run_id'),
+}, (table) => [
+  uniqueIndex('search_history_profile_query_searched_idx').on(table.profile, table.query, table.searchedAt),
+]);
+
+// Risk classification of search queries (shared across profiles, one row per unique query)
+export const searchAnalysis = sqliteTable('search_analysis', {
+  query: text('query').primaryKey(),
+  riskLevel: text('risk_level'),        // HIGH, MEDIUM, LOW
+  contentFlags: text('content_flags', {mode: 'json'}),  // Array of concern flags
+  blocklistMatches: text('blocklist_matches', {mode: 'json'}),  // Blocklisted keywords found in the query
+  reasoning: text('reasoning'),
+  model: text('model'),                 // gpt-4o-mini
+  analyzedAt: integer('analyzed_at', {mode: 'timestamp'}).default(sql`(unixepoch())`),
+});
+
+// Channel subscriptions imported from Takeout (subscriptions.csv), replaced on each import
+export const subscriptions = sqliteTable('subscriptions', {
+  id: integer('id').primaryKey({autoIncrement: true}),
+  profile: text('profile').notNull().default('default'),  // profiles.name
+  channelId: text('channel_id').notNull(),
+  channelTitle: text('channel_title'),
+  channelUrl: text('channel_url'),
+  importedAt: integer('imported_at', {mode: 'timestamp'}).default(sql`(unixepoch())`),
+}, (table) => [
+  uniqueIndex('subscriptions_profile_channel_idx').on(table.profile, table.channelId),
+]);
+
+// Playlists imported from Takeout (playlists/*.csv), replaced on each import
+export const playlists = sqliteTable('playlists', {
+  id: integer('id').primaryKey({autoIncrement: true}),
+  profile: text('profile').notNull().default('default'),  // profiles.name
+  playlistId: text('playlist_id'),              // YouTube playlist ID (missing for some exports)
+  title: text('title').notNull(),
+  visibility: text('visibility'),               // Public, Unlisted, Private
+  createdAt: text('created_at'),
+  updatedAt: text('updated_at'),
+});
+
+// Videos saved in imported playlists
+export const playlistItems = sqliteTable('playlist_items', {
+  id: integer('id').primaryKey({autoIncrement: true}),
+  playlistId: integer('playlist_id').notNull(), // playlists.id
+  videoId: text('video_id').notNull(),
+  addedAt: text('added_at'),
+});
+
+// Video category names from videoCategories.list (the built-in map in lib/categories.js covers offline use)
+export const videoCategories = sqliteTable('video_categories', {
+  id: text('id').primaryKey(),
+  title: text('title').notNull(),
+  assignable: integer('assignable', {mode: 'boolean'}),
+  regionCode: text('region_code'),
+  fetchedAt: integer('fetched_at', {mode: 'timestamp'}).default(sql`(unixepoch())`),
 });
 
 // Full video metadata from YouTube API
@@ -22,6 +160,8 @@ export const videos = sqliteTable('videos', {
   publishedAt: text('published_at'),
   categoryId: text('category_id'),
   tags: text('tags', {mode: 'json'}),  // Store as JSON array
+  contentType: text('content_type'),   // video, short, music, live
+  liveBroadcastContent: text('live_broadcast_content'),  // live, upcoming, none
 
   // Content details
   duration: text('duration'),
@@ -39,11 +179,51 @@ export const videos = sqliteTable('videos', {
   madeForKids: integer('made_for_kids', {mode: 'boolean'}),
   selfDeclaredMadeForKids: integer('self_declared_made_for_kids', {mode: 'boolean'}),
   embeddable: integer('embeddable', {mode: 'boolean'}),
+  available: integer('available', {mode: 'boolean'}).default(true),  // false once taken down or made private
+  thumbnails: text('thumbnails', {mode: 'json'}),  // snippet.thumbnails (default, medium, high...)
 
   // Metadata
   fetchedAt: integer('fetched_at', {mode: 'timestamp'}).default(sql`(unixepoch())`),
 });
 
+// Top-level comments from commentThreads.list (most relevant first)
+export const comments = sqliteTable('comments', {
+  id: text('id').primaryKey(),  // Comment thread ID
+  videoId: text('video_id').notNull(),
+  authorName: text('author_name'),
+  authorChannelId: text('author_channel_id'),
+  text: text('text'),
+  likeCount: integer('like_count').default(0),
+  replyCount: integer('reply_count').default(0),
+  publishedAt: text('published_at'),
+  fetchedAt: integer('fetched_at', {mode: 'timestamp'}).default(sql`(unixepoch())`),
+});
+
+// Caption files downloaded to data/captions, one row per language track
+export const captionFiles = sqliteTable('caption_files', {
+  file: text('file').primaryKey(),              // File name, e.g. VIDEO_ID.es.srt
+  videoId: text('video_id').notNull(),
+  trackLanguage: text('track_language'),        // Language code of the YouTube track (en, es-419, en-auto, pt-orig)
+  language: text('language'),                   // Language detected from the text (track language if unsure)
+  type: text('type'),                           // manual, auto-generated, transcribed
+  downloadedAt: integer('downloaded_at', {mode: 'timestamp'}).default(sql`(unixepoch())`),
+  cuesImportedAt: integer('cues_imported_at', {mode: 'timestamp'}),  // Last import into caption_cues
+});
+
+// Caption cues imported from caption_files, searchable through the caption_cues_fts index (see db/index.js)
+export const captionCues = sqliteTable('caption_cues', {
+  id: integer('id').primaryKey({autoIncrement: true}),  // Also the rowid in caption_cues_fts
+  videoId: text('video_id').notNull(),
+  file: text('file').notNull(),                 // caption_files.file the cue came from
+  language: text('language'),
+  type: text('type'),                           // manual, auto-generated, transcribed
+  startMs: integer('start_ms').notNull(),
+  endMs: integer('end_ms').notNull(),
+  text: text('text').notNull(),
+}, (table) => [
+  index('caption_cues_video_idx').on(table.videoId),
+]);
+
 // Channel information from YouTube API
 export const channels = sqliteTable('channels', {
   id: text('id').primaryKey(),
@@ -55,12 +235,48 @@ export const channels = sqliteTable('channels', {
   videoCount: integer('video_count').default(0),
   viewCount: integer('view_count').default(0),
 
+  uploadsPlaylistId: text('uploads_playlist_id'),  // contentDetails.relatedPlaylists.uploads
+
+  // Content
+  country: text('country'),
+  madeForKids: integer('made_for_kids', {mode: 'boolean'}),
+  keywords: text('keywords', {mode: 'json'}),  // brandingSettings.channel.keywords as an array
+  topics: text('topics', {mode: 'json'}),      // topicDetails.topicCategories as names (e.g. "Video game culture")
+
+  // Status
+  available: integer('available', {mode: 'boolean'}).default(true),  // false once terminated or deleted
+
   // Metadata
   publishedAt: text('published_at'),
   thumbnails: text('thumbnails', {mode: 'json'}),
   fetchedAt: integer('fetched_at', {mode: 'timestamp'}).default(sql`(unixepoch())`),
 });
 
+// Recent uploads of watched and subscribed channels, found by "npm run prescreen" before they're watched
+// One row per profile whose channels the upload was found on
+export const channelUploads = sqliteTable('channel_uploads', {
+  id: integer('id').primaryKey({autoIncrement: true}),
+  profile: text('profile').notNull().default('default'),  // profiles.name
+  videoId: text('video_id').notNull(),
+  channelId: text('channel_id').notNull(),
+  publishedAt: text('published_at'),
+  discoveredAt: integer('discovered_at', {mode: 'timestamp'}).default(sql`(unixepoch())`),
+}, (table) => [
+  uniqueIndex('channel_uploads_profile_video_idx').on(table.profile, table.videoId),
+]);
+
+// Links vetted with "npm run check" (videos don't need to be in watch_history)
+export const urlChecks = sqliteTable('url_checks', {
+  id: integer('id').primaryKey({autoIncrement: true}),
+  url: text('url').notNull(),
+  kind: text('kind').notNull(),       // video, playlist
+  playlistId: text('playlist_id'),
+  videoIds: text('video_ids', {mode: 'json'}),
+  verdict: text('verdict').notNull(),  // BLOCK, REVIEW, OK
+  results: text('results', {mode: 'json'}),  // Per video: {videoId, title, verdict, reasons}
+  checkedAt: integer('checked_at', {mode: 'timestamp'}).default(sql`(unixepoch())`),
+});
+
 // Tags table - unique tags across all videos (YouTube native + AI-generated)
 export const tags = sqliteTable('tags', {
   id: integer('id').primaryKey({autoIncrement: true}),
@@ -76,6 +292,28 @@ export const videoTags = sqliteTable('video_tags', {
   createdAt: integer('created_at', {mode: 'timestamp'}).default(sql`(unixepoch())`),
 });
 
+// Flags raised by the classifiers in classifiers/ (replaced each time a classifier re-runs on a video)
+export const classificationFlags = sqliteTable('classification_flags', {
+  id: integer('id').primaryKey({autoIncrement: true}),
+  videoId: text('video_id').notNull(),
+  classifier: text('classifier').notNull(),  // e.g. comments
+  type: text('type').notNull(),              // e.g. PREDATORY_CONTACT
+  severity: text('severity').notNull(),      // HIGH, MEDIUM, LOW
+  message: text('message'),
+  confidence: real('confidence'),
+  evidence: text('evidence', {mode: 'json'}),  // Classifier-specific details (e.g. matching comment IDs)
+  createdAt: integer('created_at', {mode: 'timestamp'}).default(sql`(unixepoch())`),
+}, (table) => [
+  uniqueIndex('classification_flags_video_idx').on(table.videoId, table.classifier, table.type),
+]);
+
+// Thumbnail scores from the local image models in config/thumbnail-models.json
+export const thumbnailAnalysis = sqliteTable('thumbnail_analysis', {
+  videoId: text('video_id').primaryKey(),
+  scores: text('scores', {mode: 'json'}),  // {modelName: {label: score}}
+  analyzedAt: integer('analyzed_at', {mode: 'timestamp'}).default(sql`(unixepoch())`),
+});
+
 // AI analysis results
 export const aiAnalysis = sqliteTable('ai_analysis', {
   videoId: text('video_id').primaryKey(),
@@ -84,6 +322,23 @@ export const aiAnalysis = sqliteTable('ai_analysis', {
   reasoning: text('reasoning'),         // AI's explanation
   contentFlags: text('content_flags', {mode: 'json'}),  // Array of objectionable content flags
   flaggedSeverity: text('flagged_severity'),  // SEVERE, MODERATE, NONE
+  language: text('language'),           // Transcript language code (en, es, pt...)
   model: text('model'),                 // gpt-4o-mini
   analyzedAt: integer('analyzed_at', {mode: 'timestamp'}).default(sql`(unixepoch())`),
 });
+
+// Per-video work for the caption, video download and AI analysis stages, so interrupted runs resume
+export const jobs = sqliteTable('jobs', {
+  id: integer('id').primaryKey({autoIncrement: true}),
+  stage: text('stage').notNull(),                   // captions, video, analysis
+  videoId: text('video_id').notNull(),
+  state: text('state').notNull().default('pending'),  // pending, running, done, skipped (e.g. no captions), failed
+  options: text('options', {mode: 'json'}),          // What the job was queued with, e.g. {languages} for captions
+  attempts: integer('attempts').notNull().default(0),
+  lastError: text('last_error'),
+  createdAt: integer('created_at', {mode: 'timestamp'}).default(sql`(unixepoch())`),
+  updatedAt: integer('updated_at', {mode: 'timestamp'}).default(sql`(unixepoch())`),
+}, (table) => [
+  uniqueIndex('jobs_stage_video_idx').on(table.stage, table.videoId),
+  index('jobs_state_idx').on(table.stage, table.state),
+]);
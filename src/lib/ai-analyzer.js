@@ -1,9 +1,11 @@
 // AI content analyzer using OpenAI and caption transcripts
 import 'dotenv/config';
 import OpenAI from 'openai';
-import srtParser2 from 'srt-parser-2';
-import fs from 'fs';
-import {getCaptionFile} from './caption-downloader.js';
+import {getCaptionFile, getCaptionLanguage} from './caption-downloader.js';
+import {baseLanguage, languageName} from './language.js';
+import {readTranscript} from './transcript.js';
+import {getMusicVideoIds} from './content-type.js';
+import {runJobs, describeStage, getFailedVideoIds} from './job-queue.js';
 import {db, aiAnalysis, tags, videoTags, videos} from '../db/index.js';
 import {eq} from 'drizzle-orm';
 
@@ -48,28 +50,27 @@ Guidelines:
 - riskLevel considers both content appropriateness AND flags`;
 
 /**
- * Parse SRT caption file to plain text transcript
+ * Read a video's caption file (SRT or VTT) as a clean transcript, without rolling duplicates or
+ * [Music]-style annotations
  * @param {string} videoId - YouTube video ID
- * @returns {string|null} Transcript text or null if not found
+ * @returns {{text: string, audioCues: Array<{startMs: number, endMs: number, label: string}>}|null} Null if not found
  */
 function parseTranscript(videoId) {
   const captionFile = getCaptionFile(videoId);
   if (!captionFile) return null;
 
-  const parser = new srtParser2();
-  const srtContent = fs.readFileSync(captionFile, 'utf-8');
-  const parsed = parser.fromSrt(srtContent);
-
-  // Extract just text from SRT entries and join
-  return parsed.map(entry => entry.text).join(' ');
+  const {text, audioCues} = readTranscript(captionFile);
+  return {text, audioCues};
 }
 
 /**
  * Call OpenAI API to analyze transcript
  * @param {string} transcript - Video transcript text
+ * @param {string} language - Transcript language code
+ * @param {Array<{label: string}>} audioCues - Sound descriptions taken out of the captions
  * @returns {Promise<{tags: string[], riskLevel: string, reasoning: string}>}
  */
-async function analyzeWithAI(transcript) {
+async function analyzeWithAI(transcript, language = 'en', audioCues = []) {
   const openai = new OpenAI({
     apiKey: process.env.OPENAI_API_KEY
   });
@@ -77,13 +78,22 @@ async function analyzeWithAI(transcript) {
   // Truncate very long transcripts (GPT-4o-mini can handle ~128k tokens, but keep it reasonable)
   const truncated = transcript.substring(0, 10000);
 
+  // Other languages are analyzed as-is; the model is told the language and answers in English
+  const languageNote = baseLanguage(language) !== 'en'
+    ? `The transcript is in ${languageName(language)}. Analyze it in that language, but write the summary, tags and reasoning in English.\n\n`
+    : '';
+
+  // [Screaming] or [Gunshots] say something about a video that the words don't
+  const sounds = [...new Set(audioCues.map(cue => cue.label.toLowerCase()))];
+  const soundNote = sounds.length > 0 ? `Sounds described in the captions: ${sounds.join(', ')}.\n\n` : '';
+
   const response = await openai.chat.completions.create({
     model: 'gpt-4o-mini',
     temperature: 0.3,
     max_tokens: 500,
     messages: [
       {role: 'system', content: SYSTEM_PROMPT},
-      {role: 'user', content: `Analyze this transcript:\n\n${truncated}`}
+      {role: 'user', content: `${languageNote}${soundNote}Analyze this transcript:\n\n${truncated}`}
     ],
     response_format: {type: 'json_object'}
   });
@@ -109,16 +119,10 @@ async function storeTags(videoId, aiTagNames) {
   const tagIds = [];
 
   for (const tagName of uniqueTags) {
-    // Get or create tag
-    const existingTags = await db.select().from(tags).where(eq(tags.name, tagName));
-
-    if (existingTags.length === 0) {
-      // Create new tag
-      const [newTag] = await db.insert(tags).values({name: tagName}).returning();
-      tagIds.push(newTag.id);
-    } else {
-      tagIds.push(existingTags[0].id);
-    }
+    // Get or create tag (another analysis worker may create the same tag at the same time)
+    await db.insert(tags).values({name: tagName}).onConflictDoNothing();
+    const [tag] = await db.select().from(tags).where(eq(tags.name, tagName));
+    tagIds.push(tag.id);
   }
 
   // Create video-tag relationships
@@ -138,12 +142,13 @@ async function storeTags(videoId, aiTagNames) {
 async function analyzeVideo(videoId) {
   // 1. Parse transcript from caption file
   const transcript = parseTranscript(videoId);
-  if (!transcript) {
+  if (!transcript?.text) {
     throw new Error('No transcript available');
   }
 
-  // 2. Analyze with OpenAI
-  const result = await analyzeWithAI(transcript);
+  // 2. Analyze with OpenAI, in the transcript's language
+  const language = await getCaptionLanguage(videoId, getCaptionFile(videoId));
+  const result = await analyzeWithAI(transcript.text, language, transcript.audioCues);
 
   // 3. Store tags in normalized schema
   await storeTags(videoId, result.tags);
@@ -156,6 +161,7 @@ async function analyzeVideo(videoId) {
     reasoning: result.reasoning,
     contentFlags: result.contentFlags || [],
     flaggedSeverity: result.flaggedSeverity || 'NONE',
+    language,
     model: 'gpt-4o-mini'
   });
 
@@ -163,54 +169,63 @@ async function analyzeVideo(videoId) {
 }
 
 /**
- * Batch analyze all videos with captions
+ * Batch analyze all videos with captions through the job queue ("analysis" stage)
+ * Several videos are analyzed at once (ANALYSIS_CONCURRENCY) under a shared OpenAI rate limit. Videos whose
+ * analysis failed in an earlier run are left out until "npm run jobs -- retry-failed".
  * @param {number|null} limit - Optional limit on number of videos to analyze
- * @returns {Promise<{analyzed: number, failed: number, skipped: number, errors: Array}>}
+ * @param {Object} options
+ * @param {boolean} options.excludeMusic - Skip music videos (music category or YouTube Music plays)
+ * @param {string[]|null} options.videoIds - Only these videos (default: all)
+ * @returns {Promise<{analyzed: number, failed: number, skipped: number, heldBack: number, errors: Array}>}
+ *   heldBack counts videos left out after failing in an earlier run
  */
-async function analyzeAllVideos(limit = null) {
+async function analyzeAllVideos(limit = null, {excludeMusic = false, videoIds = null} = {}) {
   const {areCaptionsDownloaded} = await import('./caption-downloader.js');
 
   // Get all videos
-  const allVideos = await db.select().from(videos);
+  const allVideos = videoIds
+    ? (await db.select().from(videos)).filter(v => videoIds.includes(v.id))
+    : await db.select().from(videos);
 
   // Get already analyzed videos
   const analyzedVideos = await db.select().from(aiAnalysis);
   const analyzedIds = analyzedVideos.map(a => a.videoId);
 
+  // Music lyrics rarely say much about a video, so analysis can skip them
+  const musicIds = excludeMusic ? await getMusicVideoIds() : new Set();
+
   // Filter to videos with captions that haven't been analyzed yet
   const toAnalyze = allVideos.filter(v =>
-    areCaptionsDownloaded(v.id) && !analyzedIds.includes(v.id)
+    areCaptionsDownloaded(v.id) && !analyzedIds.includes(v.id) && !musicIds.has(v.id)
   );
 
+  // Failed jobs would only use up the limit
+  const failedIds = await getFailedVideoIds('analysis');
+  const queueable = toAnalyze.filter(v => !failedIds.has(v.id));
+
   // Apply limit if specified
-  const limitedToAnalyze = limit ? toAnalyze.slice(0, limit) : toAnalyze;
+  const limitedToAnalyze = limit ? queueable.slice(0, limit) : queueable;
 
   const results = {
     analyzed: 0,
     failed: 0,
     skipped: allVideos.length - limitedToAnalyze.length,
+    heldBack: toAnalyze.length - queueable.length,
     errors: []
   };
 
   const limitMsg = limit ? ` (limited to ${limit})` : '';
-  console.log(`\nAnalyzing ${limitedToAnalyze.length} videos with AI${limitMsg}...\n`);
+  console.log(`\nAnalyzing ${limitedToAnalyze.length} videos with AI${limitMsg}, ${describeStage('analysis')}...\n`);
 
-  for (let i = 0; i < limitedToAnalyze.length; i++) {
-    const video = limitedToAnalyze[i];
-    const progress = `[${i + 1}/${limitedToAnalyze.length}]`;
-
-    try {
-      const result = await analyzeVideo(video.id);
-      results.analyzed++;
-
-      console.log(`${progress} ✓ ${video.id} - ${result.tags.length} tags, ${result.riskLevel} risk`);
+  const jobResults = await runJobs('analysis', limitedToAnalyze.map(v => v.id), async (videoId, progress, throttle) => {
+    await throttle();  // analyzeVideo makes one OpenAI request
+    const result = await analyzeVideo(videoId);
+    console.log(`${progress} ✓ ${videoId} - ${result.tags.length} tags, ${result.riskLevel} risk`);
+  });
 
-    } catch (error) {
-      results.failed++;
-      results.errors.push({videoId: video.id, error: error.message});
-      console.log(`${progress} ✗ ${video.id} - ${error.message}`);
-    }
-  }
+  results.analyzed = jobResults.done;
+  results.failed = jobResults.failed;
+  results.errors = jobResults.errors;
 
   return results;
 }
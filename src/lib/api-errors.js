@@ -0,0 +1,94 @@
+// YouTube Data API error classification and retries
+import {spendQuota, QuotaExceededError} from './quota.js';
+
+const API_ERROR_KINDS = {
+  QUOTA: 'quota',          // Daily quota or budget used up: stop until it resets
+  AUTH: 'auth',            // Bad credentials or API not enabled: needs fixing by hand
+  TRANSIENT: 'transient',  // Rate limits, 5xx and network errors: retry with backoff
+  NOT_FOUND: 'not-found',  // Deleted, private or unknown resource: don't retry
+  UNKNOWN: 'unknown',      // Bad requests and programming errors: don't retry, stop the run
+};
+
+// Error reasons YouTube returns in error.errors[].reason
+const QUOTA_REASONS = ['quotaExceeded', 'dailyLimitExceeded'];
+const RATE_LIMIT_REASONS = ['rateLimitExceeded', 'userRateLimitExceeded'];
+const NOT_FOUND_REASONS = ['commentsDisabled', 'videoNotFound', 'channelNotFound'];  // Sent with 403/404
+
+// Network error codes worth retrying
+const TRANSIENT_CODES = [
+  'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'ENOTFOUND', 'EPIPE',
+  'ENETUNREACH', 'EHOSTUNREACH', 'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT',
+];
+
+const MAX_RETRIES = 4;
+const BASE_DELAY_MS = 1000;
+
+/**
+ * API failure with its classification
+ */
+class YouTubeApiError extends Error {
+  constructor(kind, message, cause) {
+    super(message, {cause});
+    this.name = 'YouTubeApiError';
+    this.kind = kind;
+  }
+}
+
+/**
+ * Classify an error thrown by googleapis (or while authenticating)
+ * @param {Error} error - Error from a googleapis call
+ * @returns {string} One of API_ERROR_KINDS
+ */
+function classifyApiError(error) {
+  if (error instanceof QuotaExceededError) return API_ERROR_KINDS.QUOTA;
+  if (error instanceof YouTubeApiError) return error.kind;
+
+  const status = error.response?.status ?? (typeof error.code === 'number' ? error.code : null);
+  const reasons = (error.errors || error.response?.data?.error?.errors || []).map(e => e.reason);
+
+  if (reasons.some(r => QUOTA_REASONS.includes(r))) return API_ERROR_KINDS.QUOTA;
+  if (reasons.some(r => RATE_LIMIT_REASONS.includes(r)) || status === 429 || status === 408) return API_ERROR_KINDS.TRANSIENT;
+  if (reasons.some(r => NOT_FOUND_REASONS.includes(r))) return API_ERROR_KINDS.NOT_FOUND;
+  if (status === 401 || status === 403) return API_ERROR_KINDS.AUTH;
+  if (status === 404) return API_ERROR_KINDS.NOT_FOUND;
+  if (status >= 500) return API_ERROR_KINDS.TRANSIENT;
+  if (TRANSIENT_CODES.includes(error.code)) return API_ERROR_KINDS.TRANSIENT;
+
+  // Missing or unreadable service account key, invalid_grant, ...
+  if (error.code === 'ENOENT' || /invalid_grant|unauthorized_client|Could not load the default credentials/i.test(error.message)) {
+    return API_ERROR_KINDS.AUTH;
+  }
+
+  // A TypeError or a 400 won't go away by retrying, and every retry is charged against the quota
+  return API_ERROR_KINDS.UNKNOWN;
+}
+
+/**
+ * Call a YouTube API endpoint, recording its quota cost and retrying transient failures
+ * Waits 1s, 2s, 4s, 8s between attempts. Each attempt is charged against the quota budget.
+ * @param {string} endpoint - API method for the quota ledger, e.g. "videos.list"
+ * @param {Function} fn - Async function making the request
+ * @returns {Promise<*>} Result of fn
+ * @throws {YouTubeApiError} Classified error once retries are exhausted (or immediately if not transient)
+ */
+async function callYouTubeApi(endpoint, fn) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      await spendQuota(endpoint);
+      return await fn();
+    } catch (error) {
+      const kind = classifyApiError(error);
+
+      if (kind !== API_ERROR_KINDS.TRANSIENT || attempt >= MAX_RETRIES) {
+        const retries = attempt > 0 ? ` (after ${attempt} retries)` : '';
+        throw new YouTubeApiError(kind, `${endpoint} failed: ${error.message}${retries}`, error);
+      }
+
+      const delay = BASE_DELAY_MS * 2 ** attempt;
+      console.log(`  ⚠️  ${endpoint}: ${error.message}, retrying in ${delay / 1000}s...`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+export {callYouTubeApi, classifyApiError, YouTubeApiError, API_ERROR_KINDS};
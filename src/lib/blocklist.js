@@ -0,0 +1,45 @@
+// Blocklist loading and matching (config/blocklist.json)
+import fs from 'fs';
+import path from 'path';
+import {fileURLToPath} from 'url';
+import {resolveCategoryId} from './categories.js';
+
+const PROJECT_ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '..');
+const BLOCKLIST_FILE = path.join(PROJECT_ROOT, 'config', 'blocklist.json');
+
+/**
+ * Load the blocklist configuration
+ * Categories may be given as IDs (20) or names ("Gaming"); names are resolved to IDs with the
+ * given category names, and unknown names are kept as written.
+ * @param {Object} categoryNames - Map of category ID -> name (default: built-in names)
+ * @returns {{keywords: string[], channels: string[], categories: string[]}}
+ */
+function loadBlocklist(categoryNames = undefined) {
+  if (!fs.existsSync(BLOCKLIST_FILE)) {
+    return {keywords: [], channels: [], categories: []};
+  }
+
+  const config = JSON.parse(fs.readFileSync(BLOCKLIST_FILE, 'utf-8'));
+  return {
+    keywords: config.keywords || [],
+    channels: config.channels || [],
+    categories: (config.categories || []).map(c => resolveCategoryId(c, categoryNames) || String(c)),
+  };
+}
+
+/**
+ * Find blocklisted keywords in a piece of text (case-insensitive, whole words)
+ * @param {string} text - Text to check (title, description, search query...)
+ * @param {string[]} keywords - Blocklisted keywords
+ * @returns {string[]} Keywords found in the text
+ */
+function matchKeywords(text, keywords) {
+  if (!text) return [];
+
+  return keywords.filter(keyword => {
+    const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|\\W)${escaped}(\\W|$)`, 'i').test(text);
+  });
+}
+
+export {loadBlocklist, matchKeywords, BLOCKLIST_FILE};
@@ -0,0 +1,180 @@
+// Import caption cues into SQLite and search them through the caption_cues_fts full-text index
+import fs from 'fs';
+import path from 'path';
+import {db, captionCues, captionFiles, videos, watchHistory} from '../db/index.js';
+import {eq, inArray, sql} from 'drizzle-orm';
+import {CAPTIONS_DIR, recordCaptionFile} from './caption-downloader.js';
+import {readTranscript, isCaptionFile} from './transcript.js';
+
+// Cues per INSERT (stays under SQLite's variable limit)
+const INSERT_CHUNK_SIZE = 500;
+
+// The full-text index only holds words, so a phrase without a letter or digit can't match anything
+const SEARCHABLE_PATTERN = /[\p{L}\p{N}]/u;
+
+/**
+ * Delete a caption file's cues and their full-text rows
+ * Runs inside the caller's transaction.
+ */
+function deleteCues(tx, files) {
+  tx.run(sql`DELETE FROM caption_cues_fts WHERE rowid IN (SELECT id FROM caption_cues WHERE ${inArray(captionCues.file, files)})`);
+  tx.delete(captionCues).where(inArray(captionCues.file, files)).run();
+}
+
+/**
+ * Whether a caption file's cues are missing or older than the file
+ * Compared in whole seconds, the precision caption_files timestamps are stored with.
+ * @param {Object} captionFile - caption_files row
+ * @returns {boolean} True if never imported, downloaded again or changed on disk since the last import
+ */
+function needsImport(captionFile) {
+  if (!captionFile.cuesImportedAt) return true;
+
+  const importedAt = Math.floor(captionFile.cuesImportedAt.getTime() / 1000);
+  const downloadedAt = Math.floor((captionFile.downloadedAt?.getTime() || 0) / 1000);
+  const modifiedAt = Math.floor(fs.statSync(path.join(CAPTIONS_DIR, captionFile.file)).mtimeMs / 1000);
+
+  return downloadedAt > importedAt || modifiedAt > importedAt;
+}
+
+/**
+ * Import one caption file's cues, replacing any imported before
+ * @param {Object} captionFile - caption_files row
+ * @returns {number} Number of cues imported
+ */
+function importCaptionFile(captionFile) {
+  // Cleaned cues: rolling duplicates and [Music]-style annotations removed
+  const cues = readTranscript(path.join(CAPTIONS_DIR, captionFile.file)).cues.map(cue => ({
+    videoId: captionFile.videoId,
+    file: captionFile.file,
+    language: captionFile.language,
+    type: captionFile.type,
+    ...cue,
+  }));
+
+  db.transaction(tx => {
+    deleteCues(tx, [captionFile.file]);
+
+    for (let i = 0; i < cues.length; i += INSERT_CHUNK_SIZE) {
+      const chunk = cues.slice(i, i + INSERT_CHUNK_SIZE);
+      const ids = tx.insert(captionCues).values(chunk).returning({id: captionCues.id}).all();
+      ids.forEach(({id}, j) => {
+        tx.run(sql`INSERT INTO caption_cues_fts (rowid, text) VALUES (${id}, ${chunk[j].text})`);
+      });
+    }
+
+    tx.update(captionFiles).set({cuesImportedAt: new Date()}).where(eq(captionFiles.file, captionFile.file)).run();
+  });
+
+  return cues.length;
+}
+
+/**
+ * Import cues from caption files not imported yet or changed since, and drop cues of files that are gone
+ * Files downloaded before caption_files existed are recorded first.
+ * @returns {Promise<{files: number, cues: number, removed: number}>}
+ */
+async function importAllCaptionCues() {
+  const results = {files: 0, cues: 0, removed: 0};
+
+  const onDisk = fs.existsSync(CAPTIONS_DIR) ? fs.readdirSync(CAPTIONS_DIR).filter(isCaptionFile) : [];
+  const recorded = new Set((await db.select({file: captionFiles.file}).from(captionFiles)).map(f => f.file));
+  for (const file of onDisk.filter(f => !recorded.has(f))) {
+    await recordCaptionFile(file.split('.')[0], file);
+  }
+
+  const onDiskSet = new Set(onDisk);
+  const imported = (await db.selectDistinct({file: captionCues.file}).from(captionCues)).map(c => c.file);
+  const gone = imported.filter(file => !onDiskSet.has(file));
+  if (gone.length > 0) {
+    db.transaction(tx => deleteCues(tx, gone));
+    results.removed = gone.length;
+  }
+
+  const toImport = (await db.select().from(captionFiles)).filter(f => onDiskSet.has(f.file) && needsImport(f));
+  for (const captionFile of toImport) {
+    results.cues += importCaptionFile(captionFile);
+    results.files++;
+  }
+
+  return results;
+}
+
+/**
+ * Whether a phrase has anything to search for (a letter or digit)
+ * @param {string} phrase - Word or phrase
+ * @returns {boolean}
+ */
+function isSearchablePhrase(phrase) {
+  return SEARCHABLE_PATTERN.test(phrase || '');
+}
+
+/**
+ * Link to a moment in a video
+ * @param {string} videoId - YouTube video ID
+ * @param {number} startMs - Offset in milliseconds
+ * @returns {string}
+ */
+function watchUrl(videoId, startMs) {
+  return `https://www.youtube.com/watch?v=${videoId}&t=${Math.floor(startMs / 1000)}s`;
+}
+
+/**
+ * Search caption cues for a word or phrase
+ * The phrase is matched as written (case and accents ignored); it must fall within a single cue.
+ * @param {string} phrase - Word or phrase
+ * @param {Object} options
+ * @param {string|null} options.profile - Only videos in this profile's watch history (default: all captions)
+ * @param {number} options.limit - Maximum matching cues
+ * @returns {Promise<Array<{videoId: string, title: string, channelTitle: string, matches: Array}>>}
+ *   Videos with their matching cues (matched words in **bold**), best match first
+ * @throws {Error} If the phrase has no letter or digit (see isSearchablePhrase)
+ */
+async function searchCaptions(phrase, {profile = null, limit = 50} = {}) {
+  if (!isSearchablePhrase(phrase)) {
+    throw new Error('Search phrase needs at least one letter or digit');
+  }
+
+  const query = `"${phrase.trim().replace(/"/g, '""')}"`;
+  const watchedOnly = profile
+    ? sql`AND caption_cues.video_id IN (SELECT ${watchHistory.videoId} FROM ${watchHistory} WHERE ${watchHistory.profile} = ${profile})`
+    : sql``;
+
+  const rows = db.all(sql`
+    SELECT caption_cues.video_id AS videoId, caption_cues.start_ms AS startMs, caption_cues.end_ms AS endMs,
+      caption_cues.language AS language, caption_cues.type AS type,
+      highlight(caption_cues_fts, 0, '**', '**') AS text
+    FROM caption_cues_fts
+    JOIN caption_cues ON caption_cues.id = caption_cues_fts.rowid
+    WHERE caption_cues_fts MATCH ${query} ${watchedOnly}
+    ORDER BY rank
+    LIMIT ${limit}
+  `);
+  if (rows.length === 0) return [];
+
+  const videoIds = [...new Set(rows.map(r => r.videoId))];
+  const videoLookup = Object.fromEntries((await db.select({id: videos.id, title: videos.title, channelTitle: videos.channelTitle})
+    .from(videos).where(inArray(videos.id, videoIds))).map(v => [v.id, v]));
+
+  const byVideo = new Map();
+  rows.forEach(row => {
+    if (!byVideo.has(row.videoId)) {
+      byVideo.set(row.videoId, {
+        videoId: row.videoId,
+        title: videoLookup[row.videoId]?.title || null,
+        channelTitle: videoLookup[row.videoId]?.channelTitle || null,
+        matches: [],
+      });
+    }
+
+    // The same line can appear in several tracks (en-auto and en-orig)
+    const matches = byVideo.get(row.videoId).matches;
+    if (!matches.some(m => m.startMs === row.startMs && m.text === row.text)) {
+      matches.push({...row, url: watchUrl(row.videoId, row.startMs)});
+    }
+  });
+
+  return [...byVideo.values()].map(video => ({...video, matches: video.matches.sort((a, b) => a.startMs - b.startMs)}));
+}
+
+export {importAllCaptionCues, importCaptionFile, searchCaptions, isSearchablePhrase, watchUrl};
@@ -3,45 +3,98 @@ import fs from 'fs';
 import path from 'path';
 import {fileURLToPath} from 'url';
 import {spawn} from 'child_process';
+import {db, captionFiles as captionFilesTable} from '../db/index.js';
+import {eq} from 'drizzle-orm';
+import {resolveCaptionLanguages} from './profiles.js';
+import {detectLanguage, baseLanguage} from './language.js';
+import {readTranscript, isCaptionFile} from './transcript.js';
+import {runJobs, describeStage} from './job-queue.js';
 
 const PROJECT_ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '..');
 const CAPTIONS_DIR = path.join(PROJECT_ROOT, 'data', 'captions');
 
+// Track suffix of auto-generated captions (VIDEO_ID.en-auto.srt); YouTube's original-language tracks are already -orig
+const AUTO_SUFFIX = '-auto';
+
 /**
- * Sleep utility for delays
+ * Caption file names downloaded for a video
+ * @param {string} videoId - YouTube video ID
+ * @returns {string[]} File names in CAPTIONS_DIR
  */
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+function listCaptionFiles(videoId) {
+  if (!fs.existsSync(CAPTIONS_DIR)) {
+    return [];
+  }
+
+  return fs.readdirSync(CAPTIONS_DIR).filter(f => f.startsWith(`${videoId}.`) && isCaptionFile(f));
 }
 
 /**
- * Download captions/subtitles for a video using yt-dlp
+ * YouTube track language of a caption file (VIDEO_ID.es-419.srt -> es-419)
+ */
+function trackLanguageOf(videoId, filename) {
+  return filename.slice(videoId.length + 1, -path.extname(filename).length);
+}
+
+/**
+ * Whether a caption track is auto-generated by YouTube (en-auto, es-orig)
+ */
+function isAutoTrack(trackLanguage) {
+  return trackLanguage.endsWith(AUTO_SUFFIX) || trackLanguage.endsWith('-orig');
+}
+
+/**
+ * Order caption files by the preferred languages: exact track first, then same base language,
+ * then anything else. Auto-generated tracks (-auto, -orig) come after manual tracks of the same language.
  * @param {string} videoId - YouTube video ID
- * @returns {Promise<{captionFiles: string[], language: string, type: string}>}
+ * @param {string[]} filenames - Caption file names
+ * @param {string[]} languages - Language codes by preference
+ * @returns {string[]} Sorted file names
  */
-async function downloadCaptions(videoId) {
-  // Ensure captions directory exists
-  if (!fs.existsSync(CAPTIONS_DIR)) {
-    fs.mkdirSync(CAPTIONS_DIR, {recursive: true});
-  }
+function sortByLanguage(videoId, filenames, languages) {
+  const rank = filename => {
+    const track = trackLanguageOf(videoId, filename).toLowerCase();
+    const exact = languages.findIndex(l => [l, `${l}${AUTO_SUFFIX}`, `${l}-orig`].map(t => t.toLowerCase()).includes(track));
+    const base = languages.findIndex(l => baseLanguage(track) === baseLanguage(l));
+    const position = exact !== -1 ? exact * 2 : base !== -1 ? base * 2 + 1 : languages.length * 2;
+    return position + (isAutoTrack(track) ? 0.5 : 0);
+  };
 
-  const youtubeUrl = `https://www.youtube.com/watch?v=${videoId}`;
-  const outputTemplate = path.join(CAPTIONS_DIR, `${videoId}.%(ext)s`);
+  return [...filenames].sort((a, b) => rank(a) - rank(b));
+}
 
-  return new Promise((resolve, reject) => {
-    // yt-dlp command to download subtitles only (no video)
-    const args = [
-      youtubeUrl,
-      '--write-auto-subs',        // Download auto-generated captions
-      '--write-subs',             // Download user-created subtitles (if available)
-      '--sub-langs', 'en',        // English subtitles only
-      '--sub-format', 'srt',      // SRT format (most compatible)
-      '--skip-download',          // Don't download the video
-      '-o', outputTemplate,       // Output filename template
-      '--no-warnings',            // Suppress warnings
-      '--quiet'                   // Minimal output
-    ];
+/**
+ * Record a downloaded caption file with its track and detected language
+ * @param {string} videoId - YouTube video ID
+ * @param {string} filename - Caption file name
+ * @returns {Promise<Object>} caption_files row
+ */
+async function recordCaptionFile(videoId, filename) {
+  const trackLanguage = trackLanguageOf(videoId, filename);
+  const {text} = readTranscript(path.join(CAPTIONS_DIR, filename));
+
+  const row = {
+    file: filename,
+    videoId,
+    trackLanguage,
+    language: detectLanguage(text) || baseLanguage(trackLanguage),
+    // -auto and -orig mark YouTube's auto-generated tracks (see downloadCaptions), -transcribed a local
+    // speech-to-text transcript (see transcriber.js)
+    type: trackLanguage.endsWith('-transcribed') ? 'transcribed' : isAutoTrack(trackLanguage) ? 'auto-generated' : 'manual',
+  };
 
+  await db.insert(captionFilesTable).values(row)
+    .onConflictDoUpdate({target: captionFilesTable.file, set: {...row, downloadedAt: new Date()}});
+  return row;
+}
+
+/**
+ * Run yt-dlp to download subtitles
+ * @param {string[]} args - yt-dlp arguments
+ * @returns {Promise<void>}
+ */
+function runYtDlp(args) {
+  return new Promise((resolve, reject) => {
     const ytdlp = spawn('yt-dlp', args);
 
     let errorOutput = '';
@@ -59,62 +112,18 @@ async function downloadCaptions(videoId) {
 
     ytdlp.on('close', (code) => {
       if (code === 0) {
-        // Download successful, find the caption files
-        const captionFiles = [];
-
-        // Check for different possible caption file formats
-        const possibleFiles = [
-          `${videoId}.en.srt`,           // User-created English
-          `${videoId}.en-US.srt`,        // User-created English (US)
-          `${videoId}.en-GB.srt`,        // User-created English (GB)
-          `${videoId}.en.en.srt`,        // Sometimes duplicated
-          `${videoId}.en-orig.srt`       // Original language
-        ];
-
-        for (const filename of possibleFiles) {
-          const filePath = path.join(CAPTIONS_DIR, filename);
-          if (fs.existsSync(filePath)) {
-            captionFiles.push(filePath);
-          }
-        }
-
-        // Also check for auto-generated captions pattern
-        const files = fs.readdirSync(CAPTIONS_DIR);
-        const videoCaptions = files.filter(f =>
-          f.startsWith(videoId) &&
-          f.endsWith('.srt') &&
-          !captionFiles.includes(path.join(CAPTIONS_DIR, f))
-        );
-
-        videoCaptions.forEach(f => {
-          captionFiles.push(path.join(CAPTIONS_DIR, f));
-        });
-
-        if (captionFiles.length > 0) {
-          // Determine if auto-generated or manual
-          const isAutoGenerated = captionFiles[0].includes('-orig') ||
-                                   !possibleFiles.slice(0, 3).some(f =>
-                                     captionFiles.includes(path.join(CAPTIONS_DIR, f))
-                                   );
-
-          resolve({
-            captionFiles,
-            language: 'en',
-            type: isAutoGenerated ? 'auto-generated' : 'manual'
-          });
-        } else {
-          reject(new Error('No captions available for this video'));
-        }
+        resolve();
+        return;
+      }
+
+      // Download failed
+      const error = errorOutput.trim() || stdOutput.trim() || `yt-dlp exited with code ${code}`;
+
+      // Check if error is due to no captions available
+      if (error.includes('no subtitles') || error.includes('No subtitles')) {
+        reject(new Error('No captions available for this video'));
       } else {
-        // Download failed
-        const error = errorOutput.trim() || stdOutput.trim() || `yt-dlp exited with code ${code}`;
-
-        // Check if error is due to no captions available
-        if (error.includes('no subtitles') || error.includes('No subtitles')) {
-          reject(new Error('No captions available for this video'));
-        } else {
-          reject(new Error(error));
-        }
+        reject(new Error(error));
       }
     });
 
@@ -125,37 +134,113 @@ async function downloadCaptions(videoId) {
 }
 
 /**
- * Check if captions are already downloaded for a video
+ * Download captions/subtitles for a video using yt-dlp
+ * Manual subtitles and auto-generated captions are downloaded in separate passes, since yt-dlp names both
+ * VIDEO_ID.<lang>.<ext>. Auto-generated tracks are renamed VIDEO_ID.<lang>-auto.<ext> (-orig tracks keep
+ * their name) and left out for languages that have manual subtitles, as yt-dlp does when downloading both.
  * @param {string} videoId - YouTube video ID
- * @returns {boolean}
+ * @param {Object} options
+ * @param {string[]} options.languages - Caption languages by preference (default: CAPTION_LANGUAGES or English)
+ * @param {function(): Promise<void>} options.throttle - Awaited before each yt-dlp call (see runJobs)
+ * @returns {Promise<{captionFiles: string[], language: string, type: string}>} Files (preferred first) and
+ *   the detected language and type of the preferred one
  */
-function areCaptionsDownloaded(videoId) {
+async function downloadCaptions(videoId, {languages = resolveCaptionLanguages(), throttle = async () => {}} = {}) {
+  // Ensure captions directory exists
   if (!fs.existsSync(CAPTIONS_DIR)) {
-    return false;
+    fs.mkdirSync(CAPTIONS_DIR, {recursive: true});
   }
 
-  const files = fs.readdirSync(CAPTIONS_DIR);
-  return files.some(f => f.startsWith(videoId) && f.endsWith('.srt'));
+  const youtubeUrl = `https://www.youtube.com/watch?v=${videoId}`;
+
+  // Each language also matches its regional and original tracks (es -> es, es-419, es-orig)
+  const subLangs = languages.map(l => `${l}.*`).join(',');
+
+  // yt-dlp arguments to download subtitles only (no video)
+  const args = [
+    youtubeUrl,
+    '--sub-langs', subLangs,    // Configured languages only
+    '--sub-format', 'srt/vtt',  // SRT, else YouTube's native VTT
+    '--skip-download',          // Don't download the video
+    '--no-warnings',            // Suppress warnings
+    '--quiet'                   // Minimal output
+  ];
+
+  // User-created subtitles, straight to the captions directory
+  await throttle();
+  await runYtDlp([...args, '--write-subs', '-o', path.join(CAPTIONS_DIR, `${videoId}.%(ext)s`)]);
+  const manualTracks = new Set(listCaptionFiles(videoId).map(f => trackLanguageOf(videoId, f)));
+
+  // Auto-generated captions, to a temporary folder first so they can be renamed
+  const autoDir = fs.mkdtempSync(path.join(CAPTIONS_DIR, `.${videoId}-auto-`));
+  try {
+    await throttle();
+    await runYtDlp([...args, '--write-auto-subs', '-o', path.join(autoDir, `${videoId}.%(ext)s`)]);
+
+    fs.readdirSync(autoDir).filter(f => f.startsWith(`${videoId}.`) && isCaptionFile(f)).forEach(filename => {
+      const track = trackLanguageOf(videoId, filename);
+      if (manualTracks.has(track)) return;
+
+      const autoTrack = isAutoTrack(track) ? track : `${track}${AUTO_SUFFIX}`;
+      fs.renameSync(path.join(autoDir, filename), path.join(CAPTIONS_DIR, `${videoId}.${autoTrack}${path.extname(filename)}`));
+    });
+  } finally {
+    fs.rmSync(autoDir, {recursive: true, force: true});
+  }
+
+  const filenames = sortByLanguage(videoId, listCaptionFiles(videoId), languages);
+  if (filenames.length === 0) {
+    throw new Error('No captions available for this video');
+  }
+
+  const rows = [];
+  for (const filename of filenames) {
+    rows.push(await recordCaptionFile(videoId, filename));
+  }
+
+  return {
+    captionFiles: filenames.map(f => path.join(CAPTIONS_DIR, f)),
+    language: rows[0].language,
+    type: rows[0].type
+  };
 }
 
 /**
- * Get caption file path for a video
+ * Check if captions are already downloaded for a video
  * @param {string} videoId - YouTube video ID
- * @returns {string|null} Path to caption file or null if not found
+ * @returns {boolean}
  */
-function getCaptionFile(videoId) {
-  if (!fs.existsSync(CAPTIONS_DIR)) {
-    return null;
-  }
+function areCaptionsDownloaded(videoId) {
+  return listCaptionFiles(videoId).length > 0;
+}
 
-  const files = fs.readdirSync(CAPTIONS_DIR);
-  const captionFile = files.find(f => f.startsWith(videoId) && f.endsWith('.srt'));
+/**
+ * Get caption file path for a video, in the most preferred language available
+ * @param {string} videoId - YouTube video ID
+ * @param {string[]} languages - Language codes by preference (default: CAPTION_LANGUAGES or English)
+ * @returns {string|null} Path to caption file or null if not found
+ */
+function getCaptionFile(videoId, languages = resolveCaptionLanguages()) {
+  const [captionFile] = sortByLanguage(videoId, listCaptionFiles(videoId), languages);
 
   return captionFile ? path.join(CAPTIONS_DIR, captionFile) : null;
 }
 
 /**
- * Read and parse caption file content
+ * Language of a caption file: detected when it was downloaded, else its track language
+ * @param {string} videoId - YouTube video ID
+ * @param {string} captionFile - Path to the caption file
+ * @returns {Promise<string>} Language code
+ */
+async function getCaptionLanguage(videoId, captionFile) {
+  const filename = path.basename(captionFile);
+  const [row] = await db.select().from(captionFilesTable).where(eq(captionFilesTable.file, filename));
+
+  return row?.language || baseLanguage(trackLanguageOf(videoId, filename));
+}
+
+/**
+ * Read the cleaned caption text of a video (see transcript.js)
  * @param {string} videoId - YouTube video ID
  * @returns {string|null} Caption text content or null
  */
@@ -166,31 +251,19 @@ function readCaptionText(videoId) {
     return null;
   }
 
-  const content = fs.readFileSync(captionFile, 'utf-8');
-
-  // Parse SRT format and extract just the text (remove timestamps and index numbers)
-  const lines = content.split('\n');
-  const textLines = [];
-
-  for (const line of lines) {
-    const trimmed = line.trim();
-    // Skip empty lines, index numbers, and timestamp lines
-    if (trimmed &&
-        !trimmed.match(/^\d+$/) &&
-        !trimmed.match(/^\d{2}:\d{2}:\d{2},\d{3} --> \d{2}:\d{2}:\d{2},\d{3}$/)) {
-      textLines.push(trimmed);
-    }
-  }
-
-  return textLines.join(' ');
+  return readTranscript(captionFile).text;
 }
 
 /**
- * Download captions for all videos with rate limiting
+ * Download captions for all videos through the job queue ("captions" stage)
+ * Interrupted runs resume where they stopped; videos that failed in an earlier run, or had no captions in
+ * the same languages, are counted but not tried again.
  * @param {string[]} videoIds - Array of YouTube video IDs
- * @returns {Promise<{success: number, failed: number, skipped: number, noCaptions: number}>}
+ * @param {Object} options
+ * @param {string[]} options.languages - Caption languages by preference (default: CAPTION_LANGUAGES or English)
+ * @returns {Promise<{success: number, failed: number, skipped: number, noCaptions: number, errors: Array}>}
  */
-async function downloadAllCaptions(videoIds) {
+async function downloadAllCaptions(videoIds, {languages = resolveCaptionLanguages()} = {}) {
   const results = {
     success: 0,
     failed: 0,
@@ -199,45 +272,32 @@ async function downloadAllCaptions(videoIds) {
     errors: []
   };
 
-  console.log(`\nDownloading captions for ${videoIds.length} videos using yt-dlp...\n`);
+  // Already downloaded captions are skipped without queueing a job
+  const toDownload = videoIds.filter(id => !areCaptionsDownloaded(id));
+  results.skipped = videoIds.length - toDownload.length;
 
-  const startTime = Date.now();
+  console.log(`\nDownloading ${languages.join(', ')} captions for ${toDownload.length} videos using yt-dlp (${describeStage('captions')})...\n`);
 
-  for (let i = 0; i < videoIds.length; i++) {
-    const videoId = videoIds[i];
-    const progress = `[${i + 1}/${videoIds.length}]`;
+  const startTime = Date.now();
 
-    // Check if already downloaded
-    if (areCaptionsDownloaded(videoId)) {
-      console.log(`${progress} ⊘ ${videoId} - Captions already downloaded, skipping`);
-      results.skipped++;
-      continue;
-    }
+  const jobResults = await runJobs('captions', toDownload, async (videoId, progress, throttle) => {
+    console.log(`${progress} Downloading captions for ${videoId}...`);
 
     try {
-      console.log(`${progress} Downloading captions for ${videoId}...`);
-
-      const {captionFiles, type} = await downloadCaptions(videoId);
-
-      results.success++;
-      console.log(`${progress} ✓ ${videoId} (${type}, ${captionFiles.length} file(s))`);
-
-      // Small delay between downloads
-      if (i + 1 < videoIds.length) {
-        await sleep(500); // 0.5 second delay
-      }
-
+      const {captionFiles, language, type} = await downloadCaptions(videoId, {languages, throttle});
+      console.log(`${progress} ✓ ${videoId} (${language}, ${type}, ${captionFiles.length} file(s))`);
     } catch (error) {
       if (error.message.includes('No captions available')) {
-        results.noCaptions++;
-        console.log(`${progress} ○ ${videoId} - No captions available`);
-      } else {
-        results.failed++;
-        console.log(`${progress} ✗ ${videoId} - ${error.message}`);
-        results.errors.push({videoId, error: error.message});
+        return {skipped: 'No captions available'};
       }
+      throw error;
     }
-  }
+  }, {jobOptions: {languages}});
+
+  results.success = jobResults.done;
+  results.noCaptions = jobResults.skipped + jobResults.earlier.skipped;
+  results.failed = jobResults.failed + jobResults.earlier.failed;
+  results.errors = jobResults.errors;
 
   const duration = ((Date.now() - startTime) / 1000).toFixed(1);
 
@@ -247,6 +307,9 @@ async function downloadAllCaptions(videoIds) {
   console.log(`  ⊘ Skipped: ${results.skipped} videos (already downloaded)`);
   console.log(`  ○ No captions: ${results.noCaptions} videos`);
   console.log(`  ✗ Failed: ${results.failed} videos`);
+  if (jobResults.earlier.failed > 0) {
+    console.log(`    (${jobResults.earlier.failed} failed in earlier runs; retry with "npm run jobs -- retry-failed")`);
+  }
   console.log(`  ⏱  Total time: ${duration}s`);
   console.log();
 
@@ -264,11 +327,12 @@ function deleteCaptions(videoId) {
   }
 
   const files = fs.readdirSync(CAPTIONS_DIR);
-  const captionFiles = files.filter(f => f.startsWith(videoId) && f.endsWith('.srt'));
+  const captionFiles = files.filter(f => f.startsWith(videoId) && isCaptionFile(f));
 
   for (const file of captionFiles) {
     fs.unlinkSync(path.join(CAPTIONS_DIR, file));
   }
+  db.delete(captionFilesTable).where(eq(captionFilesTable.videoId, videoId)).run();
 
   return captionFiles.length;
 }
@@ -283,13 +347,14 @@ function cleanupAllCaptions() {
   }
 
   const files = fs.readdirSync(CAPTIONS_DIR);
-  const srtFiles = files.filter(f => f.endsWith('.srt'));
+  const captionFiles = files.filter(isCaptionFile);
 
-  for (const file of srtFiles) {
+  for (const file of captionFiles) {
     fs.unlinkSync(path.join(CAPTIONS_DIR, file));
   }
+  db.delete(captionFilesTable).run();
 
-  return srtFiles.length;
+  return captionFiles.length;
 }
 
 export {
@@ -297,6 +362,8 @@ export {
   downloadAllCaptions,
   areCaptionsDownloaded,
   getCaptionFile,
+  getCaptionLanguage,
+  recordCaptionFile,
   readCaptionText,
   deleteCaptions,
   cleanupAllCaptions,
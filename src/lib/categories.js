@@ -0,0 +1,117 @@
+// YouTube video categories (IDs as used in snippet.categoryId)
+import {db, videoCategories} from '../db/index.js';
+
+// Region whose category list is cached (names are localized per region)
+const DEFAULT_REGION_CODE = 'US';
+
+// Built-in names for the standard categories
+const BUILTIN_CATEGORIES = {
+  '1': 'Film & Animation',
+  '2': 'Autos & Vehicles',
+  '10': 'Music',
+  '15': 'Pets & Animals',
+  '17': 'Sports',
+  '18': 'Short Movies',
+  '19': 'Travel & Events',
+  '20': 'Gaming',
+  '21': 'Videoblogging',
+  '22': 'People & Blogs',
+  '23': 'Comedy',
+  '24': 'Entertainment',
+  '25': 'News & Politics',
+  '26': 'Howto & Style',
+  '27': 'Education',
+  '28': 'Science & Technology',
+  '29': 'Nonprofits & Activism',
+  '30': 'Movies',
+  '31': 'Anime/Animation',
+  '32': 'Action/Adventure',
+  '33': 'Classics',
+  '34': 'Comedy',
+  '35': 'Documentary',
+  '36': 'Drama',
+  '37': 'Family',
+  '38': 'Foreign',
+  '39': 'Horror',
+  '40': 'Sci-Fi/Fantasy',
+  '41': 'Thriller',
+  '42': 'Shorts',
+  '43': 'Shows',
+  '44': 'Trailers',
+};
+
+/**
+ * Look up a category ID by name (case-insensitive)
+ * The first matching ID wins, so "Comedy" maps to the assignable category 23.
+ * @param {string} name - Category name, e.g. "Gaming"
+ * @param {Object} names - Map of category ID -> name (default: built-in names)
+ * @returns {string|null} Category ID
+ */
+function categoryIdFromName(name, names = BUILTIN_CATEGORIES) {
+  if (!name) return null;
+
+  const wanted = name.trim().toLowerCase();
+  const match = Object.entries(names).find(([, categoryName]) => categoryName.toLowerCase() === wanted);
+  return match ? match[0] : null;
+}
+
+/**
+ * Resolve a category given as an ID ("20", 20) or a name ("Gaming")
+ * @param {string|number} value - Category ID or name
+ * @param {Object} names - Map of category ID -> name (default: built-in names)
+ * @returns {string|null} Category ID, or null for unknown names
+ */
+function resolveCategoryId(value, names = BUILTIN_CATEGORIES) {
+  const text = String(value ?? '').trim();
+  if (/^\d+$/.test(text)) return text;
+  return categoryIdFromName(text, names);
+}
+
+/**
+ * Category names: cached videoCategories.list results over the built-in map
+ * @returns {Promise<Object>} Map of category ID -> name
+ */
+async function getCategoryNames() {
+  const cached = await db.select().from(videoCategories);
+  const names = {...BUILTIN_CATEGORIES};
+  cached.forEach(c => {
+    names[c.id] = c.title;
+  });
+  return names;
+}
+
+/**
+ * Cache category names from the metadata provider, once per database
+ * Providers without a category list (yt-dlp, fixture) and API failures fall back to the built-in map.
+ * @param {Object} provider - Metadata provider (see metadata-providers/index.js)
+ * @param {string} regionCode - ISO 3166-1 region (default: YOUTUBE_REGION_CODE or US)
+ * @returns {Promise<number>} Number of categories cached by this call
+ */
+async function cacheCategories(provider, regionCode = process.env.YOUTUBE_REGION_CODE || DEFAULT_REGION_CODE) {
+  if (!provider.fetchCategories) return 0;
+
+  const [existing] = await db.select({id: videoCategories.id}).from(videoCategories).limit(1);
+  if (existing) return 0;
+
+  let categories;
+  try {
+    categories = await provider.fetchCategories(regionCode);
+  } catch (error) {
+    console.log(`⚠️  Could not fetch category names, using built-in names: ${error.message}\n`);
+    return 0;
+  }
+
+  for (const category of categories) {
+    await db.insert(videoCategories)
+      .values({...category, regionCode})
+      .onConflictDoUpdate({
+        target: videoCategories.id,
+        set: {title: category.title, assignable: category.assignable, regionCode, fetchedAt: new Date()},
+      });
+  }
+
+  console.log(`✓ Cached ${categories.length} category names (${regionCode})\n`);
+  return categories.length;
+}
+
+export {BUILTIN_CATEGORIES, categoryIdFromName, resolveCategoryId, getCategoryNames, cacheCategories};
@@ -1,11 +1,25 @@
-import {db, videos, channels, watchHistory} from '../db/index.js';
-import {fetchChannelInfo} from './video-analyzer.js';
-import {sql, count, avg, min, max, desc} from 'drizzle-orm';
-
-async function analyzeChannels() {
+import {db, videos, channels, watchHistory, subscriptions} from '../db/index.js';
+import {getMetadataProvider} from './metadata-providers/index.js';
+import {API_ERROR_KINDS} from './api-errors.js';
+import {recordFetchFailures, clearFetchFailures, getUnavailableIds} from './fetch-failures.js';
+import {watchedVideoIds} from './profiles.js';
+import {getChannelContentProfiles} from './channel-profile.js';
+import {sql, count, avg, min, max, desc, and, eq, inArray} from 'drizzle-orm';
+
+/**
+ * Build channel profiles from watched videos, fetching channel details not cached yet
+ * @param {Object} options
+ * @param {string|null} options.profile - Only include this profile's watch history (default: all profiles)
+ * @returns {Promise<Array>} Channel profiles sorted by videos watched, each with a contentProfile
+ */
+async function analyzeChannels({profile = null} = {}) {
   console.log('📊 Channel Profiler');
   console.log('==================\n');
 
+  if (profile) {
+    console.log(`Profile: ${profile}\n`);
+  }
+
   // Build channel statistics from database using SQL aggregation
   const channelStats = await db
     .select({
@@ -20,6 +34,7 @@ async function analyzeChannels() {
       hasAgeRestriction: sql`MAX(CASE WHEN json_array_length(${videos.contentRating}) > 2 THEN 1 ELSE 0 END)`,
     })
     .from(videos)
+    .where(inArray(videos.id, watchedVideoIds(profile)))
     .groupBy(videos.channelId, videos.channelTitle);
 
   console.log(`Found ${channelStats.length} unique channels\n`);
@@ -35,7 +50,10 @@ async function analyzeChannels() {
       })
       .from(watchHistory)
       .innerJoin(videos, sql`${watchHistory.videoId} = ${videos.id}`)
-      .where(sql`${videos.channelId} = ${stat.channelId}`)
+      .where(and(
+        sql`${videos.channelId} = ${stat.channelId}`,
+        profile ? eq(watchHistory.profile, profile) : undefined
+      ))
       .orderBy(desc(watchHistory.watchedAt));
 
     stat.firstWatched = watches[watches.length - 1]?.watchedAt;
@@ -44,44 +62,84 @@ async function analyzeChannels() {
     stat.madeForKidsRatio = stat.madeForKidsCount / stat.videosWatched;
   }
 
+  // Mark subscribed channels, and add subscriptions that don't appear in the watch history
+  const subscribedChannels = await db
+    .select({channelId: subscriptions.channelId, channelTitle: subscriptions.channelTitle})
+    .from(subscriptions)
+    .where(profile ? eq(subscriptions.profile, profile) : undefined);
+  const subscribedLookup = new Map(subscribedChannels.map(s => [s.channelId, s]));
+
+  for (const stat of channelStats) {
+    stat.subscribed = subscribedLookup.has(stat.channelId);
+    subscribedLookup.delete(stat.channelId);
+  }
+
+  for (const {channelId, channelTitle} of subscribedLookup.values()) {
+    channelStats.push({channelId, channelTitle, videosWatched: 0, videos: [], madeForKidsRatio: null, subscribed: true});
+  }
+
+  console.log(`Subscribed: ${channelStats.filter(s => s.subscribed).length} channels (${subscribedLookup.size} not in watch history)\n`);
+
   // Get cached channels
   const cachedChannels = (await db.select({id: channels.id}).from(channels)).map(c => c.id);
-  const uncachedChannels = channelStats.filter(s => !cachedChannels.includes(s.channelId));
+  const unavailableChannels = await getUnavailableIds('channel');
+  const uncachedChannels = channelStats.filter(s => !cachedChannels.includes(s.channelId) && !unavailableChannels.has(s.channelId));
 
   if (uncachedChannels.length > 0) {
     console.log('📡 Fetching channel information...');
 
-    for (const stat of uncachedChannels) {
+    const provider = getMetadataProvider();
+    let fetched = 0;
+    for (const [index, stat] of uncachedChannels.entries()) {
       console.log(`  Fetching: ${stat.channelTitle}...`);
-      const channelInfo = await fetchChannelInfo(stat.channelId);
-
-      if (channelInfo) {
-        await db.insert(channels).values({
-          id: stat.channelId,
-          title: channelInfo.snippet?.title || stat.channelTitle,
-          description: channelInfo.snippet?.description || '',
-          subscriberCount: parseInt(channelInfo.statistics?.subscriberCount || 0),
-          videoCount: parseInt(channelInfo.statistics?.videoCount || 0),
-          viewCount: parseInt(channelInfo.statistics?.viewCount || 0),
-          publishedAt: channelInfo.snippet?.publishedAt,
-          thumbnails: channelInfo.snippet?.thumbnails,
-        });
-
-        await new Promise(resolve => setTimeout(resolve, 1000));
+
+      let result;
+      try {
+        result = await provider.fetchChannels([stat.channelId]);
+      } catch (error) {
+        if (error.kind === API_ERROR_KINDS.QUOTA) {
+          console.log(`\n⚠️  ${error.message}`);
+          console.log(`   Stopping; ${uncachedChannels.length - index} channels left for the next run`);
+          break;
+        }
+        if (error.kind !== API_ERROR_KINDS.TRANSIENT) throw error;
+
+        // Still failing after retries: note it and move on
+        console.log(`  ✗ ${error.message}`);
+        await recordFetchFailures('channel', [stat.channelId], error.kind, error.message);
+        continue;
+      }
+
+      const [channel] = result.items;
+      if (!channel) {
+        const retry = result.failedIds.length > 0;
+        console.log(retry ? '  ✗ Channel not fetched, will retry on the next run' : '  ✗ Channel not found (deleted or terminated)');
+        await recordFetchFailures('channel', [stat.channelId], retry ? API_ERROR_KINDS.TRANSIENT : API_ERROR_KINDS.NOT_FOUND, `Not returned by ${provider.name}`);
+        continue;
       }
+      fetched++;
+
+      await clearFetchFailures('channel', [stat.channelId]);
+      await db.insert(channels).values({...channel, title: channel.title || stat.channelTitle});
+
+      await new Promise(resolve => setTimeout(resolve, 1000));
     }
 
-    console.log(`✓ Fetched ${uncachedChannels.length} new channels\n`);
+    console.log(`✓ Fetched ${fetched} new channels\n`);
   }
 
   // Get all channel info
   const allChannels = await db.select().from(channels);
   const channelLookup = Object.fromEntries(allChannels.map(c => [c.id, c]));
 
+  // Content profile: topics, keywords and audience combined with the AI flag rate of watched videos
+  const contentProfiles = await getChannelContentProfiles(profile);
+
   // Merge stats with channel info
   const profiles = channelStats.map(stat => ({
     ...stat,
     channelInfo: channelLookup[stat.channelId],
+    contentProfile: contentProfiles[stat.channelId] || null,
   })).sort((a, b) => b.videosWatched - a.videosWatched);
 
   console.log('✓ Channel analysis complete\n');
@@ -0,0 +1,110 @@
+// Channel content profiles: channel topics, keywords and audience combined with how often its watched videos were flagged
+import {db, videos, channels, aiAnalysis} from '../db/index.js';
+import {eq, inArray} from 'drizzle-orm';
+import {loadBlocklist, matchKeywords} from './blocklist.js';
+import {watchedVideoIds} from './profiles.js';
+
+// Share of a channel's analyzed videos that must be flagged for a HIGH / MEDIUM channel risk
+const HIGH_FLAG_RATE = 0.5;
+const MEDIUM_FLAG_RATE = 0.2;
+
+// Analyzed videos needed before a flag rate alone makes a channel HIGH risk
+const MIN_ANALYZED_FOR_HIGH = 2;
+
+/**
+ * Whether an AI analysis counts as flagged
+ */
+function isFlagged(analysis) {
+  return analysis.riskLevel === 'HIGH' || analysis.riskLevel === 'MEDIUM' || (analysis.contentFlags || []).length > 0;
+}
+
+/**
+ * Whether an AI analysis is serious enough that its channel is at least MEDIUM risk, whatever its flag rate
+ */
+function isSerious(analysis) {
+  return analysis.riskLevel === 'HIGH' || analysis.flaggedSeverity === 'SEVERE';
+}
+
+/**
+ * Build one channel's content profile
+ * @param {Object|undefined} channel - channels row (undefined if not fetched)
+ * @param {Array<Object>} analyses - AI analyses of the channel's watched videos
+ * @param {string[]} blockedKeywords - Blocklist keywords
+ * @returns {Object} Content profile
+ */
+function buildContentProfile(channel, analyses, blockedKeywords) {
+  const flagged = analyses.filter(isFlagged);
+  const flagRate = analyses.length > 0 ? flagged.length / analyses.length : null;
+
+  const flagCounts = {};
+  flagged.flatMap(a => a.contentFlags || []).forEach(flag => {
+    flagCounts[flag] = (flagCounts[flag] || 0) + 1;
+  });
+  const topFlags = Object.entries(flagCounts).sort((a, b) => b[1] - a[1]).map(([flag]) => flag);
+
+  const keywords = channel?.keywords || [];
+  const blocklistMatches = [...new Set([
+    ...keywords.flatMap(keyword => matchKeywords(keyword, blockedKeywords)),
+    ...matchKeywords(channel?.title, blockedKeywords),
+  ])];
+
+  let riskLevel = 'UNKNOWN';
+  if (blocklistMatches.length > 0 || (flagRate >= HIGH_FLAG_RATE && analyses.length >= MIN_ANALYZED_FOR_HIGH)) {
+    riskLevel = 'HIGH';
+  } else if (flagRate !== null) {
+    riskLevel = flagRate >= MEDIUM_FLAG_RATE || analyses.some(isSerious) ? 'MEDIUM' : 'LOW';
+  }
+
+  const notes = [];
+  if (channel?.madeForKids && flagged.length > 0) {
+    notes.push('marked made for kids but has flagged videos');
+  }
+  if (blocklistMatches.length > 0) {
+    notes.push(`channel keywords match blocklist: ${blocklistMatches.join(', ')}`);
+  }
+
+  return {
+    topics: channel?.topics || [],
+    keywords,
+    country: channel?.country || null,
+    madeForKids: channel?.madeForKids ?? null,
+    analyzed: analyses.length,
+    flagged: flagged.length,
+    flagRate,
+    topFlags,
+    blocklistMatches,
+    riskLevel,
+    notes,
+  };
+}
+
+/**
+ * Content profiles for every channel with watched videos
+ * @param {string|null} profile - Only include this profile's watch history (default: all profiles)
+ * @returns {Promise<Object>} Map of channelId -> content profile
+ */
+async function getChannelContentProfiles(profile = null) {
+  const watched = await db.select({videoId: videos.id, channelId: videos.channelId, analysis: aiAnalysis})
+    .from(videos)
+    .leftJoin(aiAnalysis, eq(aiAnalysis.videoId, videos.id))
+    .where(inArray(videos.id, watchedVideoIds(profile)));
+
+  const channelIds = [...new Set(watched.map(w => w.channelId))];
+  const channelRows = channelIds.length > 0
+    ? await db.select().from(channels).where(inArray(channels.id, channelIds))
+    : [];
+  const channelLookup = Object.fromEntries(channelRows.map(c => [c.id, c]));
+  const {keywords: blockedKeywords} = loadBlocklist();
+
+  const analysesByChannel = {};
+  watched.forEach(({channelId, analysis}) => {
+    if (!analysesByChannel[channelId]) analysesByChannel[channelId] = [];
+    if (analysis) analysesByChannel[channelId].push(analysis);
+  });
+
+  return Object.fromEntries(Object.entries(analysesByChannel).map(([channelId, analyses]) => (
+    [channelId, buildContentProfile(channelLookup[channelId], analyses, blockedKeywords)]
+  )));
+}
+
+export {buildContentProfile, getChannelContentProfiles};
@@ -0,0 +1,64 @@
+// Store and look up flags raised by the classifiers in classifiers/
+import {db, classificationFlags} from '../db/index.js';
+import {and, eq, inArray} from 'drizzle-orm';
+
+// IDs per SELECT (stays under SQLite's variable limit)
+const QUERY_CHUNK_SIZE = 500;
+
+/**
+ * Save a classifier result, replacing that classifier's earlier flags on the video
+ * Skipped results leave earlier flags in place.
+ * @param {Object} result - Classification result ({videoId, classifierName, flags}, see classifiers/README.md)
+ * @returns {Promise<number>} Number of flags saved
+ */
+async function saveClassification(result) {
+  if (result.skipped) return 0;
+
+  const flags = result.flags || [];
+  db.transaction(tx => {
+    tx.delete(classificationFlags)
+      .where(and(eq(classificationFlags.videoId, result.videoId), eq(classificationFlags.classifier, result.classifierName)))
+      .run();
+
+    if (flags.length > 0) {
+      tx.insert(classificationFlags).values(flags.map(flag => ({
+        videoId: result.videoId,
+        classifier: result.classifierName,
+        type: flag.type,
+        severity: flag.severity,
+        message: flag.message,
+        confidence: flag.confidence ?? null,
+        evidence: flag.evidence ?? null,
+      }))).run();
+    }
+  });
+
+  return flags.length;
+}
+
+/**
+ * Classifier flags for a set of videos
+ * @param {string[]|null} videoIds - Video IDs (default: all videos)
+ * @returns {Promise<Object>} Map of videoId -> array of classification_flags rows
+ */
+async function getClassificationFlags(videoIds = null) {
+  let rows;
+  if (videoIds) {
+    rows = [];
+    for (let i = 0; i < videoIds.length; i += QUERY_CHUNK_SIZE) {
+      rows.push(...await db.select().from(classificationFlags)
+        .where(inArray(classificationFlags.videoId, videoIds.slice(i, i + QUERY_CHUNK_SIZE))));
+    }
+  } else {
+    rows = await db.select().from(classificationFlags);
+  }
+
+  const flagMap = {};
+  rows.forEach(row => {
+    if (!flagMap[row.videoId]) flagMap[row.videoId] = [];
+    flagMap[row.videoId].push(row);
+  });
+  return flagMap;
+}
+
+export {saveClassification, getClassificationFlags};
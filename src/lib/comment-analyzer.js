@@ -0,0 +1,131 @@
+// Fetch top comments on watched videos and check them with the comment classifier
+import {db, videos, comments} from '../db/index.js';
+import {and, eq, gt, inArray} from 'drizzle-orm';
+import {classify} from '../../classifiers/comment-classifier.js';
+import {getMetadataProvider} from './metadata-providers/index.js';
+import {API_ERROR_KINDS} from './api-errors.js';
+import {recordFetchFailures, clearFetchFailures, getUnavailableIds} from './fetch-failures.js';
+import {saveClassification} from './classification-flags.js';
+import {watchedVideoIds} from './profiles.js';
+
+// Comment threads fetched per video (commentThreads.list allows up to 100 per request)
+const COMMENTS_PER_VIDEO = 20;
+
+/**
+ * Fetch top comments for watched videos that don't have any cached yet
+ * Costs 1 quota unit per video. Videos with comments turned off are remembered and skipped; videos with
+ * no comments yet are tried again on the next run.
+ * @param {number|null} limit - Maximum videos to fetch comments for (default: all)
+ * @returns {Promise<{videos: number, comments: number, disabled: number, empty: number, failed: number, stopped: boolean}>}
+ */
+async function fetchComments(limit = null) {
+  const results = {videos: 0, comments: 0, disabled: 0, empty: 0, failed: 0, stopped: false};
+
+  const provider = getMetadataProvider();
+  if (!provider.fetchComments) {
+    console.log(`⊘ Skipping comments (not available from ${provider.name})\n`);
+    return results;
+  }
+
+  const candidates = await db.select({id: videos.id}).from(videos)
+    .where(and(inArray(videos.id, watchedVideoIds()), eq(videos.available, true), gt(videos.commentCount, 0)));
+  const cachedIds = new Set((await db.selectDistinct({videoId: comments.videoId}).from(comments)).map(c => c.videoId));
+  const unavailableIds = await getUnavailableIds('comments');
+
+  let videoIds = candidates.map(v => v.id).filter(id => !cachedIds.has(id) && !unavailableIds.has(id));
+  if (limit && videoIds.length > limit) {
+    videoIds = videoIds.slice(0, limit);
+  }
+
+  if (videoIds.length === 0) {
+    console.log('✓ Comments already fetched for all videos\n');
+    return results;
+  }
+
+  console.log(`Fetching comments for ${videoIds.length} videos (via ${provider.name})...`);
+
+  for (const [i, videoId] of videoIds.entries()) {
+    let rows;
+    try {
+      rows = await provider.fetchComments(videoId, COMMENTS_PER_VIDEO);
+    } catch (error) {
+      if (error.kind === API_ERROR_KINDS.QUOTA) {
+        console.log(`\n⚠️  ${error.message}`);
+        console.log(`   Stopping; ${videoIds.length - i} videos left for the next run (run "npm run quota" for details)`);
+        results.stopped = true;
+        break;
+      }
+      if (error.kind === API_ERROR_KINDS.NOT_FOUND) {
+        // Comments turned off (common on made-for-kids videos)
+        await recordFetchFailures('comments', [videoId], error.kind, error.message);
+        results.disabled++;
+        continue;
+      }
+      if (error.kind !== API_ERROR_KINDS.TRANSIENT) throw error;
+
+      console.log(`  ✗ ${videoId}: ${error.message}`);
+      await recordFetchFailures('comments', [videoId], error.kind, error.message);
+      results.failed++;
+      continue;
+    }
+
+    // No comments yet (new or held-for-review comments): not recorded as not-found, so it's checked again
+    if (rows.length === 0) {
+      await recordFetchFailures('comments', [videoId], API_ERROR_KINDS.TRANSIENT, `No comments returned by ${provider.name}`);
+      results.empty++;
+      continue;
+    }
+
+    await db.insert(comments).values(rows).onConflictDoNothing();
+    await clearFetchFailures('comments', [videoId]);
+    results.videos++;
+    results.comments += rows.length;
+
+    if ((i + 1) % 25 === 0) {
+      console.log(`  ${i + 1}/${videoIds.length} videos...`);
+    }
+  }
+
+  console.log(`\n✓ Saved ${results.comments} comments from ${results.videos} videos`);
+  if (results.disabled > 0) {
+    console.log(`  ${results.disabled} videos have comments turned off, skipped from now on`);
+  }
+  if (results.empty > 0) {
+    console.log(`  ${results.empty} videos have no comments yet, checked again on the next run`);
+  }
+  if (results.failed > 0) {
+    console.log(`  ${results.failed} videos failed to fetch, will retry on the next run`);
+  }
+  console.log();
+
+  return results;
+}
+
+/**
+ * Run the comment classifier over every video with cached comments
+ * Flags are saved to classification_flags, replacing the classifier's earlier flags.
+ * @returns {Promise<{analyzed: number, flagged: number}>}
+ */
+async function analyzeComments() {
+  const allComments = await db.select().from(comments);
+
+  const byVideo = {};
+  allComments.forEach(comment => {
+    if (!byVideo[comment.videoId]) byVideo[comment.videoId] = [];
+    byVideo[comment.videoId].push(comment);
+  });
+
+  const results = {analyzed: 0, flagged: 0};
+  for (const [videoId, videoComments] of Object.entries(byVideo)) {
+    const result = await classify({id: videoId}, {comments: videoComments});
+    const flagCount = await saveClassification(result);
+
+    results.analyzed++;
+    if (flagCount > 0) results.flagged++;
+  }
+
+  console.log(`✓ Checked comments on ${results.analyzed} videos, ${results.flagged} flagged\n`);
+  return results;
+}
+
+export {fetchComments, analyzeComments, COMMENTS_PER_VIDEO};
@@ -0,0 +1,88 @@
+// Content type classification: regular videos, Shorts, YouTube Music and live streams
+import {db, videos, watchHistory} from '../db/index.js';
+import {sql} from 'drizzle-orm';
+
+const CONTENT_TYPES = {
+  VIDEO: 'video',
+  SHORT: 'short',
+  MUSIC: 'music',
+  LIVE: 'live',
+};
+
+// Videos at or under this length are treated as Shorts
+const SHORTS_MAX_SECONDS = 60;
+
+// YouTube "Music" category
+const MUSIC_CATEGORY_ID = '10';
+
+/**
+ * Classify a Takeout watch history entry
+ * Plays from the YouTube Music app are marked with header "YouTube Music".
+ * @param {Object} entry - Takeout history entry
+ * @returns {string} 'music' or 'video'
+ */
+function classifyWatchEntry(entry) {
+  if (entry.header === 'YouTube Music' || entry.titleUrl?.includes('music.youtube.com')) {
+    return CONTENT_TYPES.MUSIC;
+  }
+  return CONTENT_TYPES.VIDEO;
+}
+
+/**
+ * Classify a video from its metadata
+ * @param {Object} video
+ * @param {number} video.durationSeconds - Parsed duration
+ * @param {string} video.categoryId - YouTube category ID
+ * @param {string} video.liveBroadcastContent - snippet.liveBroadcastContent (live, upcoming, none)
+ * @param {Object} video.liveStreamingDetails - Present for current and past live streams
+ * @returns {string} 'live', 'short', 'music' or 'video'
+ */
+function classifyVideo({durationSeconds, categoryId, liveBroadcastContent, liveStreamingDetails}) {
+  if ((liveBroadcastContent && liveBroadcastContent !== 'none') || liveStreamingDetails) {
+    return CONTENT_TYPES.LIVE;
+  }
+  if (durationSeconds > 0 && durationSeconds <= SHORTS_MAX_SECONDS) {
+    return CONTENT_TYPES.SHORT;
+  }
+  if (categoryId === MUSIC_CATEGORY_ID) {
+    return CONTENT_TYPES.MUSIC;
+  }
+  return CONTENT_TYPES.VIDEO;
+}
+
+/**
+ * Content type of a single watch: YouTube Music plays win, otherwise the video's own type
+ * @param {string|null} watchType - watch_history.content_type
+ * @param {string|null} videoType - videos.content_type
+ * @returns {string} Content type
+ */
+function effectiveContentType(watchType, videoType) {
+  if (watchType === CONTENT_TYPES.MUSIC) return CONTENT_TYPES.MUSIC;
+  return videoType || CONTENT_TYPES.VIDEO;
+}
+
+/**
+ * IDs of music videos: music category, or only ever played from YouTube Music
+ * @returns {Promise<Set<string>>}
+ */
+async function getMusicVideoIds() {
+  const musicCategory = await db.select({id: videos.id})
+    .from(videos)
+    .where(sql`${videos.contentType} = ${CONTENT_TYPES.MUSIC}`);
+
+  const musicPlays = await db.select({id: watchHistory.videoId})
+    .from(watchHistory)
+    .groupBy(watchHistory.videoId)
+    .having(sql`SUM(CASE WHEN ${watchHistory.contentType} = ${CONTENT_TYPES.MUSIC} THEN 0 ELSE 1 END) = 0`);
+
+  return new Set([...musicCategory, ...musicPlays].map(v => v.id));
+}
+
+export {
+  classifyWatchEntry,
+  classifyVideo,
+  effectiveContentType,
+  getMusicVideoIds,
+  CONTENT_TYPES,
+  SHORTS_MAX_SECONDS
+};
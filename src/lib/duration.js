@@ -0,0 +1,23 @@
+// ISO 8601 durations as returned by the YouTube Data API (contentDetails.duration)
+
+/**
+ * Parse ISO 8601 duration (e.g., PT10M30S, or P1DT2H3M for long streams) to seconds
+ * @param {string} duration - ISO 8601 duration string
+ * @returns {number} Duration in seconds
+ */
+function parseDuration(duration) {
+  if (!duration) return 0;
+
+  const match = duration.match(/^P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if (!match) return 0;
+
+  const weeks = parseInt(match[1] || 0);
+  const days = parseInt(match[2] || 0);
+  const hours = parseInt(match[3] || 0);
+  const minutes = parseInt(match[4] || 0);
+  const seconds = parseInt(match[5] || 0);
+
+  return ((weeks * 7 + days) * 24 + hours) * 3600 + minutes * 60 + seconds;
+}
+
+export {parseDuration};
@@ -0,0 +1,55 @@
+// Track videos, channels and comment threads the YouTube API couldn't return
+import {db, fetchFailures} from '../db/index.js';
+import {and, eq, inArray, sql} from 'drizzle-orm';
+import {API_ERROR_KINDS} from './api-errors.js';
+
+// IDs per DELETE statement (stays under SQLite's variable limit)
+const DELETE_CHUNK_SIZE = 500;
+
+/**
+ * Record failed IDs, counting attempts across runs
+ * @param {string} resourceType - "video", "channel" or "comments"
+ * @param {string[]} ids - Resource IDs
+ * @param {string} reason - API_ERROR_KINDS.NOT_FOUND (permanent) or another kind (retried next run)
+ * @param {string|null} error - Error message
+ * @returns {Promise<void>}
+ */
+async function recordFetchFailures(resourceType, ids, reason, error = null) {
+  for (const resourceId of ids) {
+    await db.insert(fetchFailures)
+      .values({resourceType, resourceId, reason, error})
+      .onConflictDoUpdate({
+        target: [fetchFailures.resourceType, fetchFailures.resourceId],
+        set: {reason, error, attempts: sql`${fetchFailures.attempts} + 1`, lastFailedAt: new Date()},
+      });
+  }
+}
+
+/**
+ * Forget earlier failures for IDs that have now been fetched
+ * @param {string} resourceType - "video", "channel" or "comments"
+ * @param {string[]} ids - Resource IDs
+ * @returns {Promise<void>}
+ */
+async function clearFetchFailures(resourceType, ids) {
+  for (let i = 0; i < ids.length; i += DELETE_CHUNK_SIZE) {
+    await db.delete(fetchFailures).where(and(
+      eq(fetchFailures.resourceType, resourceType),
+      inArray(fetchFailures.resourceId, ids.slice(i, i + DELETE_CHUNK_SIZE))
+    ));
+  }
+}
+
+/**
+ * IDs known to be permanently unavailable (deleted, private or never existed)
+ * @param {string} resourceType - "video", "channel" or "comments"
+ * @returns {Promise<Set<string>>}
+ */
+async function getUnavailableIds(resourceType) {
+  const rows = await db.select({id: fetchFailures.resourceId})
+    .from(fetchFailures)
+    .where(and(eq(fetchFailures.resourceType, resourceType), eq(fetchFailures.reason, API_ERROR_KINDS.NOT_FOUND)));
+  return new Set(rows.map(r => r.id));
+}
+
+export {recordFetchFailures, clearFetchFailures, getUnavailableIds};
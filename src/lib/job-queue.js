@@ -0,0 +1,312 @@
+// SQLite-backed job queue for per-video work: a worker pool per stage, rate limited per external service
+import {db, jobs} from '../db/index.js';
+import {and, desc, eq, inArray, sql} from 'drizzle-orm';
+
+// Stages, the service each one calls and how many videos it works on at once
+const STAGES = {
+  captions: {label: 'Caption downloads', service: 'youtube', concurrency: envInt('CAPTION_CONCURRENCY', 2)},
+  video: {label: 'Video downloads', service: 'youtube', concurrency: envInt('DOWNLOAD_CONCURRENCY', 1)},
+  analysis: {label: 'AI analysis', service: 'openai', concurrency: envInt('ANALYSIS_CONCURRENCY', 4)},
+};
+
+// Minimum time between requests to each service, shared by every worker and stage in the process
+const SERVICE_INTERVALS_MS = {
+  youtube: envInt('YOUTUBE_REQUEST_INTERVAL_MS', 1000),
+  openai: envInt('OPENAI_REQUEST_INTERVAL_MS', 250),
+};
+
+// Attempts before a job is marked failed (see "npm run jobs -- retry-failed"), and the wait before the first retry
+const MAX_ATTEMPTS = envInt('JOB_MAX_ATTEMPTS', 3);
+const RETRY_DELAY_MS = 5000;
+
+// Jobs running for longer than this were left behind by an interrupted run; younger ones belong to a run
+// still in progress
+const STALE_RUNNING_MS = envInt('JOB_STALE_MINUTES', 60) * 60 * 1000;
+
+const JOB_STATES = ['pending', 'running', 'done', 'skipped', 'failed'];
+
+// IDs per statement (stays under SQLite's variable limit)
+const CHUNK_SIZE = 500;
+
+const rateLimiters = new Map();
+
+/**
+ * Read a non-negative integer setting from the environment
+ */
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return isNaN(value) || value < 0 ? fallback : value;
+}
+
+/**
+ * Sleep utility for delays
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Rate limiter shared by everything that calls a service
+ * Each wait() resolves at least the service's interval after the previous one, however many workers call it.
+ * @param {string} service - "youtube" or "openai"
+ * @returns {{service: string, intervalMs: number, wait: function(): Promise<void>}}
+ */
+function getRateLimiter(service) {
+  if (!rateLimiters.has(service)) {
+    const intervalMs = SERVICE_INTERVALS_MS[service] ?? 0;
+    let nextSlot = 0;
+
+    rateLimiters.set(service, {
+      service,
+      intervalMs,
+      wait() {
+        const now = Date.now();
+        const slot = Math.max(now, nextSlot);
+        nextSlot = slot + intervalMs;
+        return sleep(slot - now);
+      },
+    });
+  }
+
+  return rateLimiters.get(service);
+}
+
+/**
+ * Describe how a stage is throttled, for progress output
+ * @param {string} stage - Key of STAGES
+ * @param {number} concurrency - Workers (default: the stage's setting)
+ * @returns {string} e.g. "2 at a time, 1s between youtube requests"
+ */
+function describeStage(stage, concurrency = STAGES[stage].concurrency) {
+  const {service} = STAGES[stage];
+  return `${Math.max(1, concurrency)} at a time, ${SERVICE_INTERVALS_MS[service] / 1000}s between ${service} requests`;
+}
+
+/**
+ * Queue videos for a stage
+ * New videos start pending. Jobs left running by an interrupted run (see STALE_RUNNING_MS) go back to
+ * pending, while jobs a concurrent run is working on are left to it. Done jobs are queued again (callers
+ * only pass videos whose work is missing, e.g. deleted caption files). Skipped jobs are queued again when
+ * the options change (e.g. captions in other languages); failed jobs stay as they are until
+ * "npm run jobs -- retry-failed".
+ * @param {string} stage - Key of STAGES
+ * @param {string[]} videoIds - YouTube video IDs
+ * @param {Object|null} options - What the jobs are queued with, stored on them (e.g. {languages})
+ * @returns {Promise<void>}
+ */
+async function enqueueJobs(stage, videoIds, options = null) {
+  const staleBefore = Math.floor((Date.now() - STALE_RUNNING_MS) / 1000);
+
+  for (let i = 0; i < videoIds.length; i += CHUNK_SIZE) {
+    await db.insert(jobs)
+      .values(videoIds.slice(i, i + CHUNK_SIZE).map(videoId => ({stage, videoId, options})))
+      .onConflictDoUpdate({
+        target: [jobs.stage, jobs.videoId],
+        set: {
+          state: 'pending',
+          options: sql`excluded.options`,
+          attempts: sql`CASE WHEN ${jobs.state} IN ('done', 'skipped') THEN 0 ELSE ${jobs.attempts} END`,
+          updatedAt: new Date(),
+        },
+        setWhere: sql`${jobs.state} IN ('pending', 'done')
+          OR (${jobs.state} = 'running' AND ${jobs.updatedAt} < ${staleBefore})
+          OR (${jobs.state} = 'skipped' AND ${jobs.options} IS NOT excluded.options)`,
+      });
+  }
+}
+
+/**
+ * Jobs of a stage for the given videos, in queue order
+ */
+async function getJobs(stage, videoIds) {
+  const rows = [];
+  for (let i = 0; i < videoIds.length; i += CHUNK_SIZE) {
+    rows.push(...await db.select().from(jobs)
+      .where(and(eq(jobs.stage, stage), inArray(jobs.videoId, videoIds.slice(i, i + CHUNK_SIZE)))));
+  }
+  return rows.sort((a, b) => a.id - b.id);
+}
+
+/**
+ * Mark a pending job running, unless another run got to it first
+ * @returns {Promise<boolean>} Whether this run claimed the job
+ */
+async function claimJob(job) {
+  const claimed = await db.update(jobs)
+    .set({state: 'running', attempts: job.attempts + 1, updatedAt: new Date()})
+    .where(and(eq(jobs.id, job.id), eq(jobs.state, 'pending')))
+    .returning({id: jobs.id});
+  return claimed.length > 0;
+}
+
+/**
+ * Update a job's state
+ */
+async function updateJob(id, values) {
+  await db.update(jobs).set({...values, updatedAt: new Date()}).where(eq(jobs.id, id));
+}
+
+/**
+ * Run a stage's pending jobs for the given videos through a worker pool
+ * Handlers get a throttle function to await before each request to the stage's service (a caption job
+ * makes two yt-dlp calls), so the service's rate limit holds per request. A handler that throws is
+ * retried (after the other jobs, with a growing delay) until MAX_ATTEMPTS, then the job is marked failed.
+ * A handler can return {skipped: reason} when there's nothing to do (e.g. a video without captions).
+ * Skip and failure lines are printed here; handlers print their own progress and success lines.
+ * @param {string} stage - Key of STAGES
+ * @param {string[]} videoIds - Videos that need the stage's work
+ * @param {function(string, string, function(): Promise<void>): Promise<Object|void>} handler - Called with
+ *   (videoId, progress label, throttle)
+ * @param {Object} options
+ * @param {number} options.concurrency - Workers (default: the stage's setting)
+ * @param {Object|null} options.jobOptions - Stored on the jobs; skipped jobs run again when they change (see enqueueJobs)
+ * @returns {Promise<{done: number, skipped: number, failed: number, errors: Array, earlier: {skipped: number, failed: number}}>}
+ *   earlier counts videos left skipped or failed by previous runs, which weren't tried again
+ */
+async function runJobs(stage, videoIds, handler, {concurrency = STAGES[stage].concurrency, jobOptions = null} = {}) {
+  await enqueueJobs(stage, videoIds, jobOptions);
+
+  const stageJobs = await getJobs(stage, videoIds);
+  const queue = stageJobs.filter(job => job.state === 'pending');
+  const results = {
+    done: 0,
+    skipped: 0,
+    failed: 0,
+    errors: [],
+    earlier: {
+      skipped: stageJobs.filter(job => job.state === 'skipped').length,
+      failed: stageJobs.filter(job => job.state === 'failed').length,
+    },
+  };
+
+  const limiter = getRateLimiter(STAGES[stage].service);
+  const total = queue.length;
+  let started = 0;
+
+  async function worker() {
+    while (queue.length > 0) {
+      const job = queue.shift();
+      job.progress ??= `[${++started}/${total}]`;
+
+      if (job.retryAt > Date.now()) {
+        await sleep(job.retryAt - Date.now());
+      }
+
+      // Another run started on it meanwhile
+      if (!await claimJob(job)) continue;
+      job.attempts++;
+
+      try {
+        const outcome = await handler(job.videoId, job.progress, limiter.wait);
+
+        if (outcome?.skipped) {
+          await updateJob(job.id, {state: 'skipped', lastError: outcome.skipped});
+          results.skipped++;
+          console.log(`${job.progress} ○ ${job.videoId} - ${outcome.skipped}`);
+        } else {
+          await updateJob(job.id, {state: 'done', lastError: null});
+          results.done++;
+        }
+      } catch (error) {
+        if (job.attempts < MAX_ATTEMPTS) {
+          await updateJob(job.id, {state: 'pending', lastError: error.message});
+          console.log(`${job.progress} ✗ ${job.videoId} - ${error.message} (attempt ${job.attempts}/${MAX_ATTEMPTS}, will retry)`);
+          job.retryAt = Date.now() + RETRY_DELAY_MS * 2 ** (job.attempts - 1);
+          queue.push(job);
+        } else {
+          await updateJob(job.id, {state: 'failed', lastError: error.message});
+          results.failed++;
+          results.errors.push({videoId: job.videoId, error: error.message});
+          console.log(`${job.progress} ✗ ${job.videoId} - ${error.message}`);
+        }
+      }
+    }
+  }
+
+  const workers = Math.min(Math.max(1, concurrency), queue.length);
+  await Promise.all(Array.from({length: workers}, () => worker()));
+
+  return results;
+}
+
+/**
+ * Job counts by stage and state
+ * @returns {Promise<Array<{stage: string, label: string, pending: number, running: number, done: number, skipped: number, failed: number}>>}
+ */
+async function getJobStatus() {
+  const rows = await db.select({stage: jobs.stage, state: jobs.state, count: sql`count(*)`.mapWith(Number)})
+    .from(jobs)
+    .groupBy(jobs.stage, jobs.state);
+
+  return Object.entries(STAGES).map(([stage, {label}]) => {
+    const counts = Object.fromEntries(JOB_STATES.map(state => [state, 0]));
+    rows.filter(r => r.stage === stage).forEach(r => {
+      counts[r.state] = r.count;
+    });
+    return {stage, label, ...counts};
+  });
+}
+
+/**
+ * Most recently failed jobs
+ * @param {Object} options
+ * @param {string|null} options.stage - Only this stage (default: all)
+ * @param {number} options.limit - Maximum jobs
+ * @returns {Promise<Array>} jobs rows
+ */
+async function getFailedJobs({stage = null, limit = 10} = {}) {
+  const conditions = [eq(jobs.state, 'failed')];
+  if (stage) conditions.push(eq(jobs.stage, stage));
+
+  return db.select().from(jobs)
+    .where(and(...conditions))
+    .orderBy(desc(jobs.updatedAt), desc(jobs.id))
+    .limit(limit);
+}
+
+/**
+ * Videos whose job for a stage has failed
+ * @param {string} stage - Key of STAGES
+ * @returns {Promise<Set<string>>}
+ */
+async function getFailedVideoIds(stage) {
+  const rows = await db.select({videoId: jobs.videoId})
+    .from(jobs)
+    .where(and(eq(jobs.stage, stage), eq(jobs.state, 'failed')));
+  return new Set(rows.map(r => r.videoId));
+}
+
+/**
+ * Put failed jobs back in the queue with fresh attempts
+ * @param {string|null} stage - Only this stage (default: all)
+ * @returns {Promise<Object<string, Array<{videoId: string, options: Object|null}>>>} Jobs queued again, by stage
+ */
+async function retryFailedJobs(stage = null) {
+  const conditions = [eq(jobs.state, 'failed')];
+  if (stage) conditions.push(eq(jobs.stage, stage));
+
+  const rows = await db.update(jobs)
+    .set({state: 'pending', attempts: 0, updatedAt: new Date()})
+    .where(and(...conditions))
+    .returning({stage: jobs.stage, videoId: jobs.videoId, options: jobs.options});
+
+  const byStage = {};
+  rows.forEach(({stage: jobStage, videoId, options}) => {
+    (byStage[jobStage] ??= []).push({videoId, options});
+  });
+  return byStage;
+}
+
+export {
+  runJobs,
+  enqueueJobs,
+  getRateLimiter,
+  describeStage,
+  getJobStatus,
+  getFailedJobs,
+  getFailedVideoIds,
+  retryFailedJobs,
+  STAGES,
+  JOB_STATES,
+  MAX_ATTEMPTS
+};
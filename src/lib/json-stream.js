@@ -0,0 +1,98 @@
+// Streaming parser for large top-level JSON arrays (e.g. multi-year Takeout watch history)
+// Only the array element being read is held in memory.
+
+/**
+ * Parse the elements of a top-level JSON array from a stream of text chunks
+ * @param {AsyncIterable<string>} chunks - Text chunks (e.g. a Readable with utf-8 encoding)
+ * @yields {*} Each array element, parsed with JSON.parse
+ * @throws {Error} If the input is not a JSON array
+ */
+async function* streamJsonArray(chunks) {
+  let started = false;    // Seen the opening "["
+  let finished = false;   // Seen the closing "]"
+  let capturing = false;  // Inside an element
+  let scalar = false;     // Element is a string/number/literal rather than an object or array
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let carried = '';       // Start of the current element from previous chunks
+
+  for await (const chunk of chunks) {
+    const text = String(chunk);
+    let start = 0;
+
+    for (let i = 0; i < text.length && !finished; i++) {
+      const char = text[i];
+
+      if (!started) {
+        if (char === '[') {
+          started = true;
+        } else if (!/\s/.test(char)) {
+          throw new Error('Expected a JSON array');
+        }
+        continue;
+      }
+
+      if (!capturing) {
+        if (char === ']') {
+          finished = true;
+          continue;
+        }
+        if (char === ',' || /\s/.test(char)) continue;
+
+        capturing = true;
+        scalar = char !== '{' && char !== '[';
+        start = i;
+      }
+
+      if (inString) {
+        if (escaped) {
+          escaped = false;
+        } else if (char === '\\') {
+          escaped = true;
+        } else if (char === '"') {
+          inString = false;
+        }
+        continue;
+      }
+
+      if (char === '"') {
+        inString = true;
+        continue;
+      }
+
+      let end = -1;
+      if (scalar) {
+        if (char === ',' || char === ']' || /\s/.test(char)) {
+          end = i;
+          finished = char === ']';
+        }
+      } else if (char === '{' || char === '[') {
+        depth++;
+      } else if (char === '}' || char === ']') {
+        depth--;
+        if (depth === 0) end = i + 1;
+      }
+
+      if (end !== -1) {
+        const element = carried + text.slice(start, end);
+        carried = '';
+        capturing = false;
+        yield JSON.parse(element);
+      }
+    }
+
+    if (capturing) {
+      carried += text.slice(start);
+    }
+  }
+
+  if (!started) {
+    throw new Error('Expected a JSON array');
+  }
+  if (!finished) {
+    throw new Error('Unexpected end of JSON array');
+  }
+}
+
+export {streamJsonArray};
@@ -0,0 +1,56 @@
+// Lightweight transcript language detection from common function words
+const STOPWORDS = {
+  en: ['the', 'and', 'you', 'that', 'is', 'it', 'this', 'to', 'of', 'what', 'was', 'with', 'my', 'are', 'have'],
+  es: ['el', 'la', 'los', 'las', 'que', 'y', 'es', 'en', 'por', 'con', 'una', 'para', 'pero', 'muy', 'esto'],
+  pt: ['o', 'os', 'que', 'e', 'é', 'não', 'um', 'uma', 'você', 'com', 'para', 'isso', 'mais', 'muito', 'está'],
+  fr: ['le', 'la', 'les', 'et', 'est', 'que', 'un', 'une', 'pas', 'je', 'vous', 'ce', 'avec', 'pour', 'mais'],
+  de: ['der', 'die', 'das', 'und', 'ist', 'nicht', 'ich', 'du', 'ein', 'eine', 'mit', 'auf', 'es', 'aber', 'sie'],
+};
+
+// Words needed before a guess is trusted, and share of them that must be stopwords of the winner
+const MIN_WORDS = 20;
+const MIN_SCORE = 0.08;
+
+const LANGUAGE_NAMES = new Intl.DisplayNames(['en'], {type: 'language'});
+
+/**
+ * Base language of a caption track or language code (es-419 -> es, en-orig -> en)
+ * @param {string|null} code - Language code
+ * @returns {string|null}
+ */
+function baseLanguage(code) {
+  return code ? code.toLowerCase().split(/[-_]/)[0] : null;
+}
+
+/**
+ * Guess the language of a transcript (English, Spanish, Portuguese, French or German)
+ * @param {string} text - Transcript text
+ * @returns {string|null} Language code, or null if too short or unclear
+ */
+function detectLanguage(text) {
+  const words = (text || '').toLowerCase().match(/\p{L}+/gu) || [];
+  if (words.length < MIN_WORDS) return null;
+
+  const scores = Object.entries(STOPWORDS).map(([language, stopwords]) => {
+    const set = new Set(stopwords);
+    return [language, words.filter(word => set.has(word)).length / words.length];
+  }).sort((a, b) => b[1] - a[1]);
+
+  const [language, score] = scores[0];
+  return score >= MIN_SCORE && score > scores[1][1] ? language : null;
+}
+
+/**
+ * English name of a language code, for prompts and reports
+ * @param {string} code - Language code, e.g. pt-BR
+ * @returns {string} e.g. Brazilian Portuguese
+ */
+function languageName(code) {
+  try {
+    return LANGUAGE_NAMES.of(code) || code;
+  } catch {
+    return code;
+  }
+}
+
+export {detectLanguage, baseLanguage, languageName};
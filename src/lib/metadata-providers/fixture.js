@@ -0,0 +1,47 @@
+// Fake metadata provider backed by a fixture JSON file, for tests and offline development
+// The file holds {"videos": [...], "channels": [...]} as Data API resources or yt-dlp dumps, and
+// optionally {"comments": {"<videoId>": [...]}} as commentThread resources and
+// {"playlists": {"<playlistId>": [{"videoId", "publishedAt"}]}} in playlist order.
+import fs from 'fs';
+import {processVideoData, processChannelData, processCommentThread} from './youtube-api.js';
+import {processYtDlpVideo, processYtDlpChannel} from './yt-dlp.js';
+
+/**
+ * Convert a fixture entry in either format to a row
+ */
+function toVideoRow(entry) {
+  return entry.snippet ? processVideoData(entry) : processYtDlpVideo(entry);
+}
+
+function toChannelRow(entry) {
+  return entry.snippet ? processChannelData(entry) : processYtDlpChannel(entry);
+}
+
+/**
+ * Create a provider that answers from a fixture file
+ * IDs missing from the fixture behave like deleted or private videos.
+ * @param {string} fixturePath - Path to the fixture JSON file
+ * @returns {{name: string, fetchVideos: Function, fetchChannels: Function, fetchComments: Function, fetchPlaylistVideos: Function}}
+ */
+function createFixtureProvider(fixturePath) {
+  if (!fixturePath || !fs.existsSync(fixturePath)) {
+    throw new Error(`Metadata fixture file not found: ${fixturePath} (set METADATA_FIXTURE_FILE)`);
+  }
+
+  const fixture = JSON.parse(fs.readFileSync(fixturePath, 'utf-8'));
+  const videoRows = new Map((fixture.videos || []).map(toVideoRow).map(row => [row.id, row]));
+  const channelRows = new Map((fixture.channels || []).map(toChannelRow).map(row => [row.id, row]));
+  const commentThreads = fixture.comments || {};
+  const playlists = fixture.playlists || {};
+
+  return {
+    name: 'fixture',
+    fetchVideos: async ids => ({items: ids.filter(id => videoRows.has(id)).map(id => videoRows.get(id)), failedIds: []}),
+    fetchChannels: async ids => ({items: ids.filter(id => channelRows.has(id)).map(id => channelRows.get(id)), failedIds: []}),
+    fetchComments: async (videoId, maxResults) => (commentThreads[videoId] || []).slice(0, maxResults)
+      .map(thread => ({...processCommentThread(thread), videoId})),
+    fetchPlaylistVideos: async (playlistId, maxResults) => (playlists[playlistId] || []).slice(0, maxResults),
+  };
+}
+
+export {createFixtureProvider};
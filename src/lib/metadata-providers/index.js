@@ -0,0 +1,52 @@
+// Metadata providers: where video and channel metadata comes from
+//
+// Each provider exposes:
+//   name                      - Provider name
+//   fetchVideos(ids)          - Up to 50 video IDs -> {items: videos rows, failedIds: IDs to retry later}
+//   fetchChannels(ids)        - Up to 50 channel IDs -> {items: channels rows, failedIds: IDs to retry later}
+// and optionally:
+//   fetchComments(id, max)    - A video's top comments as comments rows (without it comments are skipped)
+//   fetchPlaylistVideos(playlistId, max) - A playlist's first videos as [{videoId, publishedAt}] (prescreen, check)
+//   fetchCategories(region)   - video_categories rows (without it the built-in names are used)
+// IDs in neither items nor failedIds are treated as deleted or private. Whole-batch failures throw a
+// YouTubeApiError (quota, auth, transient).
+import 'dotenv/config';
+import {youtubeApiProvider} from './youtube-api.js';
+import {ytDlpProvider} from './yt-dlp.js';
+import {createFixtureProvider} from './fixture.js';
+
+const DEFAULT_PROVIDER = 'youtube-api';
+
+const PROVIDERS = {
+  'youtube-api': () => youtubeApiProvider,
+  'yt-dlp': () => ytDlpProvider,
+  'fixture': () => createFixtureProvider(process.env.METADATA_FIXTURE_FILE),
+};
+
+let provider;
+
+/**
+ * Get the configured metadata provider (METADATA_PROVIDER: youtube-api, yt-dlp or fixture)
+ * @returns {{name: string, fetchVideos: Function, fetchChannels: Function}}
+ * @throws {Error} If METADATA_PROVIDER names an unknown provider
+ */
+function getMetadataProvider() {
+  if (!provider) {
+    const name = process.env.METADATA_PROVIDER || DEFAULT_PROVIDER;
+    if (!PROVIDERS[name]) {
+      throw new Error(`Unknown METADATA_PROVIDER "${name}" (expected ${Object.keys(PROVIDERS).join(', ')})`);
+    }
+    provider = PROVIDERS[name]();
+  }
+  return provider;
+}
+
+/**
+ * Replace the metadata provider (e.g. with a fixture provider in tests)
+ * @param {Object|null} newProvider - Provider, or null to go back to the configured one
+ */
+function setMetadataProvider(newProvider) {
+  provider = newProvider;
+}
+
+export {getMetadataProvider, setMetadataProvider, PROVIDERS};
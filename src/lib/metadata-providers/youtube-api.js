@@ -0,0 +1,290 @@
+// Metadata provider backed by the YouTube Data API (service account, counts against quota)
+import 'dotenv/config';
+import {google} from 'googleapis';
+import path from 'path';
+import {fileURLToPath} from 'url';
+import {classifyVideo} from '../content-type.js';
+import {parseDuration} from '../duration.js';
+import {callYouTubeApi} from '../api-errors.js';
+
+const PROJECT_ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '..', '..');
+const SERVICE_ACCOUNT_KEY = process.env.SERVICE_ACCOUNT_KEY_FILE || path.join(PROJECT_ROOT, 'service-account-key.json');
+
+// Single YouTube client instance
+let youtubeClient;
+
+async function getYouTubeClient() {
+  if (!youtubeClient) {
+    const auth = new google.auth.GoogleAuth({
+      keyFile: SERVICE_ACCOUNT_KEY,
+      scopes: ['https://www.googleapis.com/auth/youtube.readonly'],
+    });
+    youtubeClient = google.youtube({
+      version: 'v3',
+      auth: await auth.getClient(),
+    });
+  }
+  return youtubeClient;
+}
+
+/**
+ * Fetch metadata for up to 50 videos
+ * Deleted and private videos are simply missing from the result.
+ * @param {string[]} videoIds - Video IDs
+ * @returns {Promise<Array>} API video resources
+ * @throws {YouTubeApiError} Classified as quota, auth, transient (after retries) or not-found
+ */
+async function fetchVideoBatch(videoIds) {
+  const res = await callYouTubeApi('videos.list', async () => {
+    const youtube = await getYouTubeClient();
+    return youtube.videos.list({
+      part: ['snippet', 'contentDetails', 'statistics', 'status', 'liveStreamingDetails'],
+      id: videoIds,
+    });
+  });
+  return res.data.items || [];
+}
+
+/**
+ * Fetch details for up to 50 channels
+ * Deleted and terminated channels are missing from the result.
+ * @param {string[]} channelIds - Channel IDs
+ * @returns {Promise<Array>} API channel resources
+ * @throws {YouTubeApiError} Classified as quota, auth, transient (after retries) or not-found
+ */
+async function fetchChannelBatch(channelIds) {
+  const res = await callYouTubeApi('channels.list', async () => {
+    const youtube = await getYouTubeClient();
+    return youtube.channels.list({
+      part: ['snippet', 'statistics', 'contentDetails', 'topicDetails', 'brandingSettings', 'status'],
+      id: channelIds,
+    });
+  });
+  return res.data.items || [];
+}
+
+/**
+ * Fetch the most relevant top-level comments on a video
+ * Videos with comments turned off fail with a not-found YouTubeApiError.
+ * @param {string} videoId - Video ID
+ * @param {number} maxResults - Comment threads to fetch (1-100)
+ * @returns {Promise<Array>} API commentThread resources
+ * @throws {YouTubeApiError} Classified as quota, auth, transient (after retries) or not-found
+ */
+async function fetchCommentThreads(videoId, maxResults) {
+  const res = await callYouTubeApi('commentThreads.list', async () => {
+    const youtube = await getYouTubeClient();
+    return youtube.commentThreads.list({
+      part: ['snippet'],
+      videoId,
+      maxResults,
+      order: 'relevance',
+      textFormat: 'plainText',
+    });
+  });
+  return res.data.items || [];
+}
+
+/**
+ * Fetch the first items of a playlist
+ * @param {string} playlistId - Playlist ID (UU... for a channel's uploads)
+ * @param {number} maxResults - Items to fetch (1-50)
+ * @returns {Promise<Array>} API playlistItem resources
+ * @throws {YouTubeApiError} Classified as quota, auth, transient (after retries) or not-found
+ */
+async function fetchPlaylistItems(playlistId, maxResults) {
+  const res = await callYouTubeApi('playlistItems.list', async () => {
+    const youtube = await getYouTubeClient();
+    return youtube.playlistItems.list({
+      part: ['contentDetails'],
+      playlistId,
+      maxResults,
+    });
+  });
+  return res.data.items || [];
+}
+
+/**
+ * Convert an API video resource to a videos row
+ * @param {Object} video - videos.list item
+ * @returns {Object} Row for the videos table
+ */
+function processVideoData(video) {
+  const {snippet = {}, contentDetails = {}, statistics = {}, status = {}} = video;
+
+  return {
+    id: video.id,
+    title: snippet.title,
+    description: snippet.description,
+    channelId: snippet.channelId,
+    channelTitle: snippet.channelTitle,
+    publishedAt: snippet.publishedAt,
+    tags: snippet.tags || [],
+    categoryId: snippet.categoryId,
+    contentType: classifyVideo({
+      durationSeconds: parseDuration(contentDetails.duration),
+      categoryId: snippet.categoryId,
+      liveBroadcastContent: snippet.liveBroadcastContent,
+      liveStreamingDetails: video.liveStreamingDetails,
+    }),
+    liveBroadcastContent: snippet.liveBroadcastContent,
+    duration: contentDetails.duration,
+    hasCaption: contentDetails.caption === 'true',
+    contentRating: contentDetails.contentRating || {},
+    regionRestriction: contentDetails.regionRestriction,
+    viewCount: parseInt(statistics.viewCount || 0),
+    likeCount: parseInt(statistics.likeCount || 0),
+    commentCount: parseInt(statistics.commentCount || 0),
+    privacyStatus: status.privacyStatus,
+    madeForKids: status.madeForKids,
+    selfDeclaredMadeForKids: status.selfDeclaredMadeForKids,
+    embeddable: status.embeddable,
+    thumbnails: snippet.thumbnails || null,
+  };
+}
+
+/**
+ * Split brandingSettings.channel.keywords ('gaming "lets play" minecraft') into keywords
+ * @param {string} keywords - Space-separated keywords, multi-word ones in double quotes
+ * @returns {string[]}
+ */
+function parseChannelKeywords(keywords) {
+  if (!keywords) return [];
+  return [...keywords.matchAll(/"([^"]+)"|(\S+)/g)].map(m => (m[1] || m[2]).trim()).filter(Boolean);
+}
+
+/**
+ * Topic name from a topicDetails Wikipedia URL (https://en.wikipedia.org/wiki/Video_game_culture)
+ * @param {string} url - Topic category URL
+ * @returns {string} e.g. "Video game culture"
+ */
+function topicName(url) {
+  return decodeURIComponent(url.split('/').pop()).replace(/_/g, ' ');
+}
+
+/**
+ * Convert an API channel resource to a channels row
+ * @param {Object} channelInfo - channels.list item
+ * @returns {Object} Row for the channels table
+ */
+function processChannelData(channelInfo) {
+  return {
+    id: channelInfo.id,
+    title: channelInfo.snippet?.title || '',
+    description: channelInfo.snippet?.description || '',
+    subscriberCount: parseInt(channelInfo.statistics?.subscriberCount || 0),
+    videoCount: parseInt(channelInfo.statistics?.videoCount || 0),
+    viewCount: parseInt(channelInfo.statistics?.viewCount || 0),
+    publishedAt: channelInfo.snippet?.publishedAt,
+    thumbnails: channelInfo.snippet?.thumbnails,
+    uploadsPlaylistId: channelInfo.contentDetails?.relatedPlaylists?.uploads || null,
+    country: channelInfo.snippet?.country || channelInfo.brandingSettings?.channel?.country || null,
+    madeForKids: channelInfo.status?.madeForKids ?? null,
+    keywords: parseChannelKeywords(channelInfo.brandingSettings?.channel?.keywords),
+    topics: (channelInfo.topicDetails?.topicCategories || []).map(topicName),
+  };
+}
+
+/**
+ * Convert an API commentThread resource to a comments row
+ * @param {Object} thread - commentThreads.list item
+ * @returns {Object} Row for the comments table
+ */
+function processCommentThread(thread) {
+  const comment = thread.snippet?.topLevelComment?.snippet || {};
+
+  return {
+    id: thread.id,
+    videoId: thread.snippet?.videoId || comment.videoId,
+    authorName: comment.authorDisplayName,
+    authorChannelId: comment.authorChannelId?.value || null,
+    text: comment.textOriginal || comment.textDisplay || '',
+    likeCount: parseInt(comment.likeCount || 0),
+    replyCount: parseInt(thread.snippet?.totalReplyCount || 0),
+    publishedAt: comment.publishedAt,
+  };
+}
+
+/**
+ * Fetch up to 50 videos as videos rows
+ * @param {string[]} videoIds - Video IDs
+ * @returns {Promise<{items: Array, failedIds: string[]}>} Rows for videos the API returned
+ */
+async function fetchVideos(videoIds) {
+  const items = await fetchVideoBatch(videoIds);
+  return {items: items.map(processVideoData), failedIds: []};
+}
+
+/**
+ * Fetch up to 50 channels as channels rows
+ * @param {string[]} channelIds - Channel IDs
+ * @returns {Promise<{items: Array, failedIds: string[]}>} Rows for channels the API returned
+ */
+async function fetchChannels(channelIds) {
+  const items = await fetchChannelBatch(channelIds);
+  return {items: items.map(processChannelData), failedIds: []};
+}
+
+/**
+ * Fetch a video's top comments as comments rows
+ * @param {string} videoId - Video ID
+ * @param {number} maxResults - Comment threads to fetch (1-100)
+ * @returns {Promise<Array>} Rows for the comments table
+ */
+async function fetchComments(videoId, maxResults) {
+  const items = await fetchCommentThreads(videoId, maxResults);
+  return items.map(processCommentThread);
+}
+
+/**
+ * Fetch the first videos of a playlist (a channel's uploads playlist lists the newest first)
+ * @param {string} playlistId - Playlist ID
+ * @param {number} maxResults - Videos to list (1-50)
+ * @returns {Promise<Array<{videoId: string, publishedAt: string|null}>>} In playlist order
+ */
+async function fetchPlaylistVideos(playlistId, maxResults) {
+  const items = await fetchPlaylistItems(playlistId, maxResults);
+  return items.map(item => ({
+    videoId: item.contentDetails?.videoId,
+    publishedAt: item.contentDetails?.videoPublishedAt || null,
+  })).filter(upload => upload.videoId);
+}
+
+/**
+ * Fetch the video category list for a region
+ * @param {string} regionCode - ISO 3166-1 region, e.g. "US"
+ * @returns {Promise<Array<{id: string, title: string, assignable: boolean}>>} Rows for the video_categories table
+ */
+async function fetchCategories(regionCode) {
+  const res = await callYouTubeApi('videoCategories.list', async () => {
+    const youtube = await getYouTubeClient();
+    return youtube.videoCategories.list({part: ['snippet'], regionCode});
+  });
+  return (res.data.items || []).map(category => ({
+    id: category.id,
+    title: category.snippet?.title || '',
+    assignable: category.snippet?.assignable ?? null,
+  }));
+}
+
+const youtubeApiProvider = {
+  name: 'youtube-api',
+  fetchVideos,
+  fetchChannels,
+  fetchComments,
+  fetchPlaylistVideos,
+  fetchCategories,
+};
+
+export {
+  youtubeApiProvider,
+  getYouTubeClient,
+  fetchVideoBatch,
+  fetchChannelBatch,
+  fetchCommentThreads,
+  fetchPlaylistItems,
+  processVideoData,
+  processChannelData,
+  processCommentThread,
+  parseChannelKeywords
+};
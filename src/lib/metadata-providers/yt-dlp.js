@@ -0,0 +1,298 @@
+// Metadata provider backed by yt-dlp --dump-json (no Google Cloud setup, no API quota)
+import {spawn} from 'child_process';
+import {classifyVideo} from '../content-type.js';
+import {categoryIdFromName} from '../categories.js';
+import {YouTubeApiError, API_ERROR_KINDS} from '../api-errors.js';
+
+// yt-dlp error messages for videos/channels that are gone for good
+const UNAVAILABLE_PATTERN = /unavailable|private video|removed|terminated|does not exist|not available|account associated|been deleted/i;
+
+// yt-dlp error for age-gated videos: available, but their formats need a signed-in account
+const AGE_RESTRICTED_PATTERN = /confirm your age|age-restricted|inappropriate for some users/i;
+
+// yt-dlp live_status values that mean the video is or was a live stream
+const LIVE_STATUSES = ['is_live', 'is_upcoming', 'was_live', 'post_live'];
+
+/**
+ * Run yt-dlp and collect its output
+ * @param {string[]} args - Command line arguments
+ * @returns {Promise<{code: number, stdout: string, stderr: string}>}
+ */
+function runYtDlp(args) {
+  return new Promise((resolve, reject) => {
+    const ytdlp = spawn('yt-dlp', args);
+
+    let stdout = '';
+    let stderr = '';
+
+    ytdlp.stdout.on('data', (data) => {
+      stdout += data.toString();
+    });
+
+    ytdlp.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+
+    ytdlp.on('close', (code) => resolve({code, stdout, stderr}));
+
+    // Not installed (ENOENT) or not executable: retrying won't help
+    ytdlp.on('error', (error) => {
+      reject(new YouTubeApiError(API_ERROR_KINDS.UNKNOWN, `Failed to spawn yt-dlp: ${error.message}`, error));
+    });
+  });
+}
+
+/**
+ * Split yt-dlp errors into per-ID messages ("ERROR: [youtube] <id>: <message>")
+ * @returns {Map<string, string>} ID -> error message
+ */
+function parseErrors(stderr) {
+  const errors = new Map();
+  for (const line of stderr.split('\n')) {
+    const match = line.match(/^ERROR: \[[^\]]+\] ([\w-]+): (.*)$/);
+    if (match) errors.set(match[1], match[2]);
+  }
+  return errors;
+}
+
+/**
+ * Format seconds as an ISO 8601 duration (e.g. 630 -> PT10M30S), as the Data API returns it
+ * @param {number} seconds - Duration in seconds
+ * @returns {string|null}
+ */
+function toIsoDuration(seconds) {
+  if (seconds === null || seconds === undefined) return null;
+
+  const total = Math.round(seconds);
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = total % 60;
+
+  if (total === 0) return 'PT0S';
+  return `PT${hours ? `${hours}H` : ''}${minutes ? `${minutes}M` : ''}${secs ? `${secs}S` : ''}`;
+}
+
+/**
+ * Publish time from yt-dlp's timestamp (epoch seconds) or upload_date (YYYYMMDD)
+ */
+function toPublishedAt(info) {
+  if (info.timestamp) return new Date(info.timestamp * 1000).toISOString();
+
+  const match = /^(\d{4})(\d{2})(\d{2})$/.exec(info.upload_date || '');
+  return match ? `${match[1]}-${match[2]}-${match[3]}T00:00:00Z` : null;
+}
+
+/**
+ * Convert yt-dlp --dump-json output to a videos row (same shape as the Data API provider)
+ * Fields yt-dlp doesn't expose (made-for-kids, region restrictions, sometimes privacy status) are left
+ * out rather than set to null, so refreshing with this provider keeps the values the API stored.
+ * @param {Object} info - yt-dlp info dict
+ * @returns {Object} Row for the videos table
+ */
+function processYtDlpVideo(info) {
+  const categoryId = categoryIdFromName(info.categories?.[0]);
+  const live = LIVE_STATUSES.includes(info.live_status);
+  const liveBroadcastContent = info.live_status === 'is_live' ? 'live' : info.live_status === 'is_upcoming' ? 'upcoming' : 'none';
+
+  const row = {
+    id: info.id,
+    title: info.title,
+    description: info.description,
+    channelId: info.channel_id,
+    channelTitle: info.channel || info.uploader,
+    publishedAt: toPublishedAt(info),
+    tags: info.tags || [],
+    categoryId,
+    contentType: classifyVideo({
+      durationSeconds: info.duration || 0,
+      categoryId,
+      liveBroadcastContent,
+      liveStreamingDetails: live ? {} : undefined,
+    }),
+    liveBroadcastContent,
+    duration: toIsoDuration(info.duration),
+    hasCaption: Object.keys(info.subtitles || {}).length > 0,
+    viewCount: info.view_count || 0,
+    likeCount: info.like_count || 0,
+    commentCount: info.comment_count || 0,
+    thumbnails: info.thumbnail ? {high: {url: info.thumbnail}} : null,
+  };
+
+  if (info.age_limit >= 18) {
+    row.contentRating = {ytRating: 'ytAgeRestricted'};
+  }
+  if (['public', 'unlisted', 'private'].includes(info.availability)) {
+    row.privacyStatus = info.availability;
+  }
+  if (info.playable_in_embed !== undefined && info.playable_in_embed !== null) {
+    row.embeddable = info.playable_in_embed;
+  }
+
+  return row;
+}
+
+/**
+ * Convert a yt-dlp channel dump to a channels row
+ * View count, creation date, uploads playlist, country and made-for-kids aren't exposed by yt-dlp and
+ * are left out, so they keep the values the API stored.
+ * @param {Object} info - yt-dlp --dump-single-json output for a channel URL
+ * @returns {Object} Row for the channels table
+ */
+function processYtDlpChannel(info) {
+  return {
+    id: info.channel_id || info.id,
+    title: info.channel || info.uploader || info.title || '',
+    description: info.description || '',
+    subscriberCount: info.channel_follower_count || 0,
+    videoCount: info.playlist_count || 0,
+    thumbnails: info.thumbnails || null,
+    keywords: info.tags || [],
+    topics: [],
+  };
+}
+
+/**
+ * Throw if yt-dlp failed for reasons other than unavailable IDs (e.g. not installed, offline)
+ * Only IDs with an "unavailable" error are left out of the retry list: an ID missing without one
+ * (yt-dlp crashed or was killed partway, truncated output) is retried rather than taken as deleted.
+ * @returns {string[]} IDs to retry later
+ */
+function checkErrors(ids, errors, returnedIds, code, stderr) {
+  if (code !== 0 && returnedIds.size === 0 && errors.size === 0) {
+    throw new YouTubeApiError(API_ERROR_KINDS.TRANSIENT, `yt-dlp failed: ${stderr.trim() || `exit code ${code}`}`);
+  }
+
+  return ids.filter(id => !returnedIds.has(id) && !(errors.has(id) && UNAVAILABLE_PATTERN.test(errors.get(id))));
+}
+
+/**
+ * Parse yt-dlp's JSON lines, skipping a line cut off by a crash or kill
+ */
+function parseJsonLines(stdout) {
+  return stdout.split('\n').filter(line => line.trim()).flatMap(line => {
+    try {
+      return [JSON.parse(line)];
+    } catch {
+      return [];
+    }
+  });
+}
+
+/**
+ * Parse yt-dlp's single JSON document
+ * @throws {YouTubeApiError} Transient error if the output was cut off by a crash or kill
+ */
+function parseJsonOutput(stdout) {
+  try {
+    return JSON.parse(stdout);
+  } catch (error) {
+    throw new YouTubeApiError(API_ERROR_KINDS.TRANSIENT, `yt-dlp returned incomplete JSON: ${error.message}`, error);
+  }
+}
+
+/**
+ * Dump video metadata with yt-dlp --dump-json
+ * @param {string[]} videoIds - Video IDs
+ * @param {string[]} [extraArgs] - Additional yt-dlp options
+ */
+function dumpVideos(videoIds, extraArgs = []) {
+  return runYtDlp([
+    '--dump-json',
+    '--skip-download',
+    '--ignore-errors',
+    '--no-warnings',
+    ...extraArgs,
+    ...videoIds.map(id => `https://www.youtube.com/watch?v=${id}`),
+  ]);
+}
+
+/**
+ * Fetch videos as videos rows with yt-dlp --dump-json
+ * Age-gated videos fail with "Sign in to confirm your age"; they are dumped again without formats,
+ * which yt-dlp allows signed out, and stored as available and age-restricted.
+ * @param {string[]} videoIds - Video IDs
+ * @returns {Promise<{items: Array, failedIds: string[]}>} Rows for available videos, and IDs to retry later
+ */
+async function fetchVideos(videoIds) {
+  const {code, stdout, stderr} = await dumpVideos(videoIds);
+  const errors = parseErrors(stderr);
+  const items = parseJsonLines(stdout).map(processYtDlpVideo);
+
+  const ageRestrictedIds = videoIds.filter(id => AGE_RESTRICTED_PATTERN.test(errors.get(id) || ''));
+  if (ageRestrictedIds.length > 0) {
+    const retry = await dumpVideos(ageRestrictedIds, ['--ignore-no-formats-error']);
+    for (const info of parseJsonLines(retry.stdout)) {
+      items.push({...processYtDlpVideo(info), contentRating: {ytRating: 'ytAgeRestricted'}});
+    }
+  }
+
+  const failedIds = checkErrors(videoIds, errors, new Set(items.map(v => v.id)), code, stderr);
+
+  return {items, failedIds};
+}
+
+/**
+ * Fetch channels as channels rows with yt-dlp (one channel page per call, no video list)
+ * @param {string[]} channelIds - Channel IDs
+ * @returns {Promise<{items: Array, failedIds: string[]}>} Rows for available channels, and IDs to retry later
+ */
+async function fetchChannels(channelIds) {
+  const items = [];
+  const failedIds = [];
+
+  for (const channelId of channelIds) {
+    const {code, stdout, stderr} = await runYtDlp([
+      '--dump-single-json',
+      '--flat-playlist',
+      '--playlist-items', '0',
+      '--no-warnings',
+      `https://www.youtube.com/channel/${channelId}`,
+    ]);
+
+    if (code === 0 && stdout.trim()) {
+      items.push({...processYtDlpChannel(parseJsonOutput(stdout)), id: channelId});
+    } else if (!UNAVAILABLE_PATTERN.test(stderr)) {
+      if (!stderr.includes('ERROR:')) {
+        throw new YouTubeApiError(API_ERROR_KINDS.TRANSIENT, `yt-dlp failed: ${stderr.trim() || `exit code ${code}`}`);
+      }
+      failedIds.push(channelId);
+    }
+  }
+
+  return {items, failedIds};
+}
+
+/**
+ * List the first videos of a playlist with yt-dlp --flat-playlist
+ * @param {string} playlistId - Playlist ID (UU... for a channel's uploads, newest first)
+ * @param {number} maxResults - Videos to list
+ * @returns {Promise<Array<{videoId: string, publishedAt: string|null}>>} In playlist order
+ */
+async function fetchPlaylistVideos(playlistId, maxResults) {
+  const {code, stdout, stderr} = await runYtDlp([
+    '--dump-single-json',
+    '--flat-playlist',
+    '--playlist-items', `1:${maxResults}`,
+    '--no-warnings',
+    `https://www.youtube.com/playlist?list=${playlistId}`,
+  ]);
+
+  if (code !== 0 || !stdout.trim()) {
+    const kind = UNAVAILABLE_PATTERN.test(stderr) ? API_ERROR_KINDS.NOT_FOUND : API_ERROR_KINDS.TRANSIENT;
+    throw new YouTubeApiError(kind, `yt-dlp failed: ${stderr.trim() || `exit code ${code}`}`);
+  }
+
+  return (parseJsonOutput(stdout).entries || []).map(entry => ({
+    videoId: entry.id,
+    publishedAt: toPublishedAt(entry),
+  }));
+}
+
+const ytDlpProvider = {
+  name: 'yt-dlp',
+  fetchVideos,
+  fetchChannels,
+  fetchPlaylistVideos,
+};
+
+export {ytDlpProvider, processYtDlpVideo, processYtDlpChannel, toIsoDuration};
@@ -0,0 +1,142 @@
+// Re-fetch stale video and channel metadata and record what changed
+import {db, videos, channels, metadataChanges} from '../db/index.js';
+import {getMetadataProvider} from './metadata-providers/index.js';
+import {API_ERROR_KINDS} from './api-errors.js';
+import {asc, eq, lt} from 'drizzle-orm';
+
+// IDs per videos.list / channels.list request (API limit)
+const BATCH_SIZE = 50;
+
+// Fields whose changes are kept in metadata_changes
+const TRACKED_FIELDS = {
+  video: ['title', 'description', 'contentRating', 'madeForKids', 'privacyStatus', 'available'],
+  channel: ['title', 'description', 'available'],
+};
+
+/**
+ * Parse an age like "30d", "12h" or "2w" into milliseconds
+ * @param {string} age - Number followed by h (hours), d (days) or w (weeks)
+ * @returns {number|null} Milliseconds, or null if invalid
+ */
+function parseAge(age) {
+  const match = /^(\d+)\s*([hdw])$/i.exec(age || '');
+  if (!match) return null;
+
+  const hours = {h: 1, d: 24, w: 24 * 7}[match[2].toLowerCase()];
+  return parseInt(match[1], 10) * hours * 3600 * 1000;
+}
+
+/**
+ * Compare tracked fields of a stored row with freshly fetched values
+ * @returns {Array<{field: string, oldValue: *, newValue: *}>}
+ */
+function diffFields(resourceType, oldRow, newRow) {
+  return TRACKED_FIELDS[resourceType]
+    .filter(field => field in newRow)
+    .filter(field => JSON.stringify(oldRow[field] ?? null) !== JSON.stringify(newRow[field] ?? null))
+    .map(field => ({field, oldValue: oldRow[field] ?? null, newValue: newRow[field] ?? null}));
+}
+
+/**
+ * Refresh one table's stale rows in batches
+ * @returns {Promise<{refreshed: number, changed: number, unavailable: number, stopped: boolean}>}
+ */
+async function refreshTable({resourceType, table, cutoff, limit, fetchBatch}) {
+  const query = db.select().from(table)
+    .where(lt(table.fetchedAt, cutoff))
+    .orderBy(asc(table.fetchedAt));
+  const stale = limit ? await query.limit(limit) : await query;
+
+  const results = {refreshed: 0, changed: 0, unavailable: 0, stopped: false};
+  if (stale.length === 0) return results;
+
+  console.log(`Refreshing ${stale.length} ${resourceType}s...`);
+
+  for (let i = 0; i < stale.length; i += BATCH_SIZE) {
+    const batch = stale.slice(i, i + BATCH_SIZE);
+    console.log(`  Batch ${Math.floor(i / BATCH_SIZE) + 1}/${Math.ceil(stale.length / BATCH_SIZE)}...`);
+
+    let fetched;
+    try {
+      fetched = await fetchBatch(batch.map(row => row.id));
+    } catch (error) {
+      if (error.kind === API_ERROR_KINDS.QUOTA) {
+        console.log(`\n⚠️  ${error.message}`);
+        console.log(`   Stopping; ${stale.length - i} ${resourceType}s left for the next run`);
+        results.stopped = true;
+        break;
+      }
+      if (error.kind !== API_ERROR_KINDS.TRANSIENT) throw error;
+
+      console.log(`  ✗ ${error.message}`);
+      continue;
+    }
+
+    const fetchedById = new Map(fetched.items.map(item => [item.id, item]));
+
+    for (const oldRow of batch) {
+      // Couldn't be fetched this time: leave as is, it stays stale and is retried next refresh
+      if (fetched.failedIds.includes(oldRow.id)) continue;
+
+      const item = fetchedById.get(oldRow.id);
+
+      // Missing from the response: taken down, made private or terminated
+      const newRow = item
+        ? {...item, title: item.title || oldRow.title, available: true, fetchedAt: new Date()}
+        : {available: false, fetchedAt: new Date()};
+
+      const changes = diffFields(resourceType, oldRow, newRow);
+      for (const change of changes) {
+        await db.insert(metadataChanges).values({resourceType, resourceId: oldRow.id, ...change});
+      }
+
+      const {id, ...values} = newRow;
+      await db.update(table).set(values).where(eq(table.id, oldRow.id));
+
+      results.refreshed++;
+      if (changes.length > 0) results.changed++;
+      if (!item) results.unavailable++;
+    }
+
+    if (i + BATCH_SIZE < stale.length) {
+      await new Promise(resolve => setTimeout(resolve, 1000));
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Re-fetch videos and channels last fetched before a cutoff, recording metadata changes
+ * @param {Object} options
+ * @param {number} options.olderThanMs - Refresh rows fetched longer ago than this
+ * @param {number|null} options.limit - Maximum rows per table (default: all)
+ * @returns {Promise<{videos: Object, channels: Object}>} Per-table results
+ */
+async function refreshMetadata({olderThanMs, limit = null}) {
+  const cutoff = new Date(Date.now() - olderThanMs);
+  const provider = getMetadataProvider();
+
+  const videoResults = await refreshTable({
+    resourceType: 'video',
+    table: videos,
+    cutoff,
+    limit,
+    fetchBatch: ids => provider.fetchVideos(ids),
+  });
+
+  // Don't start on channels once the quota budget is used up
+  const channelResults = videoResults.stopped
+    ? {refreshed: 0, changed: 0, unavailable: 0, stopped: true}
+    : await refreshTable({
+      resourceType: 'channel',
+      table: channels,
+      cutoff,
+      limit,
+      fetchBatch: ids => provider.fetchChannels(ids),
+    });
+
+  return {videos: videoResults, channels: channelResults};
+}
+
+export {refreshMetadata, parseAge, TRACKED_FIELDS};
@@ -0,0 +1,236 @@
+// Pre-screen new uploads of channels a child watches or subscribes to, before they're watched
+import {db, videos, channels, channelUploads, watchHistory, subscriptions, aiAnalysis} from '../db/index.js';
+import {and, count, desc, eq, gte, inArray, isNull, or} from 'drizzle-orm';
+import {getMetadataProvider} from './metadata-providers/index.js';
+import {API_ERROR_KINDS} from './api-errors.js';
+import {downloadAllCaptions, areCaptionsDownloaded} from './caption-downloader.js';
+import {analyzeVideo} from './ai-analyzer.js';
+import {getProfile, listProfiles, resolveCaptionLanguages} from './profiles.js';
+
+// IDs per videos.list request (API limit)
+const BATCH_SIZE = 50;
+
+// Uploads older than this are left out (npm run prescreen -- --days)
+const DEFAULT_MAX_AGE_DAYS = 30;
+
+/**
+ * Uploads playlist of a channel: stored from channels.list, or derived (UCxxxx -> UUxxxx)
+ * @param {string} channelId - Channel ID
+ * @param {Object|undefined} channel - channels row
+ * @returns {string}
+ */
+function uploadsPlaylistFor(channelId, channel) {
+  return channel?.uploadsPlaylistId || (channelId.startsWith('UC') ? `UU${channelId.slice(2)}` : channelId);
+}
+
+/**
+ * Channels to pre-screen: the most watched channels plus every subscription
+ * @param {string|null} profile - Only this profile's history and subscriptions (default: all profiles)
+ * @param {number} maxWatched - Most watched channels to include
+ * @returns {Promise<Array<{channelId: string, channelTitle: string}>>}
+ */
+async function getPrescreenChannels(profile, maxWatched) {
+  const watched = await db.select({channelId: videos.channelId, channelTitle: videos.channelTitle, watches: count()})
+    .from(watchHistory)
+    .innerJoin(videos, eq(watchHistory.videoId, videos.id))
+    .where(profile ? eq(watchHistory.profile, profile) : undefined)
+    .groupBy(videos.channelId)
+    .orderBy(desc(count()))
+    .limit(maxWatched);
+  const subscribed = await db.select({channelId: subscriptions.channelId, channelTitle: subscriptions.channelTitle})
+    .from(subscriptions)
+    .where(profile ? eq(subscriptions.profile, profile) : undefined);
+
+  const byId = new Map();
+  [...watched, ...subscribed].forEach(c => {
+    if (!byId.has(c.channelId)) byId.set(c.channelId, {channelId: c.channelId, channelTitle: c.channelTitle});
+  });
+  return [...byId.values()];
+}
+
+/**
+ * Pre-screened uploads still coming up: published within maxAgeDays (or found within it, when the publish
+ * date is unknown) and not watched yet by the profile they were found for
+ * @param {string|null} profile - Only uploads found on this profile's channels (default: all profiles)
+ * @param {number} maxAgeDays - Ignore uploads older than this
+ * @returns {Promise<Array>} channel_uploads rows, one per video
+ */
+async function getUpcomingUploads(profile = null, maxAgeDays = DEFAULT_MAX_AGE_DAYS) {
+  const cutoff = new Date(Date.now() - maxAgeDays * 24 * 3600 * 1000);
+  const rows = await db.select({upload: channelUploads})
+    .from(channelUploads)
+    .leftJoin(watchHistory, and(eq(watchHistory.videoId, channelUploads.videoId), eq(watchHistory.profile, channelUploads.profile)))
+    .where(and(
+      profile ? eq(channelUploads.profile, profile) : undefined,
+      isNull(watchHistory.id),
+      or(
+        gte(channelUploads.publishedAt, cutoff.toISOString()),
+        and(isNull(channelUploads.publishedAt), gte(channelUploads.discoveredAt, cutoff)),
+      ),
+    ));
+
+  const byVideo = new Map();
+  rows.forEach(({upload}) => {
+    if (!byVideo.has(upload.videoId)) byVideo.set(upload.videoId, upload);
+  });
+  return [...byVideo.values()];
+}
+
+/**
+ * Fetch metadata for uploads not in the videos table yet
+ * @returns {Promise<{fetched: number, stopped: boolean}>}
+ */
+async function fetchUploadMetadata(provider, videoIds) {
+  let fetched = 0;
+
+  for (let i = 0; i < videoIds.length; i += BATCH_SIZE) {
+    const batch = videoIds.slice(i, i + BATCH_SIZE);
+
+    let result;
+    try {
+      result = await provider.fetchVideos(batch);
+    } catch (error) {
+      if (error.kind === API_ERROR_KINDS.QUOTA) {
+        console.log(`\n⚠️  ${error.message}`);
+        return {fetched, stopped: true};
+      }
+      if (error.kind !== API_ERROR_KINDS.TRANSIENT) throw error;
+
+      console.log(`  ✗ ${error.message}`);
+      continue;
+    }
+
+    if (result.items.length > 0) {
+      await db.insert(videos).values(result.items).onConflictDoNothing();
+      fetched += result.items.length;
+    }
+  }
+
+  return {fetched, stopped: false};
+}
+
+/**
+ * List recent uploads of watched and subscribed channels, then download captions and run AI analysis
+ * on the ones not watched yet
+ * @param {Object} options
+ * @param {string|null} options.profile - Only this profile's channels (default: every profile's)
+ * @param {number} options.maxChannels - Most watched channels per profile (subscriptions are always included)
+ * @param {number} options.perChannel - Newest uploads to list per channel
+ * @param {number} options.maxAgeDays - Ignore uploads older than this
+ * @param {boolean} options.analyze - Run AI analysis (needs OPENAI_API_KEY)
+ * @returns {Promise<{channels: number, uploads: number, fetched: number, captions: number, analyzed: number, failed: number, stopped: boolean}>}
+ */
+async function prescreenChannels({profile = null, maxChannels = 20, perChannel = 5, maxAgeDays = DEFAULT_MAX_AGE_DAYS, analyze = true} = {}) {
+  const provider = getMetadataProvider();
+  if (!provider.fetchPlaylistVideos) {
+    throw new Error(`The ${provider.name} metadata provider can't list channel uploads`);
+  }
+
+  const results = {channels: 0, uploads: 0, fetched: 0, captions: 0, analyzed: 0, failed: 0, stopped: false};
+
+  // Each channel is listed once, and its uploads are recorded for every profile that watches or subscribes to it
+  const profileNames = profile ? [profile] : (await listProfiles()).map(p => p.name);
+  const targetsById = new Map();
+  for (const name of profileNames) {
+    (await getPrescreenChannels(name, maxChannels)).forEach(c => {
+      if (!targetsById.has(c.channelId)) targetsById.set(c.channelId, {...c, profiles: []});
+      targetsById.get(c.channelId).profiles.push(name);
+    });
+  }
+  const targets = [...targetsById.values()];
+
+  const channelLookup = Object.fromEntries((await db.select().from(channels)).map(c => [c.id, c]));
+  const watchedIds = new Map(profileNames.map(name => [name, new Set()]));
+  (await db.selectDistinct({profile: watchHistory.profile, videoId: watchHistory.videoId}).from(watchHistory)
+    .where(profile ? eq(watchHistory.profile, profile) : undefined))
+    .forEach(w => watchedIds.get(w.profile)?.add(w.videoId));
+  const cutoff = new Date(Date.now() - maxAgeDays * 24 * 3600 * 1000).toISOString();
+
+  console.log(`Checking ${targets.length} channels for uploads from the last ${maxAgeDays} days (via ${provider.name})...\n`);
+
+  const newUploads = [];
+  for (const [index, target] of targets.entries()) {
+    let uploads;
+    try {
+      uploads = await provider.fetchPlaylistVideos(uploadsPlaylistFor(target.channelId, channelLookup[target.channelId]), perChannel);
+    } catch (error) {
+      if (error.kind === API_ERROR_KINDS.QUOTA) {
+        console.log(`\n⚠️  ${error.message}`);
+        console.log(`   Stopping; ${targets.length - index} channels left for the next run`);
+        results.stopped = true;
+        break;
+      }
+      if (error.kind !== API_ERROR_KINDS.TRANSIENT && error.kind !== API_ERROR_KINDS.NOT_FOUND) throw error;
+
+      console.log(`  ✗ ${target.channelTitle || target.channelId}: ${error.message}`);
+      continue;
+    }
+
+    const recent = uploads.filter(u => !u.publishedAt || u.publishedAt >= cutoff);
+    const found = new Set();
+    target.profiles.forEach(name => {
+      recent.filter(u => !watchedIds.get(name).has(u.videoId)).forEach(upload => {
+        newUploads.push({...upload, channelId: target.channelId, profile: name});
+        found.add(upload.videoId);
+      });
+    });
+    console.log(`  ${target.channelTitle || target.channelId}: ${found.size} new uploads`);
+
+    results.channels++;
+    results.uploads += found.size;
+  }
+
+  if (newUploads.length > 0) {
+    await db.insert(channelUploads).values(newUploads).onConflictDoNothing();
+  }
+
+  // Uploads from this and earlier runs that are still recent and haven't been watched
+  const uploadIds = (await getUpcomingUploads(profile, maxAgeDays)).map(u => u.videoId);
+  if (uploadIds.length === 0) {
+    console.log('\n✓ No new uploads to pre-screen\n');
+    return results;
+  }
+
+  // Metadata for uploads we haven't seen before
+  const knownIds = new Set((await db.select({id: videos.id}).from(videos).where(inArray(videos.id, uploadIds))).map(v => v.id));
+  const unknownIds = uploadIds.filter(id => !knownIds.has(id));
+
+  if (unknownIds.length > 0 && !results.stopped) {
+    console.log(`\nFetching metadata for ${unknownIds.length} uploads...`);
+    const {fetched, stopped} = await fetchUploadMetadata(provider, unknownIds);
+    results.fetched = fetched;
+    results.stopped = stopped;
+  }
+
+  // Captions, then AI analysis for uploads not analyzed yet
+  const available = (await db.select({id: videos.id}).from(videos).where(inArray(videos.id, uploadIds))).map(v => v.id);
+  const needCaptions = available.filter(id => !areCaptionsDownloaded(id));
+  if (needCaptions.length > 0) {
+    const languages = resolveCaptionLanguages(profile ? await getProfile(profile) : null);
+    results.captions = (await downloadAllCaptions(needCaptions, {languages})).success;
+  }
+
+  if (!analyze) return results;
+
+  const analyzedIds = new Set((await db.select({videoId: aiAnalysis.videoId}).from(aiAnalysis)
+    .where(inArray(aiAnalysis.videoId, available))).map(a => a.videoId));
+  const toAnalyze = available.filter(id => !analyzedIds.has(id) && areCaptionsDownloaded(id));
+
+  console.log(`Analyzing ${toAnalyze.length} uploads with AI...\n`);
+  for (const [i, videoId] of toAnalyze.entries()) {
+    const progress = `[${i + 1}/${toAnalyze.length}]`;
+    try {
+      const result = await analyzeVideo(videoId);
+      results.analyzed++;
+      console.log(`${progress} ✓ ${videoId} - ${result.riskLevel} risk`);
+    } catch (error) {
+      results.failed++;
+      console.log(`${progress} ✗ ${videoId} - ${error.message}`);
+    }
+  }
+  console.log();
+
+  return results;
+}
+
+export {prescreenChannels, getPrescreenChannels, getUpcomingUploads, uploadsPlaylistFor, DEFAULT_MAX_AGE_DAYS};
@@ -0,0 +1,164 @@
+// Child profiles: per-kid watch history on top of shared video metadata
+import {db, profiles, watchHistory} from '../db/index.js';
+import {eq, count} from 'drizzle-orm';
+
+const DEFAULT_PROFILE = 'default';
+
+// Caption languages used when neither the profile nor CAPTION_LANGUAGES sets any
+const DEFAULT_CAPTION_LANGUAGES = ['en'];
+
+/**
+ * Get a profile by name, creating it if it doesn't exist yet
+ * @param {string} name - Profile name
+ * @returns {Promise<Object>} Profile row
+ */
+async function getOrCreateProfile(name = DEFAULT_PROFILE) {
+  const profileName = name.trim();
+  if (!profileName) {
+    throw new Error('Profile name cannot be empty');
+  }
+
+  await db.insert(profiles).values({name: profileName}).onConflictDoNothing();
+  const [profile] = await db.select().from(profiles).where(eq(profiles.name, profileName));
+  return profile;
+}
+
+/**
+ * Get an existing profile by name
+ * @param {string} name - Profile name
+ * @returns {Promise<Object>} Profile row
+ * @throws {Error} If the profile doesn't exist
+ */
+async function getProfile(name) {
+  const [profile] = await db.select().from(profiles).where(eq(profiles.name, name));
+  if (!profile) {
+    throw new Error(`Profile "${name}" not found. Run "npm run profiles" to list profiles`);
+  }
+  return profile;
+}
+
+/**
+ * Check that a timezone name is a valid IANA timezone
+ * @param {string} timezone - e.g. America/Los_Angeles
+ * @returns {boolean}
+ */
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', {timeZone: timezone});
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Set the timezone a profile's viewing times are reported in
+ * @param {string} name - Profile name
+ * @param {string} timezone - IANA timezone
+ * @returns {Promise<Object>} Updated profile row
+ * @throws {Error} If the timezone is invalid or the profile doesn't exist
+ */
+async function setProfileTimezone(name, timezone) {
+  if (!isValidTimezone(timezone)) {
+    throw new Error(`Unknown timezone "${timezone}". Use an IANA name such as America/Los_Angeles`);
+  }
+
+  await getProfile(name);
+  const [profile] = await db.update(profiles).set({timezone}).where(eq(profiles.name, name)).returning();
+  return profile;
+}
+
+/**
+ * Timezone used for a profile's local times
+ * Falls back to the TIMEZONE environment variable, then the system timezone.
+ * @param {Object|null} profile - Profile row
+ * @returns {string} IANA timezone
+ */
+function resolveTimezone(profile = null) {
+  return profile?.timezone || process.env.TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
+
+/**
+ * Parse a comma-separated list of caption language codes
+ * @param {string} value - e.g. "es, pt-BR,en"
+ * @returns {string[]} e.g. ['es', 'pt-BR', 'en']
+ * @throws {Error} If a code isn't a language code
+ */
+function parseCaptionLanguages(value) {
+  const languages = [...new Set((value || '').split(',').map(l => l.trim()).filter(Boolean))];
+  const invalid = languages.filter(l => !/^[a-z]{2,3}(-[A-Za-z0-9]{2,4})?$/.test(l));
+  if (invalid.length > 0) {
+    throw new Error(`Invalid caption language "${invalid[0]}". Use codes such as en, es or pt-BR`);
+  }
+  return languages;
+}
+
+/**
+ * Set the caption languages downloaded for a profile's videos, in order of preference
+ * @param {string} name - Profile name
+ * @param {string} value - Comma-separated language codes, or "" to use the default again
+ * @returns {Promise<Object>} Updated profile row
+ * @throws {Error} If a code is invalid or the profile doesn't exist
+ */
+async function setProfileCaptionLanguages(name, value) {
+  const languages = parseCaptionLanguages(value);
+
+  await getProfile(name);
+  const [profile] = await db.update(profiles)
+    .set({captionLanguages: languages.length > 0 ? languages : null})
+    .where(eq(profiles.name, name))
+    .returning();
+  return profile;
+}
+
+/**
+ * Caption languages for a profile's videos, in order of preference
+ * Falls back to the CAPTION_LANGUAGES environment variable, then English.
+ * @param {Object|null} profile - Profile row
+ * @returns {string[]} Language codes
+ */
+function resolveCaptionLanguages(profile = null) {
+  if (profile?.captionLanguages?.length > 0) return profile.captionLanguages;
+
+  const configured = parseCaptionLanguages(process.env.CAPTION_LANGUAGES);
+  return configured.length > 0 ? configured : DEFAULT_CAPTION_LANGUAGES;
+}
+
+/**
+ * List all profiles with their watch history counts
+ * @returns {Promise<Array<{name: string, createdAt: Date, watchCount: number}>>}
+ */
+async function listProfiles() {
+  const allProfiles = await db.select().from(profiles).orderBy(profiles.name);
+  const watchCounts = await db
+    .select({profile: watchHistory.profile, watchCount: count()})
+    .from(watchHistory)
+    .groupBy(watchHistory.profile);
+
+  const countMap = Object.fromEntries(watchCounts.map(w => [w.profile, w.watchCount]));
+  return allProfiles.map(p => ({...p, watchCount: countMap[p.name] || 0}));
+}
+
+/**
+ * Subquery selecting the distinct video IDs watched by a profile
+ * Use with inArray() to scope video queries to one child's history.
+ * @param {string|null} profile - Profile name, or null for all profiles
+ * @returns {Object} Drizzle subquery
+ */
+function watchedVideoIds(profile = null) {
+  const query = db.selectDistinct({videoId: watchHistory.videoId}).from(watchHistory);
+  return profile ? query.where(eq(watchHistory.profile, profile)) : query;
+}
+
+export {
+  getOrCreateProfile,
+  getProfile,
+  listProfiles,
+  setProfileTimezone,
+  resolveTimezone,
+  setProfileCaptionLanguages,
+  resolveCaptionLanguages,
+  isValidTimezone,
+  watchedVideoIds,
+  DEFAULT_PROFILE
+};
@@ -0,0 +1,95 @@
+// YouTube Data API quota ledger and daily budget
+import 'dotenv/config';
+import {db, quotaLedger} from '../db/index.js';
+import {eq, sum, count, desc} from 'drizzle-orm';
+
+// Unit cost per request (https://developers.google.com/youtube/v3/determine_quota_cost)
+const QUOTA_COSTS = {
+  'videos.list': 1,
+  'channels.list': 1,
+  'playlistItems.list': 1,
+  'commentThreads.list': 1,
+  'videoCategories.list': 1,
+  'captions.list': 50,
+  'search.list': 100,
+  'captions.download': 200,
+};
+
+// Default project quota; set YOUTUBE_QUOTA_BUDGET lower to leave headroom for other tools
+const DEFAULT_DAILY_QUOTA = 10000;
+
+// Quota resets at midnight Pacific time
+const QUOTA_TIMEZONE = 'America/Los_Angeles';
+
+/**
+ * Thrown when a request would take today's spend past the daily budget
+ */
+class QuotaExceededError extends Error {
+  constructor(endpoint, usage) {
+    super(`Daily YouTube API quota budget reached (${usage.used}/${usage.budget} units used, ${endpoint} needs ${QUOTA_COSTS[endpoint]})`);
+    this.name = 'QuotaExceededError';
+    this.endpoint = endpoint;
+    this.usage = usage;
+  }
+}
+
+/**
+ * Quota day (YYYY-MM-DD in Pacific time) for a moment
+ * @param {Date} date - Moment in time (default: now)
+ * @returns {string}
+ */
+function quotaDay(date = new Date()) {
+  return new Intl.DateTimeFormat('en-CA', {timeZone: QUOTA_TIMEZONE, year: 'numeric', month: '2-digit', day: '2-digit'}).format(date);
+}
+
+/**
+ * Daily budget in units, from YOUTUBE_QUOTA_BUDGET (default: 10,000)
+ * @returns {number}
+ */
+function getDailyBudget() {
+  const budget = parseInt(process.env.YOUTUBE_QUOTA_BUDGET, 10);
+  return budget > 0 ? budget : DEFAULT_DAILY_QUOTA;
+}
+
+/**
+ * Quota spent on a day, per endpoint
+ * @param {string} day - Quota day (default: today)
+ * @returns {Promise<{day: string, used: number, budget: number, remaining: number,
+ *   endpoints: Array<{endpoint: string, requests: number, units: number}>}>}
+ */
+async function getQuotaUsage(day = quotaDay()) {
+  const endpoints = await db
+    .select({endpoint: quotaLedger.endpoint, requests: count(), units: sum(quotaLedger.units).mapWith(Number)})
+    .from(quotaLedger)
+    .where(eq(quotaLedger.day, day))
+    .groupBy(quotaLedger.endpoint)
+    .orderBy(desc(sum(quotaLedger.units)));
+
+  const used = endpoints.reduce((total, e) => total + e.units, 0);
+  const budget = getDailyBudget();
+
+  return {day, used, budget, remaining: Math.max(budget - used, 0), endpoints};
+}
+
+/**
+ * Record an API request against today's quota, refusing it if the budget would be exceeded
+ * Call before making the request: YouTube charges for failed requests too.
+ * @param {string} endpoint - API method, e.g. "videos.list"
+ * @returns {Promise<void>}
+ * @throws {QuotaExceededError} If the request doesn't fit in what's left of the budget
+ */
+async function spendQuota(endpoint) {
+  const units = QUOTA_COSTS[endpoint];
+  if (units === undefined) {
+    throw new Error(`Unknown quota cost for ${endpoint}`);
+  }
+
+  const usage = await getQuotaUsage();
+  if (usage.used + units > usage.budget) {
+    throw new QuotaExceededError(endpoint, usage);
+  }
+
+  await db.insert(quotaLedger).values({day: usage.day, endpoint, units});
+}
+
+export {spendQuota, getQuotaUsage, getDailyBudget, quotaDay, QuotaExceededError, QUOTA_COSTS, QUOTA_TIMEZONE};
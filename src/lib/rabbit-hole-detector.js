@@ -0,0 +1,134 @@
+// Rabbit-hole detection: sessions that drift from benign videos into increasingly flagged content
+import {db, watchHistory, aiAnalysis} from '../db/index.js';
+import {eq, and, asc, isNotNull} from 'drizzle-orm';
+
+const RISK_SCORES = {LOW: 0, MEDIUM: 1, HIGH: 2};
+
+// Flagged videos needed before a drift counts as a rabbit hole
+const MIN_FLAGGED_VIDEOS = 2;
+
+// Benign videos tolerated inside a chain before it is considered over
+const MAX_BENIGN_GAP = 1;
+
+function isFlagged(watch) {
+  return RISK_SCORES[watch.riskLevel] > 0 || (watch.contentFlags || []).length > 0;
+}
+
+/**
+ * Whether a chain of flagged videos escalates: a later video is riskier than the first
+ * flagged one, or at least as risky and brings in a flag the chain hadn't shown yet
+ */
+function escalates(flagged) {
+  const firstScore = RISK_SCORES[flagged[0].riskLevel] || 0;
+  const seenFlags = new Set(flagged[0].contentFlags || []);
+
+  return flagged.slice(1).some(watch => {
+    const newFlag = (watch.contentFlags || []).some(flag => !seenFlags.has(flag));
+    (watch.contentFlags || []).forEach(flag => seenFlags.add(flag));
+    const score = RISK_SCORES[watch.riskLevel] || 0;
+    return score > firstScore || (score >= firstScore && newFlag);
+  });
+}
+
+/**
+ * Find rabbit holes within one session's watches
+ * @param {Array} watches - Analyzed watches in watch order ({riskLevel, contentFlags, ...})
+ * @returns {Array<{entryPoint: Object, chain: Array}>} Chains starting at their entry point video
+ */
+function findChains(watches) {
+  const chains = [];
+  let lastBenign = null;
+  let chain = null;
+
+  const closeChain = () => {
+    if (!chain) return;
+    const flagged = chain.steps.filter(isFlagged);
+    if (flagged.length >= MIN_FLAGGED_VIDEOS && escalates(flagged)) {
+      // Drop trailing benign videos from the tolerated gap
+      while (!isFlagged(chain.steps[chain.steps.length - 1])) chain.steps.pop();
+      chains.push({entryPoint: chain.entryPoint, chain: chain.steps});
+    }
+    chain = null;
+  };
+
+  for (const watch of watches) {
+    if (isFlagged(watch)) {
+      if (!chain) {
+        // The entry point is the last benign video before the drift (or the first flagged one)
+        const entryPoint = lastBenign || watch;
+        chain = {entryPoint, steps: lastBenign ? [lastBenign] : [], benignRun: 0};
+      }
+      chain.steps.push(watch);
+      chain.benignRun = 0;
+      continue;
+    }
+
+    if (chain) {
+      chain.benignRun++;
+      if (chain.benignRun > MAX_BENIGN_GAP) {
+        closeChain();
+      } else {
+        chain.steps.push(watch);
+      }
+    }
+    lastBenign = watch;
+  }
+
+  closeChain();
+  return chains;
+}
+
+/**
+ * Detect rabbit holes across viewing sessions
+ * Only videos with AI analysis are considered; sessions come from buildSessions().
+ * @param {string|null} profile - Only check this profile's sessions (default: all profiles)
+ * @returns {Promise<Array<{profile: string, sessionId: number, entryPoint: Object, chain: Array,
+ *   peakRisk: string, flags: string[]}>>} Rabbit holes, riskiest first
+ */
+async function detectRabbitHoles(profile = null) {
+  const watches = await db
+    .select({
+      profile: watchHistory.profile,
+      sessionId: watchHistory.sessionId,
+      videoId: watchHistory.videoId,
+      title: watchHistory.title,
+      channel: watchHistory.channel,
+      watchedAt: watchHistory.watchedAt,
+      riskLevel: aiAnalysis.riskLevel,
+      contentFlags: aiAnalysis.contentFlags,
+    })
+    .from(watchHistory)
+    .innerJoin(aiAnalysis, eq(watchHistory.videoId, aiAnalysis.videoId))
+    .where(and(
+      isNotNull(watchHistory.sessionId),
+      profile ? eq(watchHistory.profile, profile) : undefined
+    ))
+    .orderBy(asc(watchHistory.sessionId), asc(watchHistory.watchedAt));
+
+  const bySession = new Map();
+  watches.forEach(watch => {
+    if (!bySession.has(watch.sessionId)) bySession.set(watch.sessionId, []);
+    bySession.get(watch.sessionId).push(watch);
+  });
+
+  const rabbitHoles = [];
+  for (const [sessionId, sessionWatches] of bySession) {
+    findChains(sessionWatches).forEach(({entryPoint, chain}) => {
+      const peakScore = Math.max(...chain.map(w => RISK_SCORES[w.riskLevel] || 0));
+      rabbitHoles.push({
+        profile: sessionWatches[0].profile,
+        sessionId,
+        entryPoint,
+        chain,
+        peakRisk: Object.keys(RISK_SCORES).find(level => RISK_SCORES[level] === peakScore),
+        flags: [...new Set(chain.flatMap(w => w.contentFlags || []))],
+      });
+    });
+  }
+
+  return rabbitHoles.sort((a, b) =>
+    RISK_SCORES[b.peakRisk] - RISK_SCORES[a.peakRisk] || b.chain.length - a.chain.length
+  );
+}
+
+export {detectRabbitHoles, findChains};
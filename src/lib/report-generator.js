@@ -1,5 +1,15 @@
 // Shared report generation utilities
-import {db, videos, tags, videoTags, aiAnalysis, watchHistory} from '../db/index.js';
+import {db, videos, channels, tags, videoTags, aiAnalysis, watchHistory, searchHistory, searchAnalysis, subscriptions, profiles, viewingSessions, metadataChanges} from '../db/index.js';
+import {watchedVideoIds, resolveTimezone} from './profiles.js';
+import {classifyVideo, effectiveContentType, CONTENT_TYPES} from './content-type.js';
+import {parseDuration} from './duration.js';
+import {loadBlocklist} from './blocklist.js';
+import {getCategoryNames} from './categories.js';
+import {getClassificationFlags} from './classification-flags.js';
+import {getChannelContentProfiles} from './channel-profile.js';
+import {detectRabbitHoles} from './rabbit-hole-detector.js';
+import {getUpcomingUploads, DEFAULT_MAX_AGE_DAYS} from './prescreen.js';
+import {eq, inArray, and, count, max, desc} from 'drizzle-orm';
 
 // ANSI color codes
 const COLORS = {
@@ -22,24 +32,6 @@ function getRiskColor(riskLevel) {
   return 'green';
 }
 
-/**
- * Parse ISO 8601 duration (e.g., PT10M30S) to seconds
- * @param {string} duration - ISO 8601 duration string
- * @returns {number} Duration in seconds
- */
-function parseDuration(duration) {
-  if (!duration) return 0;
-
-  const match = duration.match(/PT(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?/);
-  if (!match) return 0;
-
-  const hours = parseInt(match[1] || 0);
-  const minutes = parseInt(match[2] || 0);
-  const seconds = parseInt(match[3] || 0);
-
-  return hours * 3600 + minutes * 60 + seconds;
-}
-
 /**
  * Format seconds to human-readable watch time (e.g., "2h 45m" or "35m")
  * @param {number} seconds - Total seconds
@@ -57,11 +49,34 @@ function formatWatchTime(seconds) {
   return `${minutes}m`;
 }
 
+/**
+ * Format a timestamp as local date and time in a timezone (e.g., "Sat, Oct 18, 2025, 9:14 PM")
+ * @param {string|Date} timestamp - ISO timestamp or Date
+ * @param {string} timezone - IANA timezone
+ * @returns {string} Formatted local time
+ */
+function formatLocalTime(timestamp, timezone) {
+  return new Date(timestamp).toLocaleString('en-US', {
+    timeZone: timezone,
+    weekday: 'short', month: 'short', day: 'numeric', year: 'numeric', hour: 'numeric', minute: '2-digit'
+  });
+}
+
+/**
+ * Map of profile name -> timezone for local times in the report
+ * @returns {Promise<Object>}
+ */
+async function getProfileTimezones() {
+  const allProfiles = await db.select().from(profiles);
+  return Object.fromEntries(allProfiles.map(p => [p.name, resolveTimezone(p)]));
+}
+
 /**
  * Generate tag cloud showing watch time distribution
+ * @param {string|null} profile - Only count this profile's watch history (default: all profiles)
  * @returns {Promise<void>}
  */
-async function generateTagCloud() {
+async function generateTagCloud(profile = null) {
   console.log(colorize('Tag Cloud (by watch time):', 'bold'));
   console.log('─'.repeat(80));
   console.log();
@@ -70,7 +85,9 @@ async function generateTagCloud() {
   const allTags = await db.select().from(tags);
   const allVideoTags = await db.select().from(videoTags);
   const allVideos = await db.select().from(videos);
-  const allWatchHistory = await db.select().from(watchHistory);
+  const allWatchHistory = profile
+    ? await db.select().from(watchHistory).where(eq(watchHistory.profile, profile))
+    : await db.select().from(watchHistory);
 
   // Build maps
   const videoMap = {};
@@ -140,17 +157,589 @@ async function generateTagCloud() {
   console.log();
 }
 
+/**
+ * Generate breakdown of watches by content type (videos, Shorts, music, live streams)
+ * @param {string|null} profile - Only count this profile's watch history (default: all profiles)
+ * @param {Object} analysisMap - Map of videoId -> AI analysis
+ * @returns {Promise<void>}
+ */
+async function generateContentTypeBreakdown(profile, analysisMap) {
+  console.log(colorize('Content Types:', 'bold'));
+  console.log('─'.repeat(80));
+  console.log();
+
+  const allWatchHistory = profile
+    ? await db.select().from(watchHistory).where(eq(watchHistory.profile, profile))
+    : await db.select().from(watchHistory);
+  const allVideos = await db.select().from(videos);
+
+  const videoMap = {};
+  allVideos.forEach(v => {
+    videoMap[v.id] = v;
+  });
+
+  const breakdown = {};
+  Object.values(CONTENT_TYPES).forEach(type => {
+    breakdown[type] = {watches: 0, videoIds: new Set(), seconds: 0, flagged: new Set()};
+  });
+
+  allWatchHistory.forEach(wh => {
+    const video = videoMap[wh.videoId];
+    // Videos cached before content types were tracked are classified on the fly
+    const videoType = video
+      ? video.contentType || classifyVideo({durationSeconds: parseDuration(video.duration), categoryId: video.categoryId})
+      : null;
+    const stats = breakdown[effectiveContentType(wh.contentType, videoType)];
+
+    stats.watches++;
+    stats.videoIds.add(wh.videoId);
+    stats.seconds += video ? parseDuration(video.duration) : 0;
+
+    const risk = analysisMap[wh.videoId]?.riskLevel;
+    if (risk === 'HIGH' || risk === 'MEDIUM') {
+      stats.flagged.add(wh.videoId);
+    }
+  });
+
+  const labels = {video: 'Videos', short: 'Shorts', music: 'Music', live: 'Live streams'};
+
+  Object.entries(breakdown).forEach(([type, stats]) => {
+    if (stats.watches === 0) return;
+
+    const flagged = stats.flagged.size > 0
+      ? colorize(`${stats.flagged.size} HIGH/MEDIUM risk`, 'yellow')
+      : colorize('no risky videos', 'gray');
+    console.log(`  ${labels[type].padEnd(14)} ${String(stats.watches).padStart(5)} watches  ${String(stats.videoIds.size).padStart(5)} videos  ${formatWatchTime(stats.seconds).padStart(8)}  ${flagged}`);
+  });
+
+  console.log();
+}
+
+/**
+ * Generate breakdown of watches by YouTube category, with watch time and risk per category
+ * Categories on the blocklist are marked.
+ * @param {string|null} profile - Only count this profile's watch history (default: all profiles)
+ * @param {Object} analysisMap - Map of videoId -> AI analysis
+ * @returns {Promise<void>}
+ */
+async function generateCategoryBreakdown(profile, analysisMap) {
+  console.log(colorize('Categories:', 'bold'));
+  console.log('─'.repeat(80));
+  console.log();
+
+  const allWatchHistory = profile
+    ? await db.select().from(watchHistory).where(eq(watchHistory.profile, profile))
+    : await db.select().from(watchHistory);
+  const allVideos = await db.select().from(videos);
+  const categoryNames = await getCategoryNames();
+  const blockedCategories = new Set(loadBlocklist(categoryNames).categories);
+
+  const videoMap = {};
+  allVideos.forEach(v => {
+    videoMap[v.id] = v;
+  });
+
+  const breakdown = {};
+  allWatchHistory.forEach(wh => {
+    const video = videoMap[wh.videoId];
+    if (!video?.categoryId) return;
+
+    if (!breakdown[video.categoryId]) {
+      breakdown[video.categoryId] = {watches: 0, videoIds: new Set(), seconds: 0, high: new Set(), medium: new Set()};
+    }
+    const stats = breakdown[video.categoryId];
+
+    stats.watches++;
+    stats.videoIds.add(wh.videoId);
+    stats.seconds += parseDuration(video.duration);
+
+    const risk = analysisMap[wh.videoId]?.riskLevel;
+    if (risk === 'HIGH') stats.high.add(wh.videoId);
+    if (risk === 'MEDIUM') stats.medium.add(wh.videoId);
+  });
+
+  const categories = Object.entries(breakdown).sort(([, a], [, b]) => b.seconds - a.seconds);
+
+  if (categories.length === 0) {
+    console.log(colorize('  No category information yet (fetch video metadata first)', 'gray'));
+    console.log();
+    return;
+  }
+
+  categories.forEach(([categoryId, stats]) => {
+    const name = (categoryNames[categoryId] || `Category ${categoryId}`).slice(0, 22);
+    const risk = [
+      stats.high.size > 0 ? colorize(`${stats.high.size} HIGH`, 'red') : null,
+      stats.medium.size > 0 ? colorize(`${stats.medium.size} MEDIUM`, 'yellow') : null,
+    ].filter(Boolean).join(', ') || colorize('no risky videos', 'gray');
+    const blocked = blockedCategories.has(categoryId) ? colorize(' (on blocklist)', 'red') : '';
+
+    console.log(`  ${name.padEnd(22)} ${String(stats.watches).padStart(5)} watches  ${String(stats.videoIds.size).padStart(5)} videos  ${formatWatchTime(stats.seconds).padStart(8)}  ${risk}${blocked}`);
+  });
+
+  console.log();
+}
+
+/**
+ * Generate viewing session summary: session length, videos per session, binges and late nights
+ * Times are shown in each profile's configured timezone.
+ * @param {string|null} profile - Only include this profile's sessions (default: all profiles)
+ * @returns {Promise<void>}
+ */
+async function generateSessionSummary(profile = null) {
+  console.log(colorize('Viewing Sessions:', 'bold'));
+  console.log('─'.repeat(80));
+  console.log();
+
+  const sessions = await db.select().from(viewingSessions)
+    .where(profile ? eq(viewingSessions.profile, profile) : undefined)
+    .orderBy(desc(viewingSessions.startedAt));
+
+  if (sessions.length === 0) {
+    console.log(colorize('  No sessions yet (built by "npm run ingest")', 'gray'));
+    console.log();
+    return;
+  }
+
+  const timezones = await getProfileTimezones();
+  const showProfile = !profile && Object.keys(timezones).length > 1;
+
+  const formatSession = session => {
+    const started = formatLocalTime(session.startedAt, timezones[session.profile] || resolveTimezone());
+    const who = showProfile ? colorize(`  [${session.profile}]`, 'gray') : '';
+    return `  ${formatWatchTime(session.durationSeconds).padStart(8)}  ${String(session.videoCount).padStart(4)} videos  ${started}${who}`;
+  };
+
+  const totalSeconds = sessions.reduce((sum, s) => sum + s.durationSeconds, 0);
+  const totalVideos = sessions.reduce((sum, s) => sum + s.videoCount, 0);
+  const lateNight = sessions.filter(s => s.lateNight);
+
+  console.log(`  Sessions: ${sessions.length}`);
+  console.log(`  Average length: ${formatWatchTime(Math.round(totalSeconds / sessions.length))}`);
+  console.log(`  Videos per session: ${(totalVideos / sessions.length).toFixed(1)}`);
+  console.log(`  Late-night sessions: ${lateNight.length > 0 ? colorize(String(lateNight.length), 'yellow') : 0}`);
+  if (profile) {
+    console.log(colorize(`  Timezone: ${timezones[profile]}`, 'gray'));
+  }
+  console.log();
+
+  console.log(colorize('  Longest binges:', 'bold'));
+  [...sessions]
+    .sort((a, b) => b.durationSeconds - a.durationSeconds)
+    .slice(0, 5)
+    .forEach(session => console.log(formatSession(session)));
+  console.log();
+
+  if (lateNight.length > 0) {
+    console.log(colorize('  Recent late-night sessions:', 'yellow'));
+    lateNight.slice(0, 5).forEach(session => console.log(formatSession(session)));
+    console.log();
+  }
+}
+
+/**
+ * Generate "Rabbit holes" section: sessions drifting from benign into increasingly flagged videos
+ * Shows the entry point video where the drift started, followed by the chain of videos.
+ * @param {string|null} profile - Only include this profile's sessions (default: all profiles)
+ * @returns {Promise<void>}
+ */
+async function generateRabbitHoles(profile = null) {
+  console.log(colorize('Rabbit Holes:', 'bold'));
+  console.log('─'.repeat(80));
+  console.log();
+
+  const rabbitHoles = await detectRabbitHoles(profile);
+
+  if (rabbitHoles.length === 0) {
+    console.log(colorize('  ✓ No sessions drifting into flagged content', 'green'));
+    console.log();
+    return;
+  }
+
+  const timezones = await getProfileTimezones();
+
+  rabbitHoles.forEach(hole => {
+    const riskColor = getRiskColor(hole.peakRisk);
+    const started = formatLocalTime(hole.chain[0].watchedAt, timezones[hole.profile] || resolveTimezone());
+    const who = profile ? '' : colorize(`  [${hole.profile}]`, 'gray');
+
+    console.log(`  ${colorize(hole.peakRisk.padEnd(8), riskColor)}${hole.chain.length} videos, ${started}${who}`);
+    console.log(`          ${colorize('Entry point:', 'bold')} ${hole.entryPoint.title}${hole.entryPoint.channel ? colorize(` (${hole.entryPoint.channel})`, 'gray') : ''}`);
+    hole.chain.forEach(watch => {
+      const flags = (watch.contentFlags || []).join(', ');
+      const label = flags ? `${watch.riskLevel}: ${flags}` : watch.riskLevel;
+      console.log(`          ${colorize('→', 'gray')} ${watch.title} ${colorize(`[${label}]`, getRiskColor(watch.riskLevel))}`);
+    });
+    console.log();
+  });
+}
+
+/**
+ * Describe a metadata change that is a warning sign, or null for routine edits
+ * @param {Object} change - metadata_changes row
+ * @returns {string|null}
+ */
+function describeWarningChange(change) {
+  const {field, oldValue, newValue} = change;
+
+  if (field === 'contentRating' && newValue?.ytRating === 'ytAgeRestricted' && oldValue?.ytRating !== 'ytAgeRestricted') {
+    return 'Age-restricted';
+  }
+  if (field === 'available' && newValue === false) {
+    return 'Taken down or made private';
+  }
+  if (field === 'privacyStatus' && newValue === 'private') {
+    return 'Made private';
+  }
+  if (field === 'madeForKids' && oldValue === true && newValue === false) {
+    return 'No longer marked made for kids';
+  }
+  return null;
+}
+
+/**
+ * Generate section listing watched videos later age-restricted, taken down or made private
+ * Changes come from "npm run refresh".
+ * @param {string|null} profile - Only include this profile's watched videos (default: all profiles)
+ * @returns {Promise<void>}
+ */
+async function generateMetadataChangeAlerts(profile = null) {
+  console.log(colorize('Restricted or Removed Since Watched:', 'bold'));
+  console.log('─'.repeat(80));
+  console.log();
+
+  const changes = await db
+    .select({change: metadataChanges, title: videos.title, channelTitle: videos.channelTitle})
+    .from(metadataChanges)
+    .innerJoin(videos, eq(metadataChanges.resourceId, videos.id))
+    .where(and(
+      eq(metadataChanges.resourceType, 'video'),
+      inArray(metadataChanges.resourceId, watchedVideoIds(profile))
+    ))
+    .orderBy(desc(metadataChanges.changedAt));
+
+  const warnings = changes
+    .map(row => ({...row, warning: describeWarningChange(row.change)}))
+    .filter(row => row.warning);
+
+  if (warnings.length === 0) {
+    console.log(colorize('  ✓ No watched videos were later restricted or removed', 'green'));
+    console.log(colorize('    (run "npm run refresh" to re-check metadata)', 'gray'));
+    console.log();
+    return;
+  }
+
+  warnings.forEach(({change, title, channelTitle, warning}) => {
+    console.log(`  ${colorize(warning, 'red')}  ${colorize(new Date(change.changedAt).toLocaleDateString(), 'gray')}`);
+    console.log(`    ${title}${channelTitle ? colorize(` (${channelTitle})`, 'gray') : ''}`);
+    console.log(`    ${colorize(`https://www.youtube.com/watch?v=${change.resourceId}`, 'gray')}`);
+    console.log();
+  });
+}
+
+/**
+ * Generate flags raised by the classifiers in classifiers/ (e.g. warning signs in comments)
+ * @param {string|null} profile - Only include videos this profile watched (default: all profiles)
+ * @returns {Promise<void>}
+ */
+async function generateClassifierFlags(profile = null) {
+  const watched = await db.select({id: videos.id, title: videos.title}).from(videos)
+    .where(inArray(videos.id, watchedVideoIds(profile)));
+  const flagMap = await getClassificationFlags(watched.map(v => v.id));
+  const flagged = watched.filter(v => flagMap[v.id]);
+
+  if (flagged.length === 0) return;
+
+  console.log(colorize('Classifier Flags:', 'bold'));
+  console.log('─'.repeat(80));
+  console.log();
+
+  const severityOrder = {HIGH: 0, MEDIUM: 1, LOW: 2};
+  const bySeverity = (a, b) => (severityOrder[a.severity] ?? 2) - (severityOrder[b.severity] ?? 2);
+  flagged.forEach(video => flagMap[video.id].sort(bySeverity));
+  flagged.sort((a, b) => bySeverity(flagMap[a.id][0], flagMap[b.id][0]));
+
+  flagged.forEach(video => {
+    console.log(`  • ${video.title}`);
+    flagMap[video.id].forEach(flag => {
+      console.log(`    ${colorize(flag.severity.padEnd(7), getRiskColor(flag.severity))}${flag.message} ${colorize(`(${flag.classifier})`, 'gray')}`);
+      if (flag.evidence?.example) {
+        console.log(`           ${colorize(`"${flag.evidence.example}"`, 'gray')}`);
+      }
+    });
+    console.log();
+  });
+}
+
+/**
+ * Generate "Searches of concern" section from analyzed search history
+ * @param {string|null} profile - Only include this profile's searches (default: all profiles)
+ * @returns {Promise<void>}
+ */
+async function generateSearchConcerns(profile = null) {
+  console.log(colorize('Searches of Concern:', 'bold'));
+  console.log('─'.repeat(80));
+  console.log();
+
+  const concerning = await db
+    .select({
+      query: searchHistory.query,
+      timesSearched: count(),
+      lastSearched: max(searchHistory.searchedAt),
+      riskLevel: searchAnalysis.riskLevel,
+      contentFlags: searchAnalysis.contentFlags,
+      blocklistMatches: searchAnalysis.blocklistMatches,
+      reasoning: searchAnalysis.reasoning,
+    })
+    .from(searchHistory)
+    .innerJoin(searchAnalysis, eq(searchHistory.query, searchAnalysis.query))
+    .where(and(
+      inArray(searchAnalysis.riskLevel, ['HIGH', 'MEDIUM']),
+      profile ? eq(searchHistory.profile, profile) : undefined
+    ))
+    .groupBy(searchHistory.query)
+    .orderBy(desc(max(searchHistory.searchedAt)));
+
+  if (concerning.length === 0) {
+    console.log(colorize('  ✓ No concerning searches detected', 'green'));
+    console.log();
+    return;
+  }
+
+  // HIGH risk first, most recent first within each level
+  concerning.sort((a, b) => (a.riskLevel === 'HIGH' ? 0 : 1) - (b.riskLevel === 'HIGH' ? 0 : 1));
+
+  concerning.forEach(search => {
+    const riskColor = getRiskColor(search.riskLevel);
+    const flags = [...(search.contentFlags || []), ...(search.blocklistMatches || []).map(k => `blocklist:${k}`)];
+    const times = search.timesSearched > 1 ? ` (${search.timesSearched}x)` : '';
+
+    console.log(`  ${colorize(search.riskLevel.padEnd(8), riskColor)}"${search.query}"${colorize(times, 'gray')}`);
+    console.log(`          ${colorize('Last searched:', 'gray')} ${new Date(search.lastSearched).toLocaleString()}`);
+    if (flags.length > 0) {
+      console.log(`          ${colorize('Flags:', 'gray')} ${colorize(flags.join(', '), riskColor)}`);
+    }
+    if (search.reasoning) {
+      console.log(`          ${colorize('→', 'gray')} ${search.reasoning}`);
+    }
+    console.log();
+  });
+}
+
+/**
+ * Generate section highlighting subscribed channels with flagged content
+ * Uses every analyzed video from the channel, so channels show up even when the
+ * child hasn't watched them recently.
+ * @param {string|null} profile - Only include this profile's subscriptions (default: all profiles)
+ * @param {Object} analysisMap - Map of videoId -> AI analysis
+ * @returns {Promise<void>}
+ */
+async function generateSubscriptionConcerns(profile, analysisMap) {
+  const subscribed = await db.select().from(subscriptions)
+    .where(profile ? eq(subscriptions.profile, profile) : undefined);
+
+  if (subscribed.length === 0) return;
+
+  console.log(colorize('Subscribed Channels of Concern:', 'bold'));
+  console.log('─'.repeat(80));
+  console.log();
+
+  const blockedChannels = new Set(loadBlocklist().channels);
+  const subscribedIds = [...new Set(subscribed.map(s => s.channelId))];
+  const channelVideos = await db.select().from(videos).where(inArray(videos.channelId, subscribedIds));
+  const watchedIds = new Set((await watchedVideoIds(profile)).map(w => w.videoId));
+
+  const concerns = [];
+  const seen = new Set();
+
+  subscribed.forEach(sub => {
+    if (seen.has(sub.channelId)) return;
+    seen.add(sub.channelId);
+
+    const analyzed = channelVideos.filter(v => v.channelId === sub.channelId && analysisMap[v.id]);
+    const flagged = analyzed.filter(v => {
+      const analysis = analysisMap[v.id];
+      return analysis.riskLevel === 'HIGH' || analysis.riskLevel === 'MEDIUM' || (analysis.contentFlags || []).length > 0;
+    });
+    const blocked = blockedChannels.has(sub.channelId);
+
+    if (flagged.length === 0 && !blocked) return;
+
+    concerns.push({
+      ...sub,
+      analyzed,
+      flagged,
+      blocked,
+      watched: channelVideos.some(v => v.channelId === sub.channelId && watchedIds.has(v.id)),
+      flags: [...new Set(flagged.flatMap(v => analysisMap[v.id].contentFlags || []))],
+      hasHigh: flagged.some(v => analysisMap[v.id].riskLevel === 'HIGH'),
+    });
+  });
+
+  if (concerns.length === 0) {
+    console.log(colorize(`  ✓ No flagged content from ${seen.size} subscribed channels`, 'green'));
+    console.log();
+    return;
+  }
+
+  concerns.sort((a, b) => (b.blocked - a.blocked) || (b.hasHigh - a.hasHigh) || (b.flagged.length - a.flagged.length));
+
+  concerns.forEach(channel => {
+    const color = channel.blocked || channel.hasHigh ? 'red' : 'yellow';
+    const notes = [
+      channel.blocked ? 'on blocklist' : null,
+      channel.watched ? null : 'not in recent watch history',
+    ].filter(Boolean);
+
+    console.log(`  ${colorize('★', color)} ${colorize(channel.channelTitle || channel.channelId, 'bold')}${notes.length > 0 ? colorize(` (${notes.join(', ')})`, 'gray') : ''}`);
+    if (channel.analyzed.length > 0) {
+      console.log(`    ${colorize('Flagged videos:', 'gray')} ${channel.flagged.length} of ${channel.analyzed.length} analyzed`);
+    }
+    if (channel.flags.length > 0) {
+      console.log(`    ${colorize('Flags:', 'gray')} ${colorize(channel.flags.join(', '), color)}`);
+    }
+    channel.flagged.slice(0, 3).forEach(video => {
+      console.log(`    ${colorize('•', 'gray')} ${video.title} ${colorize(`(${analysisMap[video.id].riskLevel})`, getRiskColor(analysisMap[video.id].riskLevel))}`);
+    });
+    console.log();
+  });
+}
+
+/**
+ * Generate channel section: most watched channels with their content profiles
+ * High-risk channels outside the top channels are listed too.
+ * @param {string|null} profile - Only count this profile's watch history (default: all profiles)
+ * @param {number} topN - Number of most watched channels to show
+ * @returns {Promise<void>}
+ */
+async function generateChannelProfiles(profile = null, topN = 10) {
+  const watchCounts = await db.select({channelId: videos.channelId, channelTitle: videos.channelTitle, watches: count()})
+    .from(watchHistory)
+    .innerJoin(videos, eq(watchHistory.videoId, videos.id))
+    .where(profile ? eq(watchHistory.profile, profile) : undefined)
+    .groupBy(videos.channelId)
+    .orderBy(desc(count()));
+
+  if (watchCounts.length === 0) return;
+
+  console.log(colorize('Channels:', 'bold'));
+  console.log('─'.repeat(80));
+  console.log();
+
+  const contentProfiles = await getChannelContentProfiles(profile);
+  const channelTitles = Object.fromEntries((await db.select({id: channels.id, title: channels.title}).from(channels)).map(c => [c.id, c.title]));
+  const riskColors = {HIGH: 'red', MEDIUM: 'yellow', LOW: 'green', UNKNOWN: 'gray'};
+
+  const shown = watchCounts.filter((channel, idx) => idx < topN || contentProfiles[channel.channelId]?.riskLevel === 'HIGH');
+
+  shown.forEach(channel => {
+    const content = contentProfiles[channel.channelId];
+    const details = [
+      `${channel.watches} watches`,
+      content?.country,
+      content?.madeForKids ? 'made for kids' : null,
+    ].filter(Boolean).join(', ');
+
+    console.log(`  ${colorize('★', riskColors[content?.riskLevel] || 'gray')} ${colorize(channelTitles[channel.channelId] || channel.channelTitle || channel.channelId, 'bold')} ${colorize(`(${details})`, 'gray')}`);
+    if (!content) {
+      console.log();
+      return;
+    }
+
+    if (content.topics.length > 0) {
+      console.log(`    ${colorize('Topics:', 'gray')} ${content.topics.join(', ')}`);
+    }
+    if (content.keywords.length > 0) {
+      const more = content.keywords.length > 8 ? ` (+${content.keywords.length - 8} more)` : '';
+      console.log(`    ${colorize('Keywords:', 'gray')} ${content.keywords.slice(0, 8).join(', ')}${more}`);
+    }
+    if (content.analyzed > 0) {
+      const rate = `${content.flagged} of ${content.analyzed} analyzed videos flagged (${Math.round(content.flagRate * 100)}%)`;
+      const flags = content.topFlags.length > 0 ? `: ${content.topFlags.slice(0, 3).join(', ')}` : '';
+      console.log(`    ${colorize('Risk:', 'gray')} ${colorize(content.riskLevel, riskColors[content.riskLevel])} - ${rate}${flags}`);
+    } else if (content.riskLevel !== 'UNKNOWN') {
+      console.log(`    ${colorize('Risk:', 'gray')} ${colorize(content.riskLevel, riskColors[content.riskLevel])}`);
+    }
+    content.notes.forEach(note => {
+      console.log(`    ${colorize('⚠', 'yellow')} ${note}`);
+    });
+    console.log();
+  });
+}
+
+/**
+ * Generate "coming up" section: pre-screened uploads of watched and subscribed channels not watched yet
+ * @param {string|null} profile - Only uploads found on this profile's channels (default: all profiles)
+ * @param {number} maxLowRisk - LOW risk and unanalyzed uploads to list (flagged ones are always listed)
+ * @param {number} maxAgeDays - Leave out uploads older than this
+ * @returns {Promise<void>}
+ */
+async function generateComingUp(profile = null, maxLowRisk = 5, maxAgeDays = DEFAULT_MAX_AGE_DAYS) {
+  const uploads = await getUpcomingUploads(profile, maxAgeDays);
+  if (uploads.length === 0) return;
+
+  const uploadIds = uploads.map(u => u.videoId);
+  const videoMap = new Map((await db.select().from(videos).where(inArray(videos.id, uploadIds))).map(v => [v.id, v]));
+  const analysisMap = new Map((await db.select().from(aiAnalysis).where(inArray(aiAnalysis.videoId, uploadIds)))
+    .map(a => [a.videoId, a]));
+  const upcoming = uploads.map(upload => ({upload, video: videoMap.get(upload.videoId), analysis: analysisMap.get(upload.videoId)}));
+
+  console.log(colorize('Coming Up on Channels Your Child Watches:', 'bold'));
+  console.log('─'.repeat(80));
+  console.log();
+
+  const riskOrder = {HIGH: 0, MEDIUM: 1, LOW: 2};
+  const riskOf = u => u.analysis?.riskLevel || null;
+  upcoming.sort((a, b) => ((riskOrder[riskOf(a)] ?? 3) - (riskOrder[riskOf(b)] ?? 3))
+    || (b.upload.publishedAt || '').localeCompare(a.upload.publishedAt || ''));
+
+  const counts = {HIGH: 0, MEDIUM: 0, LOW: 0, unanalyzed: 0};
+  upcoming.forEach(u => counts[riskOf(u) || 'unanalyzed']++);
+  const channelCount = new Set(upcoming.map(u => u.upload.channelId)).size;
+  console.log(`  ${upcoming.length} uploads from ${channelCount} channels: ${colorize(`${counts.HIGH} HIGH`, 'red')}, ${colorize(`${counts.MEDIUM} MEDIUM`, 'yellow')}, ${colorize(`${counts.LOW} LOW`, 'green')}, ${counts.unanalyzed} not analyzed`);
+  console.log();
+
+  const flagged = upcoming.filter(u => riskOf(u) === 'HIGH' || riskOf(u) === 'MEDIUM');
+  const rest = upcoming.filter(u => !flagged.includes(u)).slice(0, maxLowRisk);
+
+  [...flagged, ...rest].forEach(({upload, video, analysis}) => {
+    const risk = analysis?.riskLevel
+      ? colorize(analysis.riskLevel.padEnd(8), getRiskColor(analysis.riskLevel))
+      : colorize('?'.padEnd(8), 'gray');
+    const published = upload.publishedAt || video?.publishedAt;
+    const details = [video?.channelTitle, published ? `uploaded ${published.slice(0, 10)}` : null].filter(Boolean).join(', ');
+
+    console.log(`  ${risk}${video?.title || upload.videoId} ${colorize(`(${details})`, 'gray')}`);
+    if (analysis?.reasoning && (analysis.riskLevel === 'HIGH' || analysis.riskLevel === 'MEDIUM')) {
+      console.log(`          ${colorize('→', 'gray')} ${analysis.reasoning}`);
+    } else if (!analysis) {
+      console.log(`          ${colorize(video?.hasCaption === false ? 'Not analyzed (no captions)' : 'Not analyzed yet', 'gray')}`);
+    }
+  });
+
+  const hidden = upcoming.length - flagged.length - rest.length;
+  if (hidden > 0) {
+    console.log(colorize(`  ... and ${hidden} more LOW risk or unanalyzed uploads`, 'gray'));
+  }
+  console.log();
+}
+
 /**
  * Generate and display full AI analysis report
+ * @param {Object} options
+ * @param {string|null} options.profile - Only report on this profile's watch history (default: all profiles)
  * @returns {Promise<void>}
  */
-async function generateReport() {
+async function generateReport({profile = null} = {}) {
   console.log('\n' + '='.repeat(80));
   console.log(colorize('\n🤖 AI Content Analysis Report', 'bold'));
+  if (profile) {
+    console.log(colorize(`Profile: ${profile}`, 'gray'));
+  }
   console.log('='.repeat(80) + '\n');
 
-  // Get all videos with AI analysis
-  const allVideos = await db.select().from(videos);
+  // Get all watched videos (video metadata and AI analysis are shared across profiles)
+  const allVideos = await db.select().from(videos).where(inArray(videos.id, watchedVideoIds(profile)));
   const allAnalysis = await db.select().from(aiAnalysis);
 
   if (allAnalysis.length === 0) {
@@ -207,6 +796,15 @@ async function generateReport() {
   console.log(`  ${colorize('LOW', 'green')} risk: ${riskCounts.LOW}`);
   console.log();
 
+  // Content type breakdown
+  await generateContentTypeBreakdown(profile, analysisMap);
+
+  // Category breakdown: watch time and risk per YouTube category
+  await generateCategoryBreakdown(profile, analysisMap);
+
+  // How the child watches: sessions, binges, late nights
+  await generateSessionSummary(profile);
+
   // Flagged content section
   const flaggedVideos = analyzedVideos.filter(v => {
     const flags = analysisMap[v.id].contentFlags || [];
@@ -256,8 +854,29 @@ async function generateReport() {
     console.log();
   }
 
+  // Classifier flags (warning signs in comments)
+  await generateClassifierFlags(profile);
+
+  // Sessions that drifted into flagged content, with their entry points
+  await generateRabbitHoles(profile);
+
+  // Watched videos later age-restricted or taken down
+  await generateMetadataChangeAlerts(profile);
+
+  // Searches of concern
+  await generateSearchConcerns(profile);
+
+  // Subscribed channels with flagged content
+  await generateSubscriptionConcerns(profile, analysisMap);
+
+  // Most watched channels with their content profiles
+  await generateChannelProfiles(profile);
+
+  // New uploads from those channels, pre-screened by "npm run prescreen"
+  await generateComingUp(profile);
+
   // Tag cloud
-  await generateTagCloud();
+  await generateTagCloud(profile);
 
   // Table header
   console.log(colorize('RANK  RISK    VIDEO', 'bold'));
@@ -299,4 +918,20 @@ async function generateReport() {
   console.log(colorize('\n✅ Report complete\n', 'green'));
 }
 
-export {generateReport, generateTagCloud, colorize, parseDuration, formatWatchTime, getRiskColor};
+export {
+  generateReport,
+  generateTagCloud,
+  generateContentTypeBreakdown,
+  generateCategoryBreakdown,
+  generateSessionSummary,
+  generateRabbitHoles,
+  generateMetadataChangeAlerts,
+  generateClassifierFlags,
+  generateSearchConcerns,
+  generateSubscriptionConcerns,
+  generateChannelProfiles,
+  generateComingUp,
+  colorize,
+  formatWatchTime,
+  getRiskColor
+};
@@ -0,0 +1,152 @@
+// Search query risk classifier: blocklist keywords + OpenAI
+import 'dotenv/config';
+import OpenAI from 'openai';
+import {db, searchHistory, searchAnalysis} from '../db/index.js';
+import {loadBlocklist, matchKeywords} from './blocklist.js';
+import {notInArray} from 'drizzle-orm';
+
+const SYSTEM_PROMPT = `You are a child safety analyzer reviewing YouTube searches made by a child.
+
+What a child searches for can reveal risks that their watch history doesn't. For each query, detect:
+- self-harm: Self-harm, suicide, eating disorders
+- sexual-content: Sexual terms, pornography, adult content
+- graphic-violence: Gore, violence, weapons, fights
+- drugs-alcohol: Drugs, vaping, alcohol, how to obtain them
+- extreme-political: Extremist movements, radicalization, conspiracy theories
+- hate-speech: Slurs, racist, sexist, homophobic terms
+- scary-disturbing: Horror, disturbing or shock content
+- dangerous-challenges: Dangerous stunts, challenges, pranks that risk injury
+- grooming-contact: Seeking private contact with strangers, meeting people, sharing personal info
+
+Return JSON:
+{
+  "results": [
+    {"query": "the query exactly as given", "contentFlags": ["flag1"], "riskLevel": "HIGH|MEDIUM|LOW", "reasoning": "Short explanation"}
+  ]
+}
+
+Guidelines:
+- Return one result per query, in the same order
+- contentFlags should be empty array for ordinary searches (games, music, school topics, etc.)
+- riskLevel HIGH = clearly concerning for a child, MEDIUM = worth a conversation, LOW = ordinary
+- Keep reasoning to one sentence; leave it empty for LOW risk`;
+
+// Queries per OpenAI request
+const BATCH_SIZE = 50;
+
+const RISK_LEVELS = ['HIGH', 'MEDIUM', 'LOW'];
+
+/**
+ * Normalize search text so repeated searches share one analysis
+ * @param {string} query - Raw search text
+ * @returns {string} Trimmed, lowercased query with collapsed whitespace
+ */
+function normalizeQuery(query) {
+  return query.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Call OpenAI API to classify a batch of search queries
+ * @param {string[]} queries - Normalized search queries
+ * @returns {Promise<Array<{query: string, contentFlags: string[], riskLevel: string, reasoning: string}>>}
+ */
+async function classifyWithAI(queries) {
+  const openai = new OpenAI({
+    apiKey: process.env.OPENAI_API_KEY
+  });
+
+  const response = await openai.chat.completions.create({
+    model: 'gpt-4o-mini',
+    temperature: 0.2,
+    max_tokens: 4000,
+    messages: [
+      {role: 'system', content: SYSTEM_PROMPT},
+      {role: 'user', content: `Classify these searches:\n\n${JSON.stringify(queries)}`}
+    ],
+    response_format: {type: 'json_object'}
+  });
+
+  return JSON.parse(response.choices[0].message.content).results || [];
+}
+
+/**
+ * Classify all searches that haven't been analyzed yet
+ * Blocklist matches are recorded for every query and raise its risk to at least MEDIUM.
+ * @param {number|null} limit - Optional limit on number of queries to analyze
+ * @returns {Promise<{analyzed: number, failed: number, concerning: number, errors: Array}>}
+ */
+async function analyzeSearches(limit = null) {
+  const pending = await db.selectDistinct({query: searchHistory.query})
+    .from(searchHistory)
+    .where(notInArray(searchHistory.query, db.select({query: searchAnalysis.query}).from(searchAnalysis)));
+
+  const queries = pending.map(p => p.query);
+  const toAnalyze = limit ? queries.slice(0, limit) : queries;
+
+  const results = {analyzed: 0, failed: 0, concerning: 0, errors: []};
+
+  if (toAnalyze.length === 0) {
+    console.log('✓ All searches already analyzed\n');
+    return results;
+  }
+
+  console.log(`\nAnalyzing ${toAnalyze.length} unique search queries...\n`);
+
+  const {keywords} = loadBlocklist();
+
+  for (let i = 0; i < toAnalyze.length; i += BATCH_SIZE) {
+    const batch = toAnalyze.slice(i, i + BATCH_SIZE);
+    const progress = `[${Math.min(i + BATCH_SIZE, toAnalyze.length)}/${toAnalyze.length}]`;
+
+    try {
+      const classified = await classifyWithAI(batch);
+      const byQuery = Object.fromEntries(classified.map(c => [normalizeQuery(c.query || ''), c]));
+
+      let missing = 0;
+
+      for (const query of batch) {
+        // Queries the model left out or rewrote aren't stored, so the next run classifies them again
+        const ai = byQuery[query];
+        if (!ai || !RISK_LEVELS.includes(ai.riskLevel)) {
+          missing++;
+          results.failed++;
+          results.errors.push({query, error: 'Missing from AI response'});
+          continue;
+        }
+
+        const blocklistMatches = matchKeywords(query, keywords);
+
+        let riskLevel = ai.riskLevel;
+        if (blocklistMatches.length > 0 && riskLevel === 'LOW') {
+          riskLevel = 'MEDIUM';
+        }
+
+        await db.insert(searchAnalysis).values({
+          query,
+          riskLevel,
+          contentFlags: ai.contentFlags || [],
+          blocklistMatches,
+          reasoning: ai.reasoning || (blocklistMatches.length > 0 ? `Matches blocklist: ${blocklistMatches.join(', ')}` : null),
+          model: 'gpt-4o-mini'
+        }).onConflictDoNothing();
+
+        results.analyzed++;
+        if (riskLevel !== 'LOW') results.concerning++;
+      }
+
+      console.log(`${progress} ✓ ${batch.length - missing} queries classified`);
+      if (missing > 0) {
+        console.log(`${progress} ✗ ${missing} queries missing from the AI response (retried next run)`);
+      }
+
+    } catch (error) {
+      results.failed += batch.length;
+      results.errors.push({batch: i / BATCH_SIZE + 1, error: error.message});
+      console.log(`${progress} ✗ ${error.message}`);
+    }
+  }
+
+  return results;
+}
+
+export {analyzeSearches, normalizeQuery};
@@ -0,0 +1,139 @@
+// Viewing sessions: group raw watch timestamps into sittings using watch gaps and video durations
+import {db, watchHistory, videos, viewingSessions} from '../db/index.js';
+import {parseDuration} from './duration.js';
+import {resolveTimezone} from './profiles.js';
+import {eq, asc, inArray} from 'drizzle-orm';
+
+// A new session starts when nothing was playing for this long
+const SESSION_GAP_SECONDS = 30 * 60;
+
+// Local hours counted as late night: 22:00 up to (not including) 06:00
+const LATE_NIGHT_START_HOUR = 22;
+const LATE_NIGHT_END_HOUR = 6;
+
+// watch_history IDs per UPDATE statement (stays under SQLite's variable limit)
+const UPDATE_CHUNK_SIZE = 500;
+
+// One hour formatter per timezone, reused for every watch (creating one is far slower than formatting)
+const hourFormatters = new Map();
+
+/**
+ * Hour of day (0-23) of a moment in the given timezone
+ * @param {Date} date - Moment in time
+ * @param {string} timezone - IANA timezone
+ * @returns {number} Local hour
+ */
+function localHour(date, timezone) {
+  if (!hourFormatters.has(timezone)) {
+    hourFormatters.set(timezone, new Intl.DateTimeFormat('en-US', {timeZone: timezone, hour: 'numeric', hourCycle: 'h23'}));
+  }
+  return parseInt(hourFormatters.get(timezone).format(date), 10);
+}
+
+function isLateNight(date, timezone) {
+  const hour = localHour(date, timezone);
+  return hour >= LATE_NIGHT_START_HOUR || hour < LATE_NIGHT_END_HOUR;
+}
+
+/**
+ * Group watches into sessions
+ * Takeout records when a video was started, so each watch is assumed to play for the video's
+ * duration (or until the next watch starts). A gap longer than SESSION_GAP_SECONDS after the
+ * previous video would have ended starts a new session.
+ * @param {Array<{id: number, watchedAt: Date, durationSeconds: number}>} watches - Sorted by watchedAt
+ * @param {string} timezone - IANA timezone used for late-night detection
+ * @returns {Array<{startedAt: Date, endedAt: Date, videoCount: number, durationSeconds: number,
+ *   lateNight: boolean, watchIds: number[]}>}
+ */
+function groupSessions(watches, timezone) {
+  const sessions = [];
+  let current = null;
+
+  for (const [i, watch] of watches.entries()) {
+    const start = watch.watchedAt.getTime();
+
+    // A long video or stream that was left for the next one only counts until the next one started
+    const next = watches[i + 1];
+    const end = next
+      ? Math.min(start + watch.durationSeconds * 1000, next.watchedAt.getTime())
+      : start + watch.durationSeconds * 1000;
+
+    if (!current || start - current.end > SESSION_GAP_SECONDS * 1000) {
+      current = {start, end, watchIds: [], lateNight: false};
+      sessions.push(current);
+    }
+
+    current.end = Math.max(current.end, end);
+    current.watchIds.push(watch.id);
+    if (isLateNight(watch.watchedAt, timezone)) {
+      current.lateNight = true;
+    }
+  }
+
+  return sessions.map(s => ({
+    startedAt: new Date(s.start),
+    endedAt: new Date(s.end),
+    videoCount: s.watchIds.length,
+    durationSeconds: Math.round((s.end - s.start) / 1000),
+    lateNight: s.lateNight,
+    watchIds: s.watchIds,
+  }));
+}
+
+/**
+ * Rebuild a profile's viewing sessions from its full watch history
+ * Videos without metadata count as zero length, so they only join a session by timing.
+ * @param {Object} profile - Profile row ({name, timezone})
+ * @returns {Promise<{sessions: number, lateNight: number, timezone: string}>}
+ */
+async function buildSessions(profile) {
+  const timezone = resolveTimezone(profile);
+
+  const rows = await db
+    .select({id: watchHistory.id, watchedAt: watchHistory.watchedAt, duration: videos.duration})
+    .from(watchHistory)
+    .leftJoin(videos, eq(watchHistory.videoId, videos.id))
+    .where(eq(watchHistory.profile, profile.name))
+    .orderBy(asc(watchHistory.watchedAt));
+
+  const watches = rows.map(r => ({
+    id: r.id,
+    watchedAt: new Date(r.watchedAt),
+    durationSeconds: parseDuration(r.duration),
+  }));
+  const sessions = groupSessions(watches, timezone);
+
+  // Replace the profile's sessions in one transaction
+  db.transaction(tx => {
+    tx.update(watchHistory).set({sessionId: null}).where(eq(watchHistory.profile, profile.name)).run();
+    tx.delete(viewingSessions).where(eq(viewingSessions.profile, profile.name)).run();
+
+    for (const session of sessions) {
+      const {watchIds, ...values} = session;
+      const {id} = tx.insert(viewingSessions)
+        .values({
+          ...values,
+          profile: profile.name,
+          startedAt: values.startedAt.toISOString(),
+          endedAt: values.endedAt.toISOString(),
+        })
+        .returning({id: viewingSessions.id})
+        .get();
+
+      for (let i = 0; i < watchIds.length; i += UPDATE_CHUNK_SIZE) {
+        tx.update(watchHistory)
+          .set({sessionId: id})
+          .where(inArray(watchHistory.id, watchIds.slice(i, i + UPDATE_CHUNK_SIZE)))
+          .run();
+      }
+    }
+  });
+
+  return {
+    sessions: sessions.length,
+    lateNight: sessions.filter(s => s.lateNight).length,
+    timezone,
+  };
+}
+
+export {buildSessions, groupSessions, localHour, SESSION_GAP_SECONDS, LATE_NIGHT_START_HOUR, LATE_NIGHT_END_HOUR};
@@ -0,0 +1,381 @@
+// Google Takeout parsers for YouTube history exports (JSON and HTML)
+import {streamJsonArray} from './json-stream.js';
+
+// Month names (full forms) for the languages Takeout commonly exports in.
+// Abbreviations are matched by prefix, e.g. "sept." -> "september", "févr." -> "février"
+const MONTH_NAMES = [
+  ['january', 'enero', 'janeiro', 'janvier', 'januar', 'jänner', 'gennaio', 'januari'],
+  ['february', 'febrero', 'fevereiro', 'février', 'februar', 'febbraio', 'februari'],
+  ['march', 'marzo', 'março', 'mars', 'märz', 'maart'],
+  ['april', 'abril', 'avril', 'aprile'],
+  ['may', 'mayo', 'maio', 'mai', 'maggio', 'mei'],
+  ['june', 'junio', 'junho', 'juin', 'juni', 'giugno'],
+  ['july', 'julio', 'julho', 'juillet', 'juli', 'luglio'],
+  ['august', 'agosto', 'août', 'augustus'],
+  ['september', 'septiembre', 'setembro', 'septembre', 'settembre'],
+  ['october', 'octubre', 'outubro', 'octobre', 'oktober', 'ottobre'],
+  ['november', 'noviembre', 'novembro', 'novembre'],
+  ['december', 'diciembre', 'dezembro', 'décembre', 'dezember', 'dicembre'],
+];
+
+// Abbreviations that are not a prefix of the full month name
+const MONTH_ALIASES = {mrt: 3};
+
+// Offsets in minutes for timezone abbreviations seen in Takeout timestamps
+const TIMEZONE_OFFSETS = {
+  UTC: 0, GMT: 0, WET: 0, WEST: 60, BST: 60, IST: 330,
+  CET: 60, CEST: 120, MEZ: 60, MESZ: 120, EET: 120, EEST: 180, MSK: 180,
+  EST: -300, EDT: -240, CST: -360, CDT: -300, MST: -420, MDT: -360,
+  PST: -480, PDT: -420, AKST: -540, AKDT: -480, HST: -600,
+  BRT: -180, ART: -180, AEST: 600, AEDT: 660, ACST: 570, ACDT: 630, AWST: 480,
+  NZST: 720, NZDT: 780, JST: 540, KST: 540, SGT: 480, HKT: 480,
+};
+
+const HTML_ENTITIES = {amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', emsp: ' ', ensp: ' ', thinsp: ' '};
+
+/**
+ * Decode the HTML entities used in Takeout exports
+ * @param {string} text - HTML-encoded text
+ * @returns {string} Decoded text
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const value = code[1] === 'x' || code[1] === 'X' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return String.fromCodePoint(value);
+    }
+    return HTML_ENTITIES[code.toLowerCase()] ?? entity;
+  });
+}
+
+/**
+ * Strip tags and decode entities, collapsing whitespace
+ * @param {string} html - HTML fragment
+ * @returns {string} Plain text
+ */
+function htmlToText(html) {
+  return decodeEntities(html.replace(/<[^>]*>/g, '')).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Resolve a (possibly abbreviated, possibly localized) month name to 1-12
+ * @param {string} token - Month token, e.g. "Oct", "out.", "März"
+ * @returns {number|null} Month number or null if not a month
+ */
+function parseMonthName(token) {
+  const name = token.toLowerCase().replace(/\.$/, '');
+  if (MONTH_ALIASES[name]) return MONTH_ALIASES[name];
+  if (name.length < 3) return null;
+
+  const matches = new Set();
+  MONTH_NAMES.forEach((names, idx) => {
+    if (names.some(full => full.startsWith(name))) matches.add(idx + 1);
+  });
+
+  return matches.size === 1 ? [...matches][0] : null;
+}
+
+/**
+ * Resolve a timezone suffix ("PDT", "UTC+2", "GMT-03:00") to an offset in minutes
+ * @param {string} text - Text following the time of day
+ * @returns {number|null} Offset in minutes or null if unknown
+ */
+function parseTimezoneOffset(text) {
+  const numeric = text.match(/(?:UTC|GMT)\s*([+\-−])\s*(\d{1,2})(?::?(\d{2}))?/i);
+  if (numeric) {
+    const sign = numeric[1] === '+' ? 1 : -1;
+    return sign * (parseInt(numeric[2], 10) * 60 + parseInt(numeric[3] || 0, 10));
+  }
+
+  const abbreviation = text.match(/\b([A-Z]{2,5})\b/);
+  if (abbreviation && abbreviation[1] in TIMEZONE_OFFSETS) {
+    return TIMEZONE_OFFSETS[abbreviation[1]];
+  }
+
+  return null;
+}
+
+/**
+ * Parse the human-readable timestamp used in Takeout HTML exports
+ * Handles English and common European locales, e.g.:
+ *   "Oct 24, 2025, 3:45:12 PM PDT", "24 Oct 2025, 15:45:12 BST",
+ *   "24.10.2025, 15:45:12 MESZ", "24 de out. de 2025, 15:45:12 BRT"
+ * Timestamps without a recognizable timezone are read as local time.
+ * @param {string} text - Timestamp text
+ * @returns {string|null} ISO 8601 timestamp or null if unparseable
+ */
+function parseTakeoutTimestamp(text) {
+  const normalized = text.replace(/[\u00a0\u202f\u2009]/g, ' ').trim();
+
+  const timeMatch = normalized.match(/(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([ap])?\.?\s*(m\.?)?(?![a-z])/i);
+  if (!timeMatch) return null;
+
+  let hours = parseInt(timeMatch[1], 10);
+  const minutes = parseInt(timeMatch[2], 10);
+  const seconds = parseInt(timeMatch[3] || 0, 10);
+  const meridiem = timeMatch[5] ? timeMatch[4]?.toLowerCase() : null;
+  if (meridiem === 'p' && hours < 12) hours += 12;
+  if (meridiem === 'a' && hours === 12) hours = 0;
+
+  const datePart = normalized.slice(0, timeMatch.index);
+  const zonePart = normalized.slice(timeMatch.index + timeMatch[0].length);
+
+  let year;
+  let month;
+  let day;
+
+  const ymd = datePart.match(/(\d{4})\D{1,3}(\d{1,2})\D{1,3}(\d{1,2})/);
+  const numeric = datePart.match(/(\d{1,2})[./-](\d{1,2})[./-](\d{4})/);
+
+  if (ymd) {
+    [year, month, day] = [ymd[1], ymd[2], ymd[3]].map(Number);
+  } else if (numeric) {
+    // Day-first unless that is impossible (US-style month/day/year)
+    const first = parseInt(numeric[1], 10);
+    const second = parseInt(numeric[2], 10);
+    [day, month] = second > 12 ? [second, first] : [first, second];
+    year = parseInt(numeric[3], 10);
+  } else {
+    const tokens = datePart.split(/[\s,]+/).filter(Boolean);
+    for (const token of tokens) {
+      if (/^\d{4}$/.test(token)) year = parseInt(token, 10);
+      else if (/^\d{1,2}\.?$/.test(token)) day = parseInt(token, 10);
+      else if (!month) month = parseMonthName(token);
+    }
+  }
+
+  if (!year || !month || !day || month > 12 || day > 31) return null;
+
+  const offset = parseTimezoneOffset(zonePart);
+  const date = offset === null
+    ? new Date(year, month - 1, day, hours, minutes, seconds)
+    : new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds) - offset * 60000);
+
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Parse a Takeout "My Activity" HTML export into the same entry shape as the JSON export
+ * ({header, title, titleUrl, subtitles, time, details})
+ * @param {string} html - Contents of watch-history.html
+ * @returns {Array} Parsed history entries
+ */
+function parseActivityHtml(html) {
+  const entries = [];
+  const cells = html.split(/<div class="outer-cell[^"]*">/).slice(1);
+
+  for (const cell of cells) {
+    const header = cell.match(/<p class="mdl-typography--title">([\s\S]*?)<\/p>/);
+    const content = cell.match(/<div class="content-cell[^"]*mdl-typography--body-1">([\s\S]*?)<\/div>/);
+    if (!content) continue;
+
+    const lines = content[1].split(/<br\s*\/?>/i).map(l => l.trim()).filter(l => htmlToText(l));
+    if (lines.length === 0) continue;
+
+    const entry = {
+      header: header ? htmlToText(header[1]) : undefined,
+      title: htmlToText(lines[0]),
+    };
+
+    const titleLink = lines[0].match(/<a href="([^"]*)"/);
+    if (titleLink) entry.titleUrl = decodeEntities(titleLink[1]);
+
+    for (const line of lines.slice(1)) {
+      const link = line.match(/<a href="([^"]*)">([\s\S]*?)<\/a>/);
+      if (link) {
+        entry.subtitles = [...(entry.subtitles || []), {name: htmlToText(link[2]), url: decodeEntities(link[1])}];
+      } else {
+        entry.time = parseTakeoutTimestamp(htmlToText(line)) || undefined;
+      }
+    }
+
+    const details = cell.match(/<b>Details:<\/b><br>([\s\S]*?)(?:<b>|<\/div>)/);
+    if (details) {
+      entry.details = details[1].split(/<br\s*\/?>/i).map(htmlToText).filter(Boolean).map(name => ({name}));
+    }
+
+    entries.push(entry);
+  }
+
+  return entries;
+}
+
+/**
+ * Parse a Takeout history export (watch or search history) in either export format
+ * @param {string} content - File contents
+ * @param {string} format - "json" or "html" (typically the file extension)
+ * @returns {Array} History entries in the Takeout JSON shape
+ */
+function parseHistoryExport(content, format) {
+  if (format === 'json') return JSON.parse(content);
+  if (format === 'html' || format === 'htm') return parseActivityHtml(content);
+
+  throw new Error(`Unsupported history format: .${format} (expected .json or .html)`);
+}
+
+/**
+ * Iterate over the entries of a Takeout history export without loading it all at once
+ * JSON exports are streamed entry by entry; HTML exports are parsed in one go.
+ * @param {Object} file - Source file from openTakeoutSource() ({format, read(), stream()})
+ * @yields {Object} History entries in the Takeout JSON shape
+ */
+async function* streamHistoryExport(file) {
+  if (file.format === 'json') {
+    yield* streamJsonArray(file.stream());
+    return;
+  }
+
+  yield* parseHistoryExport(file.read(), file.format);
+}
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, escaped quotes, CRLF) into rows
+ * Blank lines are kept as empty rows since old playlist exports use them as section breaks.
+ * @param {string} content - CSV text
+ * @returns {string[][]} Rows of fields
+ */
+function parseCsv(content) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const text = content.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row.length === 1 && row[0] === '' ? [] : row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+/**
+ * Parse Takeout subscriptions.csv (Channel Id, Channel Url, Channel Title)
+ * Columns are read by position since header names are localized.
+ * @param {string} content - CSV text
+ * @returns {Array<{channelId: string, channelUrl: string, channelTitle: string}>}
+ */
+function parseSubscriptionsCsv(content) {
+  return parseCsv(content)
+    .slice(1)
+    .filter(row => row[0]?.trim())
+    .map(([channelId, channelUrl, channelTitle]) => ({
+      channelId: channelId.trim(),
+      channelUrl: channelUrl?.trim(),
+      channelTitle: channelTitle?.trim(),
+    }));
+}
+
+/**
+ * Reduce a playlist title to the form Takeout uses in file names, for matching
+ */
+function playlistFileKey(title) {
+  return title.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+}
+
+/**
+ * Parse Takeout playlist CSVs in either export layout:
+ *   - current: playlists.csv (one row per playlist) plus "<title>-videos.csv" per playlist
+ *   - older: one "<title>.csv" per playlist with a metadata block, a blank line, then video rows
+ * Columns are read by position since header names are localized.
+ * @param {Array<{name: string, content: string}>} files - Playlist CSV files
+ * @returns {Array<{playlistId: string|null, title: string, visibility: string, createdAt: string,
+ *   updatedAt: string, videos: Array<{videoId: string, addedAt: string}>}>}
+ */
+function parsePlaylistCsvs(files) {
+  const baseName = name => name.split(/[\\/]/).pop();
+  const index = files.find(f => baseName(f.name).toLowerCase() === 'playlists.csv');
+  const playlistList = [];
+
+  if (index) {
+    const byKey = {};
+
+    parseCsv(index.content).slice(1).filter(row => row[0]?.trim()).forEach(row => {
+      const playlist = {
+        playlistId: row[0].trim(),
+        title: row[2]?.trim() || row[0].trim(),
+        createdAt: row[4]?.trim() || null,
+        updatedAt: row[5]?.trim() || null,
+        visibility: row[7]?.trim() || null,
+        videos: [],
+      };
+      byKey[playlistFileKey(playlist.title)] = playlist;
+      playlistList.push(playlist);
+    });
+
+    files.filter(f => /-videos\.csv$/i.test(baseName(f.name))).forEach(file => {
+      const title = baseName(file.name).replace(/-videos\.csv$/i, '');
+      let playlist = byKey[playlistFileKey(title)];
+
+      // Built-in lists (e.g. "Watch later") don't appear in playlists.csv
+      if (!playlist) {
+        playlist = {playlistId: null, title, createdAt: null, updatedAt: null, visibility: null, videos: []};
+        playlistList.push(playlist);
+      }
+
+      playlist.videos = parseCsv(file.content).slice(1)
+        .filter(row => row[0]?.trim())
+        .map(row => ({videoId: row[0].trim(), addedAt: row[1]?.trim() || null}));
+    });
+
+    return playlistList;
+  }
+
+  for (const file of files) {
+    const rows = parseCsv(file.content);
+    const blank = rows.findIndex(row => row.length === 0);
+    const meta = rows[1] || [];
+
+    playlistList.push({
+      playlistId: meta[0]?.trim() || null,
+      title: meta[4]?.trim() || baseName(file.name).replace(/\.csv$/i, ''),
+      createdAt: meta[2]?.trim() || null,
+      updatedAt: meta[3]?.trim() || null,
+      visibility: meta[6]?.trim() || null,
+      videos: blank === -1 ? [] : rows.slice(blank + 2)
+        .filter(row => row[0]?.trim())
+        .map(row => ({videoId: row[0].trim(), addedAt: row[1]?.trim() || null})),
+    });
+  }
+
+  return playlistList;
+}
+
+export {
+  parseHistoryExport,
+  streamHistoryExport,
+  parseActivityHtml,
+  parseTakeoutTimestamp,
+  parseCsv,
+  parseSubscriptionsCsv,
+  parsePlaylistCsvs,
+  decodeEntities
+};
@@ -0,0 +1,125 @@
+// Locate YouTube history files in a Takeout export: a .zip archive, a directory, or a single file
+import fs from 'fs';
+import path from 'path';
+import {listZipEntries, readZipEntry, createZipEntryStream} from './zip-reader.js';
+
+// File names Takeout uses inside "Takeout/YouTube and YouTube Music/"
+const TAKEOUT_FILES = {
+  watchHistory: ['watch-history.json', 'watch-history.html'],
+  searchHistory: ['search-history.json', 'search-history.html'],
+  subscriptions: ['subscriptions.csv'],
+};
+
+const YOUTUBE_SECTION = /(^|\/)YouTube[^/]*\//;
+
+/**
+ * Describe a file on disk as a source file
+ */
+function diskFile(filePath) {
+  return {
+    name: filePath,
+    format: path.extname(filePath).slice(1).toLowerCase(),
+    read: () => fs.readFileSync(filePath, 'utf-8'),
+    stream: () => fs.createReadStream(filePath, {encoding: 'utf-8'}),
+    size: fs.statSync(filePath).size,
+  };
+}
+
+/**
+ * Describe a zip entry as a source file (read lazily, in memory or streamed)
+ */
+function zipFile(zipPath, entry) {
+  return {
+    name: `${path.basename(zipPath)}:${entry.name}`,
+    format: path.extname(entry.name).slice(1).toLowerCase(),
+    read: () => readZipEntry(zipPath, entry).toString('utf-8'),
+    stream: () => createZipEntryStream(zipPath, entry).setEncoding('utf-8'),
+    size: entry.size,
+  };
+}
+
+function openDirectory(dirPath) {
+  const find = names => {
+    const found = names.map(n => path.join(dirPath, n)).find(f => fs.existsSync(f));
+    return found ? diskFile(found) : null;
+  };
+
+  const playlistsDir = path.join(dirPath, 'playlists');
+  const playlists = fs.existsSync(playlistsDir)
+    ? fs.readdirSync(playlistsDir).filter(f => f.endsWith('.csv')).map(f => diskFile(path.join(playlistsDir, f)))
+    : [];
+
+  return {
+    type: 'directory',
+    label: dirPath,
+    watchHistory: find(TAKEOUT_FILES.watchHistory),
+    searchHistory: find(TAKEOUT_FILES.searchHistory),
+    subscriptions: find(TAKEOUT_FILES.subscriptions),
+    playlists,
+  };
+}
+
+function openZip(zipPath) {
+  const entries = listZipEntries(zipPath).filter(e => YOUTUBE_SECTION.test(e.name));
+
+  if (entries.length === 0) {
+    throw new Error(
+      `${path.basename(zipPath)} does not contain the YouTube section ("Takeout/YouTube and YouTube Music/").\n` +
+      'In Google Takeout, select "YouTube and YouTube Music" and export again. If the export was split\n' +
+      'into several zip files, use the one that contains the YouTube folder.'
+    );
+  }
+
+  // Localized exports translate the folder names ("historial", "Verlauf"...), so match on the file name,
+  // preferring the English folder if both are present
+  const find = (names, folder) => {
+    const matches = entries.filter(e => names.includes(path.posix.basename(e.name).toLowerCase()));
+    const entry = matches.find(e => path.posix.basename(path.posix.dirname(e.name)) === folder) || matches[0];
+    return entry ? zipFile(zipPath, entry) : null;
+  };
+
+  return {
+    type: 'zip',
+    label: zipPath,
+    watchHistory: find(TAKEOUT_FILES.watchHistory, 'history'),
+    searchHistory: find(TAKEOUT_FILES.searchHistory, 'history'),
+    subscriptions: find(TAKEOUT_FILES.subscriptions, 'subscriptions'),
+    playlists: entries
+      .filter(e => /\/playlists\/[^/]+\.csv$/i.test(e.name))
+      .map(e => zipFile(zipPath, e)),
+  };
+}
+
+/**
+ * Open a Takeout export and locate its YouTube files
+ * Accepts a Takeout .zip (read without extracting), a directory holding the exported files,
+ * or a single watch history file.
+ * @param {string} inputPath - Path to a .zip, directory or file
+ * @returns {{type: string, label: string, watchHistory: Object|null, searchHistory: Object|null,
+ *   subscriptions: Object|null, playlists: Array}} Source files, each with {name, format, size, read(), stream()}
+ * @throws {Error} If the path doesn't exist or a zip has no YouTube section
+ */
+function openTakeoutSource(inputPath) {
+  if (!fs.existsSync(inputPath)) {
+    throw new Error(`Takeout export not found: ${inputPath}`);
+  }
+
+  if (fs.statSync(inputPath).isDirectory()) {
+    return openDirectory(inputPath);
+  }
+
+  if (path.extname(inputPath).toLowerCase() === '.zip') {
+    return openZip(inputPath);
+  }
+
+  return {
+    type: 'file',
+    label: inputPath,
+    watchHistory: diskFile(inputPath),
+    searchHistory: null,
+    subscriptions: null,
+    playlists: [],
+  };
+}
+
+export {openTakeoutSource, TAKEOUT_FILES};
@@ -0,0 +1,98 @@
+// Download thumbnails of watched videos and score them with the local thumbnail classifier
+import fs from 'fs';
+import path from 'path';
+import {fileURLToPath} from 'url';
+import {db, videos, thumbnailAnalysis} from '../db/index.js';
+import {and, eq, inArray} from 'drizzle-orm';
+import {classify, isRuntimeAvailable} from '../../classifiers/thumbnail-classifier.js';
+import {downloadAllThumbnails, getThumbnailFile} from './thumbnail-downloader.js';
+import {saveClassification} from './classification-flags.js';
+import {watchedVideoIds} from './profiles.js';
+
+const PROJECT_ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '..');
+const MODELS_FILE = process.env.THUMBNAIL_MODELS_FILE || path.join(PROJECT_ROOT, 'config', 'thumbnail-models.json');
+
+/**
+ * Load the thumbnail model configuration, keeping models whose file exists
+ * Model files are resolved relative to the project root.
+ * @returns {{models: Array<Object>, missing: string[]}} Usable models, and names of models without a file
+ */
+function loadThumbnailModels() {
+  if (!fs.existsSync(MODELS_FILE)) {
+    return {models: [], missing: []};
+  }
+
+  const config = JSON.parse(fs.readFileSync(MODELS_FILE, 'utf-8'));
+  const models = (config.models || []).map(model => ({...model, path: path.resolve(PROJECT_ROOT, model.file)}));
+
+  return {
+    models: models.filter(model => fs.existsSync(model.path)),
+    missing: models.filter(model => !fs.existsSync(model.path)).map(model => model.name),
+  };
+}
+
+/**
+ * Download thumbnails for watched videos and score the ones not scored yet
+ * Nothing is downloaded when no model file or onnxruntime-node is available. Scores are saved to thumbnail_analysis and flags to classification_flags.
+ * @param {number|null} limit - Maximum videos to download and score (default: all)
+ * @returns {Promise<{scored: number, flagged: number, failed: number}>}
+ */
+async function analyzeThumbnails(limit = null) {
+  const results = {scored: 0, flagged: 0, failed: 0};
+
+  // Thumbnails are only downloaded when there is something to score them with
+  const {models, missing} = loadThumbnailModels();
+  if (missing.length > 0) {
+    console.log(`⊘ Models not found, skipped: ${missing.join(', ')} (see config/thumbnail-models.json)`);
+  }
+  if (models.length === 0) {
+    console.log('⊘ Skipping thumbnails (no models available)\n');
+    return results;
+  }
+  if (!await isRuntimeAvailable()) {
+    console.log('⊘ Skipping thumbnails: onnxruntime-node is not installed (run "npm install onnxruntime-node")\n');
+    return results;
+  }
+
+  const query = db.select().from(videos)
+    .where(and(inArray(videos.id, watchedVideoIds()), eq(videos.available, true)));
+  const watched = limit ? await query.limit(limit) : await query;
+
+  await downloadAllThumbnails(watched);
+
+  const scoredIds = new Set((await db.select({videoId: thumbnailAnalysis.videoId}).from(thumbnailAnalysis)).map(t => t.videoId));
+  const toScore = watched.filter(v => !scoredIds.has(v.id) && getThumbnailFile(v.id));
+
+  console.log(`Scoring ${toScore.length} thumbnails with ${models.map(m => m.name).join(', ')}...`);
+
+  for (const video of toScore) {
+    let result;
+    try {
+      result = await classify(video, {imagePath: getThumbnailFile(video.id), models});
+    } catch (error) {
+      // Nothing can be scored without the runtime: stop instead of failing every video
+      if (error.message.includes('onnxruntime-node is not installed')) {
+        console.log(`⊘ Skipping thumbnail scoring: ${error.message}\n`);
+        return results;
+      }
+      results.failed++;
+      console.log(`  ✗ ${video.id} - ${error.message}`);
+      continue;
+    }
+
+    if (result.skipped) continue;
+
+    await db.insert(thumbnailAnalysis)
+      .values({videoId: video.id, scores: result.result.scores})
+      .onConflictDoUpdate({target: thumbnailAnalysis.videoId, set: {scores: result.result.scores, analyzedAt: new Date()}});
+    const flagCount = await saveClassification(result);
+
+    results.scored++;
+    if (flagCount > 0) results.flagged++;
+  }
+
+  console.log(`✓ Scored ${results.scored} thumbnails, ${results.flagged} flagged${results.failed ? `, ${results.failed} failed` : ''}\n`);
+  return results;
+}
+
+export {analyzeThumbnails, loadThumbnailModels};
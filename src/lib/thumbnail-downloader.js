@@ -0,0 +1,88 @@
+// Video thumbnail downloader (i.ytimg.com, no API quota)
+import fs from 'fs';
+import path from 'path';
+import {fileURLToPath} from 'url';
+
+const PROJECT_ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '..');
+const THUMBNAILS_DIR = path.join(PROJECT_ROOT, 'data', 'thumbnails');
+
+// Preferred sizes from snippet.thumbnails: large enough for 224px models without fetching maxres
+const PREFERRED_SIZES = ['high', 'medium', 'standard', 'default'];
+
+const DOWNLOAD_TIMEOUT_MS = 15000;
+
+/**
+ * Thumbnail URL for a video row, falling back to the standard ytimg URL
+ * @param {Object} video - videos row
+ * @returns {string}
+ */
+function getThumbnailUrl(video) {
+  const size = PREFERRED_SIZES.find(s => video.thumbnails?.[s]?.url);
+  return size ? video.thumbnails[size].url : `https://i.ytimg.com/vi/${video.id}/hqdefault.jpg`;
+}
+
+/**
+ * Get the downloaded thumbnail path for a video
+ * @param {string} videoId - YouTube video ID
+ * @returns {string|null} Path to the thumbnail or null if not downloaded
+ */
+function getThumbnailFile(videoId) {
+  const file = path.join(THUMBNAILS_DIR, `${videoId}.jpg`);
+  return fs.existsSync(file) ? file : null;
+}
+
+/**
+ * Download one video's thumbnail to data/thumbnails/<videoId>.jpg
+ * @param {Object} video - videos row
+ * @returns {Promise<string|null>} Path to the thumbnail, or null if YouTube has none
+ * @throws {Error} On network errors and unexpected HTTP statuses
+ */
+async function downloadThumbnail(video) {
+  if (!fs.existsSync(THUMBNAILS_DIR)) {
+    fs.mkdirSync(THUMBNAILS_DIR, {recursive: true});
+  }
+
+  const response = await fetch(getThumbnailUrl(video), {signal: AbortSignal.timeout(DOWNLOAD_TIMEOUT_MS)});
+  if (response.status === 404) return null;
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+
+  const file = path.join(THUMBNAILS_DIR, `${video.id}.jpg`);
+  fs.writeFileSync(file, Buffer.from(await response.arrayBuffer()));
+  return file;
+}
+
+/**
+ * Download thumbnails that aren't on disk yet
+ * @param {Array<Object>} videoRows - videos rows
+ * @returns {Promise<{downloaded: number, skipped: number, missing: number, failed: number}>}
+ */
+async function downloadAllThumbnails(videoRows) {
+  const results = {downloaded: 0, skipped: 0, missing: 0, failed: 0};
+  const toDownload = videoRows.filter(v => !getThumbnailFile(v.id));
+  results.skipped = videoRows.length - toDownload.length;
+
+  if (toDownload.length > 0) {
+    console.log(`Downloading ${toDownload.length} thumbnails...`);
+  }
+
+  for (const video of toDownload) {
+    try {
+      const file = await downloadThumbnail(video);
+      if (file) {
+        results.downloaded++;
+      } else {
+        results.missing++;
+      }
+    } catch (error) {
+      results.failed++;
+      console.log(`  ✗ ${video.id} - ${error.message}`);
+    }
+  }
+
+  console.log(`✓ Thumbnails: ${results.downloaded} downloaded, ${results.skipped} already on disk${results.missing ? `, ${results.missing} missing` : ''}${results.failed ? `, ${results.failed} failed` : ''}\n`);
+  return results;
+}
+
+export {downloadThumbnail, downloadAllThumbnails, getThumbnailFile, getThumbnailUrl, THUMBNAILS_DIR};
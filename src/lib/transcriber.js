@@ -0,0 +1,161 @@
+// Local speech-to-text for downloaded videos without captions (ffmpeg + whisper.cpp, CPU only)
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {fileURLToPath} from 'url';
+import {spawn} from 'child_process';
+import {CAPTIONS_DIR, areCaptionsDownloaded, recordCaptionFile} from './caption-downloader.js';
+import {VIDEOS_DIR, isVideoDownloaded} from './video-downloader.js';
+
+const PROJECT_ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '..');
+
+// whisper.cpp's command line program (called "main" in releases before 1.7.4) and a ggml model file
+const WHISPER_BIN = process.env.WHISPER_BIN || 'whisper-cli';
+const WHISPER_MODEL = path.resolve(PROJECT_ROOT, process.env.WHISPER_MODEL || 'models/ggml-base.bin');
+const WHISPER_THREADS = parseInt(process.env.WHISPER_THREADS, 10) || Math.min(4, os.cpus().length);
+
+/**
+ * Run a command, collecting its output
+ * @returns {Promise<{stdout: string, stderr: string}>}
+ * @throws {Error} If the command can't be started or exits with an error
+ */
+function run(command, args) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args);
+
+    let stdout = '';
+    let stderr = '';
+
+    child.stdout.on('data', (data) => {
+      stdout += data.toString();
+    });
+    child.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+
+    child.on('close', (code) => {
+      if (code === 0) {
+        resolve({stdout, stderr});
+      } else {
+        const lines = stderr.trim().split('\n');
+        reject(new Error(`${command} exited with code ${code}: ${lines[lines.length - 1]}`));
+      }
+    });
+
+    child.on('error', (error) => {
+      reject(new Error(`Failed to spawn ${command}: ${error.message}`));
+    });
+  });
+}
+
+/**
+ * Whether the whisper model file is present (the binary is checked when it first runs)
+ * @returns {boolean}
+ */
+function isTranscriberConfigured() {
+  return fs.existsSync(WHISPER_MODEL);
+}
+
+/**
+ * Transcribe a downloaded video and save the result as a caption file
+ * The audio is extracted to 16 kHz mono WAV with ffmpeg, then transcribed by whisper.cpp with language
+ * auto-detection. The SRT is saved as VIDEO_ID.<language>-transcribed.srt and recorded in caption_files
+ * with type "transcribed", so analysis, search and reports treat it like downloaded captions.
+ * @param {string} videoId - YouTube video ID (must be in data/videos, see "npm run download")
+ * @returns {Promise<{captionFile: string, language: string}>}
+ * @throws {Error} If the video isn't downloaded, the model is missing, or ffmpeg or whisper fails
+ */
+async function transcribeVideo(videoId) {
+  if (!isVideoDownloaded(videoId)) {
+    throw new Error('Video not downloaded (run "npm run download" first)');
+  }
+  if (!isTranscriberConfigured()) {
+    throw new Error(`Whisper model not found at ${WHISPER_MODEL} (set WHISPER_MODEL)`);
+  }
+
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'guardian-whisper-'));
+  const audioPath = path.join(workDir, `${videoId}.wav`);
+  const outputBase = path.join(workDir, videoId);
+
+  try {
+    await run('ffmpeg', [
+      '-v', 'error',
+      '-i', path.join(VIDEOS_DIR, `${videoId}.mp4`),
+      '-vn',                       // Audio only
+      '-ac', '1',                  // Mono
+      '-ar', '16000',              // 16 kHz, what whisper expects
+      '-c:a', 'pcm_s16le',
+      '-y', audioPath,
+    ]);
+
+    const {stderr} = await run(WHISPER_BIN, [
+      '-m', WHISPER_MODEL,
+      '-f', audioPath,
+      '-l', 'auto',                // Detect the spoken language
+      '-t', String(WHISPER_THREADS),
+      '-osrt',                     // Write an SRT file
+      '-of', outputBase,           // ... to outputBase.srt
+    ]);
+
+    if (!fs.existsSync(`${outputBase}.srt`)) {
+      throw new Error(`${WHISPER_BIN} finished without writing a transcript`);
+    }
+
+    // e.g. "whisper_full_with_state: auto-detected language: es (p = 0.97)"
+    const detected = stderr.match(/auto-detected language: ([a-z]{2,3})/)?.[1] || 'und';
+    const filename = `${videoId}.${detected}-transcribed.srt`;
+
+    if (!fs.existsSync(CAPTIONS_DIR)) {
+      fs.mkdirSync(CAPTIONS_DIR, {recursive: true});
+    }
+    fs.copyFileSync(`${outputBase}.srt`, path.join(CAPTIONS_DIR, filename));
+
+    const {language} = await recordCaptionFile(videoId, filename);
+    return {captionFile: path.join(CAPTIONS_DIR, filename), language};
+  } finally {
+    fs.rmSync(workDir, {recursive: true, force: true});
+  }
+}
+
+/**
+ * Transcribe downloaded videos that have no captions
+ * @param {string[]} videoIds - Candidate video IDs (videos not downloaded or with captions are skipped)
+ * @returns {Promise<{transcribed: number, failed: number, skipped: boolean}>} skipped if no model or binary
+ */
+async function transcribeAllVideos(videoIds) {
+  const results = {transcribed: 0, failed: 0, skipped: false};
+
+  const toTranscribe = videoIds.filter(id => isVideoDownloaded(id) && !areCaptionsDownloaded(id));
+  if (toTranscribe.length === 0) return results;
+
+  if (!isTranscriberConfigured()) {
+    console.log(`⊘ ${toTranscribe.length} downloaded videos have no captions; add a whisper.cpp model to transcribe them (see README)\n`);
+    results.skipped = true;
+    return results;
+  }
+
+  console.log(`\nTranscribing ${toTranscribe.length} downloaded videos without captions (${WHISPER_BIN}, ${WHISPER_THREADS} threads)...\n`);
+
+  for (const [i, videoId] of toTranscribe.entries()) {
+    const progress = `[${i + 1}/${toTranscribe.length}]`;
+    try {
+      const {language} = await transcribeVideo(videoId);
+      results.transcribed++;
+      console.log(`${progress} ✓ ${videoId} (${language})`);
+    } catch (error) {
+      // Nothing can be transcribed without the programs: stop instead of failing every video
+      if (error.message.startsWith('Failed to spawn')) {
+        console.log(`⊘ Skipping transcription: ${error.message}\n`);
+        results.skipped = true;
+        return results;
+      }
+      results.failed++;
+      console.log(`${progress} ✗ ${videoId} - ${error.message}`);
+    }
+  }
+  console.log();
+
+  return results;
+}
+
+export {transcribeVideo, transcribeAllVideos, isTranscriberConfigured};
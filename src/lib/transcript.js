@@ -0,0 +1,155 @@
+// Read SRT and VTT caption files into clean, timestamped transcripts
+import fs from 'fs';
+import path from 'path';
+
+// Caption file types we can read
+const CAPTION_EXTENSIONS = ['.srt', '.vtt'];
+
+// [Music], [Applause], [Laughter]... sound descriptions rather than speech
+const ANNOTATION_PATTERN = /\[([^\]]+)\]/g;
+
+// Auto-generated tracks (VIDEO_ID.en-auto.vtt, VIDEO_ID.es-orig.vtt, see caption-downloader.js) roll their lines
+const AUTO_TRACK_PATTERN = /-(auto|orig)\.[^.]+$/i;
+
+// Audio cues with the same label this close together are merged
+const AUDIO_CUE_GAP_MS = 1000;
+
+const ENTITIES = {'&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': "'", '&nbsp;': ' '};
+
+/**
+ * Whether a file name is a caption file we can read
+ * @param {string} filename - File name
+ * @returns {boolean}
+ */
+function isCaptionFile(filename) {
+  return CAPTION_EXTENSIONS.includes(path.extname(filename).toLowerCase());
+}
+
+/**
+ * Parse an SRT (00:01:02,500) or VTT (01:02.500, 00:01:02.500) timestamp
+ * @param {string} value - Timestamp
+ * @returns {number|null} Milliseconds, or null if not a timestamp
+ */
+function parseTimestamp(value) {
+  const match = value.match(/^(?:(\d+):)?(\d{1,2}):(\d{2})[,.](\d{3})$/);
+  if (!match) return null;
+
+  const [, hours = '0', minutes, seconds, millis] = match;
+  return ((parseInt(hours, 10) * 60 + parseInt(minutes, 10)) * 60 + parseInt(seconds, 10)) * 1000 + parseInt(millis, 10);
+}
+
+/**
+ * Split SRT or VTT content into raw cues
+ * Blocks are separated by empty lines only: YouTube's auto-generated VTT puts a line with a single space
+ * inside cues. Blocks without a timing line (VTT header, NOTE, STYLE and REGION blocks) are skipped.
+ * @param {string} content - File content
+ * @returns {Array<{startMs: number, endMs: number, lines: string[]}>}
+ */
+function parseRawCues(content) {
+  const blocks = content.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split(/\n\n+/);
+  const cues = [];
+
+  for (const block of blocks) {
+    const lines = block.split('\n');
+    const timingIndex = lines.findIndex(line => line.includes('-->'));
+    if (timingIndex === -1) continue;
+
+    // VTT timing lines can carry cue settings after the end time (align:start position:0%)
+    const [start, end] = lines[timingIndex].split('-->').map(part => parseTimestamp(part.trim().split(/\s+/)[0]));
+    if (start === null || end === null) continue;
+
+    cues.push({startMs: start, endMs: end, lines: lines.slice(timingIndex + 1)});
+  }
+
+  return cues;
+}
+
+/**
+ * Remove markup from a caption line: VTT word timings and <c> spans, <i>/<b>/<font> tags, HTML entities
+ */
+function stripMarkup(line) {
+  return line
+    .replace(/<[^>]*>/g, '')
+    .replace(/&(amp|lt|gt|quot|#39|nbsp);/g, entity => ENTITIES[entity]);
+}
+
+/**
+ * Clean raw cues: strip markup, move [Music]-style annotations to audio cues and, for rolling captions,
+ * drop the lines repeated from the previous cue
+ * @param {Array<{startMs: number, endMs: number, lines: string[]}>} rawCues - From parseRawCues
+ * @param {boolean} rolling - YouTube auto-captions: a cue that starts when the previous one ends repeats its lines
+ * @returns {{cues: Array<{startMs: number, endMs: number, text: string}>, audioCues: Array<{startMs: number, endMs: number, label: string}>}}
+ */
+function cleanCues(rawCues, rolling) {
+  const cues = [];
+  const audioCues = [];
+  let previousLines = [];
+  let previousEndMs = null;
+
+  for (const {startMs, endMs, lines: rawLines} of rawCues) {
+    const lines = [];
+
+    for (const rawLine of rawLines) {
+      const line = stripMarkup(rawLine)
+        .replace(ANNOTATION_PATTERN, (_, label) => {
+          const last = audioCues[audioCues.length - 1];
+          const normalized = label.trim();
+          if (last && last.label.toLowerCase() === normalized.toLowerCase() && startMs <= last.endMs + AUDIO_CUE_GAP_MS) {
+            last.endMs = Math.max(last.endMs, endMs);
+          } else if (normalized) {
+            audioCues.push({startMs, endMs, label: normalized});
+          }
+          return ' ';
+        })
+        .replace(/♪/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+
+      if (line) lines.push(line);
+    }
+    if (lines.length === 0) continue;
+
+    // Rolling captions repeat the previous cue's lines, or extend them word by word; manual captions and
+    // cues after a pause can repeat a line on purpose ("Let it go" / "Let it go")
+    const continues = rolling && previousEndMs !== null && startMs <= previousEndMs;
+    const fresh = !continues ? lines : lines.map(line => {
+      for (const previous of previousLines) {
+        if (line === previous) return '';
+        if (line.startsWith(`${previous} `)) return line.slice(previous.length + 1);
+      }
+      return line;
+    }).filter(Boolean);
+    previousLines = lines;
+    previousEndMs = endMs;
+
+    if (fresh.length > 0) {
+      cues.push({startMs, endMs, text: fresh.join(' ')});
+    }
+  }
+
+  return {cues, audioCues};
+}
+
+/**
+ * Parse SRT or VTT content into a clean transcript
+ * @param {string} content - File content
+ * @param {Object} options
+ * @param {boolean} options.rolling - Auto-generated rolling captions (lines repeated from the previous cue are dropped)
+ * @returns {{cues: Array<{startMs: number, endMs: number, text: string}>, audioCues: Array<{startMs: number, endMs: number, label: string}>, text: string}}
+ */
+function parseCaptions(content, {rolling = false} = {}) {
+  const {cues, audioCues} = cleanCues(parseRawCues(content), rolling);
+  return {cues, audioCues, text: cues.map(cue => cue.text).join(' ')};
+}
+
+/**
+ * Read a caption file (SRT or VTT) into a clean transcript
+ * Auto-generated tracks (-auto, -orig) are read as rolling captions.
+ * @param {string} filePath - Caption file
+ * @returns {{cues: Array, audioCues: Array, text: string}} See parseCaptions
+ */
+function readTranscript(filePath) {
+  return parseCaptions(fs.readFileSync(filePath, 'utf-8'), {rolling: AUTO_TRACK_PATTERN.test(filePath)});
+}
+
+export {readTranscript, parseCaptions, parseTimestamp, isCaptionFile, CAPTION_EXTENSIONS};
@@ -0,0 +1,219 @@
+// Vet a single video or playlist link: metadata, captions and AI analysis, then a verdict
+import {db, videos, aiAnalysis, urlChecks} from '../db/index.js';
+import {inArray} from 'drizzle-orm';
+import {getMetadataProvider} from './metadata-providers/index.js';
+import {downloadCaptions, areCaptionsDownloaded} from './caption-downloader.js';
+import {analyzeVideo} from './ai-analyzer.js';
+import {transcribeAllVideos} from './transcriber.js';
+import {getProfile, resolveCaptionLanguages} from './profiles.js';
+import {loadBlocklist, matchKeywords} from './blocklist.js';
+import {getCategoryNames} from './categories.js';
+import {getClassificationFlags} from './classification-flags.js';
+import {parseContentRating, getMostRestrictiveRating, exceedsThreshold, formatRating} from './rating-parser.js';
+
+const VIDEO_ID_PATTERN = /^[\w-]{11}$/;
+
+// IDs per videos.list request (API limit)
+const BATCH_SIZE = 50;
+
+// Verdicts from most to least severe
+const VERDICTS = ['BLOCK', 'REVIEW', 'OK'];
+
+/**
+ * Parse a YouTube link (watch, youtu.be, Shorts, embed, live, playlist) or a bare video ID
+ * A watch link with a playlist is checked as a single video.
+ * @param {string} input - URL or video ID
+ * @returns {{kind: string, videoId?: string, playlistId?: string}|null} Null if not a YouTube link
+ */
+function parseYouTubeUrl(input) {
+  const text = (input || '').trim();
+  if (VIDEO_ID_PATTERN.test(text)) return {kind: 'video', videoId: text};
+
+  let url;
+  try {
+    url = new URL(text.includes('://') ? text : `https://${text}`);
+  } catch {
+    return null;
+  }
+
+  const host = url.hostname.replace(/^(www|m|music)\./, '');
+  if (host === 'youtu.be') {
+    const videoId = url.pathname.split('/')[1];
+    return VIDEO_ID_PATTERN.test(videoId) ? {kind: 'video', videoId} : null;
+  }
+  if (host !== 'youtube.com' && host !== 'youtube-nocookie.com') return null;
+
+  const playlistId = url.searchParams.get('list');
+  const videoId = url.searchParams.get('v') || url.pathname.match(/^\/(shorts|embed|live|v)\/([\w-]{11})/)?.[2];
+
+  if (videoId && VIDEO_ID_PATTERN.test(videoId)) return {kind: 'video', videoId};
+  if (playlistId) return {kind: 'playlist', playlistId};
+  return null;
+}
+
+/**
+ * Most severe of several verdicts
+ */
+function worstVerdict(verdicts) {
+  return VERDICTS.find(v => verdicts.includes(v)) || 'OK';
+}
+
+/**
+ * Decide whether a video is fine for a child, and why
+ * @param {Object|undefined} video - videos row (undefined if unavailable)
+ * @param {Object|undefined} analysis - AI analysis
+ * @param {Array<Object>} flags - Classifier flags
+ * @param {Object} blocklist - Loaded blocklist (categories resolved to IDs)
+ * @returns {{verdict: string, reasons: Array<{verdict: string, message: string}>}}
+ */
+function judgeVideo(video, analysis, flags, blocklist) {
+  const reasons = [];
+  const add = (verdict, message) => reasons.push({verdict, message});
+
+  if (!video) {
+    add('REVIEW', 'Not available (deleted, private or not found)');
+    return {verdict: 'REVIEW', reasons};
+  }
+
+  if (video.contentRating?.ytRating === 'ytAgeRestricted') {
+    add('BLOCK', 'Age-restricted on YouTube');
+  }
+  const rating = getMostRestrictiveRating(parseContentRating(video.contentRating));
+  if (exceedsThreshold(rating)) {
+    add('BLOCK', `Rated ${formatRating(rating)}`);
+  }
+
+  if (blocklist.channels.includes(video.channelId)) {
+    add('BLOCK', `Channel "${video.channelTitle}" is on the blocklist`);
+  }
+  if (video.categoryId && blocklist.categories.includes(video.categoryId)) {
+    add('BLOCK', 'Category is on the blocklist');
+  }
+  const keywords = [...new Set([video.title, video.description, ...(video.tags || [])]
+    .flatMap(text => matchKeywords(text, blocklist.keywords)))];
+  if (keywords.length > 0) {
+    add('REVIEW', `Blocklisted keywords: ${keywords.join(', ')}`);
+  }
+
+  if (analysis) {
+    const verdict = {HIGH: 'BLOCK', MEDIUM: 'REVIEW'}[analysis.riskLevel] || 'OK';
+    const contentFlags = (analysis.contentFlags || []).length > 0 ? ` (${analysis.contentFlags.join(', ')})` : '';
+    add(verdict, `AI: ${analysis.riskLevel} risk${contentFlags}${analysis.reasoning ? ` - ${analysis.reasoning}` : ''}`);
+  } else {
+    add('REVIEW', areCaptionsDownloaded(video.id) ? 'Not analyzed by AI' : 'Not analyzed (no captions)');
+  }
+
+  flags.forEach(flag => {
+    add({HIGH: 'BLOCK', MEDIUM: 'REVIEW'}[flag.severity] || 'OK', `${flag.message} (${flag.classifier})`);
+  });
+
+  if (video.madeForKids) {
+    add('OK', 'Marked as made for kids');
+  }
+
+  return {verdict: worstVerdict(reasons.map(r => r.verdict)), reasons};
+}
+
+/**
+ * Fetch metadata for videos not in the videos table yet
+ */
+async function fetchMissingVideos(provider, videoIds) {
+  const knownIds = new Set((await db.select({id: videos.id}).from(videos).where(inArray(videos.id, videoIds))).map(v => v.id));
+  const missingIds = videoIds.filter(id => !knownIds.has(id));
+
+  for (let i = 0; i < missingIds.length; i += BATCH_SIZE) {
+    const {items} = await provider.fetchVideos(missingIds.slice(i, i + BATCH_SIZE));
+    if (items.length > 0) {
+      await db.insert(videos).values(items).onConflictDoNothing();
+    }
+  }
+}
+
+/**
+ * Check a video or playlist link: fetch metadata, download captions, run AI analysis and store a verdict
+ * @param {string} input - YouTube URL or video ID
+ * @param {Object} options
+ * @param {number} options.maxVideos - Playlist videos to check (1-50)
+ * @param {boolean} options.analyze - Run AI analysis (needs OPENAI_API_KEY)
+ * @param {string|null} options.profile - Download captions in this profile's languages (default: CAPTION_LANGUAGES)
+ * @returns {Promise<{id: number, kind: string, verdict: string, results: Array}>}
+ * @throws {Error} If the link isn't a YouTube video or playlist
+ */
+async function checkUrl(input, {maxVideos = 25, analyze = true, profile = null} = {}) {
+  const parsed = parseYouTubeUrl(input);
+  if (!parsed) {
+    throw new Error(`Not a YouTube video or playlist link: ${input}`);
+  }
+
+  const languages = resolveCaptionLanguages(profile ? await getProfile(profile) : null);
+  const provider = getMetadataProvider();
+  let videoIds = [parsed.videoId];
+
+  if (parsed.kind === 'playlist') {
+    if (!provider.fetchPlaylistVideos) {
+      throw new Error(`The ${provider.name} metadata provider can't list playlists`);
+    }
+    console.log(`Listing playlist ${parsed.playlistId} (via ${provider.name})...`);
+    videoIds = [...new Set((await provider.fetchPlaylistVideos(parsed.playlistId, maxVideos)).map(v => v.videoId))];
+    console.log(`✓ ${videoIds.length} videos\n`);
+  }
+
+  await fetchMissingVideos(provider, videoIds);
+  const videoRows = await db.select().from(videos).where(inArray(videos.id, videoIds));
+  const videoLookup = Object.fromEntries(videoRows.map(v => [v.id, v]));
+  const analyzedIds = new Set((await db.select({videoId: aiAnalysis.videoId}).from(aiAnalysis)
+    .where(inArray(aiAnalysis.videoId, videoIds))).map(a => a.videoId));
+
+  for (const [i, video] of videoRows.entries()) {
+    const progress = `[${i + 1}/${videoRows.length}]`;
+
+    if (!areCaptionsDownloaded(video.id)) {
+      try {
+        console.log(`${progress} Downloading captions for ${video.id}...`);
+        await downloadCaptions(video.id, {languages});
+      } catch (error) {
+        console.log(`${progress} ○ ${video.id} - ${error.message}`);
+      }
+    }
+  }
+
+  // Videos without captions are transcribed if downloaded, as in "npm run analyze"
+  await transcribeAllVideos(videoRows.map(v => v.id));
+
+  const toAnalyze = analyze ? videoRows.filter(v => !analyzedIds.has(v.id) && areCaptionsDownloaded(v.id)) : [];
+  for (const [i, video] of toAnalyze.entries()) {
+    const progress = `[${i + 1}/${toAnalyze.length}]`;
+    try {
+      console.log(`${progress} Analyzing ${video.id} with AI...`);
+      await analyzeVideo(video.id);
+    } catch (error) {
+      console.log(`${progress} ✗ ${video.id} - ${error.message}`);
+    }
+  }
+
+  const analyses = await db.select().from(aiAnalysis).where(inArray(aiAnalysis.videoId, videoIds));
+  const analysisLookup = Object.fromEntries(analyses.map(a => [a.videoId, a]));
+  const flagMap = await getClassificationFlags(videoIds);
+  const blocklist = loadBlocklist(await getCategoryNames());
+
+  const results = videoIds.map(videoId => ({
+    videoId,
+    title: videoLookup[videoId]?.title || null,
+    channelTitle: videoLookup[videoId]?.channelTitle || null,
+    ...judgeVideo(videoLookup[videoId], analysisLookup[videoId], flagMap[videoId] || [], blocklist),
+  }));
+  const verdict = worstVerdict(results.map(r => r.verdict));
+
+  const [check] = await db.insert(urlChecks).values({
+    url: input,
+    kind: parsed.kind,
+    playlistId: parsed.playlistId || null,
+    videoIds,
+    verdict,
+    results,
+  }).returning();
+
+  return {id: check.id, kind: parsed.kind, verdict, results};
+}
+
+export {checkUrl, parseYouTubeUrl, judgeVideo, VERDICTS};
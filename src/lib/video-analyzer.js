@@ -1,83 +1,9 @@
 import 'dotenv/config';
-import {google} from 'googleapis';
-import path from 'path';
-import {fileURLToPath} from 'url';
 import {db, videos, watchHistory} from '../db/index.js';
-import {notInArray, sql} from 'drizzle-orm';
-
-const PROJECT_ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '..');
-const SERVICE_ACCOUNT_KEY = process.env.SERVICE_ACCOUNT_KEY_FILE || path.join(PROJECT_ROOT, 'service-account-key.json');
-
-// Single YouTube client instance
-let youtubeClient;
-
-async function getYouTubeClient() {
-  if (!youtubeClient) {
-    const auth = new google.auth.GoogleAuth({
-      keyFile: SERVICE_ACCOUNT_KEY,
-      scopes: ['https://www.googleapis.com/auth/youtube.readonly'],
-    });
-    youtubeClient = google.youtube({
-      version: 'v3',
-      auth: await auth.getClient(),
-    });
-  }
-  return youtubeClient;
-}
-
-async function fetchVideoBatch(videoIds) {
-  try {
-    const youtube = await getYouTubeClient();
-    const res = await youtube.videos.list({
-      part: ['snippet', 'contentDetails', 'statistics', 'status'],
-      id: videoIds,
-    });
-    return res.data.items || [];
-  } catch (error) {
-    console.error(`Error fetching videos:`, error.message);
-    return [];
-  }
-}
-
-async function fetchChannelInfo(channelId) {
-  try {
-    const youtube = await getYouTubeClient();
-    const res = await youtube.channels.list({
-      part: ['snippet', 'statistics', 'contentDetails'],
-      id: [channelId],
-    });
-    return res.data.items?.[0] || null;
-  } catch (error) {
-    console.error(`Error fetching channel ${channelId}:`, error.message);
-    return null;
-  }
-}
-
-function processVideoData(video) {
-  const {snippet = {}, contentDetails = {}, statistics = {}, status = {}} = video;
-
-  return {
-    id: video.id,
-    title: snippet.title,
-    description: snippet.description,
-    channelId: snippet.channelId,
-    channelTitle: snippet.channelTitle,
-    publishedAt: snippet.publishedAt,
-    tags: snippet.tags || [],
-    categoryId: snippet.categoryId,
-    duration: contentDetails.duration,
-    hasCaption: contentDetails.caption === 'true',
-    contentRating: contentDetails.contentRating || {},
-    regionRestriction: contentDetails.regionRestriction,
-    viewCount: parseInt(statistics.viewCount || 0),
-    likeCount: parseInt(statistics.likeCount || 0),
-    commentCount: parseInt(statistics.commentCount || 0),
-    privacyStatus: status.privacyStatus,
-    madeForKids: status.madeForKids,
-    selfDeclaredMadeForKids: status.selfDeclaredMadeForKids,
-    embeddable: status.embeddable,
-  };
-}
+import {API_ERROR_KINDS} from './api-errors.js';
+import {recordFetchFailures, clearFetchFailures, getUnavailableIds} from './fetch-failures.js';
+import {getMetadataProvider} from './metadata-providers/index.js';
+import {getYouTubeClient} from './metadata-providers/youtube-api.js';
 
 async function analyzeVideos(limit = null) {
   console.log('📺 YouTube Guardian - Video Analyzer');
@@ -94,10 +20,16 @@ async function analyzeVideos(limit = null) {
   const cachedVideoIds = (await db.select({id: videos.id}).from(videos)).map(v => v.id);
   console.log(`Already cached: ${cachedVideoIds.length} videos\n`);
 
+  // Skip videos earlier runs found deleted or private
+  const unavailableIds = await getUnavailableIds('video');
+  if (unavailableIds.size > 0) {
+    console.log(`Skipping ${unavailableIds.size} unavailable videos (deleted or private)\n`);
+  }
+
   // Filter to uncached videos
   let uncachedIds = watchedVideos
     .map(v => v.videoId)
-    .filter(id => !cachedVideoIds.includes(id));
+    .filter(id => !cachedVideoIds.includes(id) && !unavailableIds.has(id));
 
   // Apply limit if specified
   if (limit && uncachedIds.length > limit) {
@@ -110,18 +42,37 @@ async function analyzeVideos(limit = null) {
     return await db.select().from(videos);
   }
 
-  console.log(`Fetching details for ${uncachedIds.length} new videos...`);
+  const provider = getMetadataProvider();
+  console.log(`Fetching details for ${uncachedIds.length} new videos (via ${provider.name})...`);
 
   // Process in batches of 50 (API limit)
   const batchSize = 50;
   const newVideos = [];
+  let unavailableCount = 0;
+  let failedCount = 0;
 
   for (let i = 0; i < uncachedIds.length; i += batchSize) {
     const batch = uncachedIds.slice(i, i + batchSize);
     console.log(`  Batch ${Math.floor(i / batchSize) + 1}/${Math.ceil(uncachedIds.length / batchSize)}...`);
 
-    const fetchedVideos = await fetchVideoBatch(batch);
-    const processedVideos = fetchedVideos.map(processVideoData);
+    let fetched;
+    try {
+      fetched = await provider.fetchVideos(batch);
+    } catch (error) {
+      if (error.kind === API_ERROR_KINDS.QUOTA) {
+        console.log(`\n⚠️  ${error.message}`);
+        console.log(`   Stopping; ${uncachedIds.length - i} videos left for the next run (run "npm run quota" for details)`);
+        break;
+      }
+      if (error.kind !== API_ERROR_KINDS.TRANSIENT) throw error;
+
+      // Still failing after retries: keep going, the batch is retried next run
+      console.log(`  ✗ ${error.message}`);
+      await recordFetchFailures('video', batch, error.kind, error.message);
+      failedCount += batch.length;
+      continue;
+    }
+    const processedVideos = fetched.items;
     newVideos.push(...processedVideos);
 
     // Insert into database
@@ -129,16 +80,36 @@ async function analyzeVideos(limit = null) {
       await db.insert(videos).values(processedVideos);
     }
 
+    // Videos the provider couldn't fetch this time are retried next run
+    if (fetched.failedIds.length > 0) {
+      await recordFetchFailures('video', fetched.failedIds, API_ERROR_KINDS.TRANSIENT, `Not fetched by ${provider.name}`);
+      failedCount += fetched.failedIds.length;
+    }
+
+    // Videos missing from the response are deleted or private
+    const returnedIds = new Set(processedVideos.map(v => v.id));
+    const missingIds = batch.filter(id => !returnedIds.has(id) && !fetched.failedIds.includes(id));
+    await clearFetchFailures('video', [...returnedIds]);
+    await recordFetchFailures('video', missingIds, API_ERROR_KINDS.NOT_FOUND, `Not returned by ${provider.name} (deleted or private)`);
+    unavailableCount += missingIds.length;
+
     // Rate limiting
     if (i + batchSize < uncachedIds.length) {
       await new Promise(resolve => setTimeout(resolve, 1000));
     }
   }
 
-  console.log(`\n✓ Saved ${newVideos.length} new videos to database\n`);
+  console.log(`\n✓ Saved ${newVideos.length} new videos to database`);
+  if (unavailableCount > 0) {
+    console.log(`  ${unavailableCount} videos unavailable (deleted or private), skipped from now on`);
+  }
+  if (failedCount > 0) {
+    console.log(`  ${failedCount} videos failed to fetch, will retry on the next run`);
+  }
+  console.log();
 
   // Return all videos
   return await db.select().from(videos);
 }
 
-export {analyzeVideos, fetchChannelInfo, getYouTubeClient};
+export {analyzeVideos, getYouTubeClient};
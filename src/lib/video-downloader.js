@@ -3,25 +3,11 @@ import fs from 'fs';
 import path from 'path';
 import {fileURLToPath} from 'url';
 import {spawn} from 'child_process';
+import {runJobs, describeStage} from './job-queue.js';
 
 const PROJECT_ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '..');
 const VIDEOS_DIR = path.join(PROJECT_ROOT, 'data', 'videos');
 
-// Rate limiting defaults
-const DEFAULTS = {
-  concurrency: 1,              // Sequential downloads only
-  delayBetweenRequests: 1000,  // 1 second between downloads
-  batchSize: 10,               // Download in batches of 10
-  batchPauseMs: 5000           // 5 second pause between batches
-};
-
-/**
- * Sleep utility for delays
- */
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
-
 /**
  * Format bytes to human readable
  */
@@ -116,7 +102,10 @@ function isVideoDownloaded(videoId) {
 }
 
 /**
- * Download all videos with rate limiting and batch processing
+ * Download all videos through the job queue ("video" stage)
+ * Downloads run one at a time by default (DOWNLOAD_CONCURRENCY) and share the YouTube rate limit with
+ * caption downloads. Interrupted runs resume where they stopped; videos that failed in an earlier run are
+ * counted but not tried again.
  * @param {string[]} videoIds - Array of YouTube video IDs
  * @returns {Promise<{success: number, failed: number, skipped: number, totalSize: number, errors: Array}>}
  */
@@ -129,58 +118,40 @@ async function downloadAllVideos(videoIds) {
     errors: []
   };
 
-  console.log(`\nDownloading ${videoIds.length} videos using yt-dlp (sequential)...`);
-  console.log(`Rate limits: ${DEFAULTS.delayBetweenRequests/1000}s between downloads, ${DEFAULTS.batchPauseMs/1000}s pause every ${DEFAULTS.batchSize} videos\n`);
-
-  const startTime = Date.now();
+  // Already downloaded videos are skipped without queueing a job
+  const toDownload = videoIds.filter(id => !isVideoDownloaded(id));
+  results.skipped = videoIds.length - toDownload.length;
 
-  for (let i = 0; i < videoIds.length; i++) {
-    const videoId = videoIds[i];
-    const progress = `[${i + 1}/${videoIds.length}]`;
-
-    // Check if already downloaded
-    if (isVideoDownloaded(videoId)) {
-      console.log(`${progress} ⊘ ${videoId} - Already downloaded, skipping`);
-      results.skipped++;
-      continue;
-    }
+  console.log(`\nDownloading ${toDownload.length} videos using yt-dlp...`);
+  console.log(`Rate limits: ${describeStage('video')}\n`);
 
-    try {
-      console.log(`${progress} Downloading ${videoId}...`);
-
-      const {fileSize} = await downloadVideo(videoId);
+  const startTime = Date.now();
 
-      results.success++;
-      results.totalSize += fileSize;
+  const jobResults = await runJobs('video', toDownload, async (videoId, progress, throttle) => {
+    await throttle();
+    console.log(`${progress} Downloading ${videoId}...`);
 
-      console.log(`${progress} ✓ ${videoId} (${formatBytes(fileSize)})`);
+    const {fileSize} = await downloadVideo(videoId);
+    results.totalSize += fileSize;
 
-      // Rate limit delay between downloads (except after last video)
-      if (i + 1 < videoIds.length) {
-        await sleep(DEFAULTS.delayBetweenRequests);
-      }
-
-      // Batch pause to avoid overwhelming system
-      if ((i + 1) % DEFAULTS.batchSize === 0 && i + 1 < videoIds.length) {
-        console.log(`\n  ⏸  Batch of ${DEFAULTS.batchSize} complete, pausing ${DEFAULTS.batchPauseMs/1000}s...\n`);
-        await sleep(DEFAULTS.batchPauseMs);
-      }
+    console.log(`${progress} ✓ ${videoId} (${formatBytes(fileSize)})`);
+  });
 
-    } catch (error) {
-      results.failed++;
-      console.log(`${progress} ✗ ${videoId} - ${error.message}`);
-      results.errors.push({videoId, error: error.message});
-    }
-  }
+  results.success = jobResults.done;
+  results.failed = jobResults.failed + jobResults.earlier.failed;
+  results.errors = jobResults.errors;
 
   const duration = ((Date.now() - startTime) / 1000).toFixed(1);
-  const avgTime = videoIds.length > 0 ? (duration / videoIds.length).toFixed(1) : 0;
+  const avgTime = toDownload.length > 0 ? (duration / toDownload.length).toFixed(1) : 0;
 
   console.log('\n' + '='.repeat(60));
   console.log('\nDownload Summary:');
   console.log(`  ✓ Downloaded: ${results.success} videos (${formatBytes(results.totalSize)})`);
   console.log(`  ⊘ Skipped: ${results.skipped} videos (already downloaded)`);
   console.log(`  ✗ Failed: ${results.failed} videos`);
+  if (jobResults.earlier.failed > 0) {
+    console.log(`    (${jobResults.earlier.failed} failed in earlier runs; retry with "npm run jobs -- retry-failed")`);
+  }
   console.log(`  ⏱  Total time: ${duration}s (avg ${avgTime}s per video)`);
   console.log();
 
@@ -0,0 +1,208 @@
+// Minimal read-only zip reader (stored + deflate, zip64) for Takeout archives
+// Reads the central directory and individual entries without extracting to disk
+import fs from 'fs';
+import zlib from 'zlib';
+import {Readable} from 'stream';
+
+const EOCD_SIGNATURE = 0x06054b50;
+const ZIP64_LOCATOR_SIGNATURE = 0x07064b50;
+const ZIP64_EOCD_SIGNATURE = 0x06064b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+
+/**
+ * Read a byte range from an open file
+ */
+function readAt(fd, position, length) {
+  const buffer = Buffer.alloc(length);
+  const bytesRead = fs.readSync(fd, buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+}
+
+/**
+ * Locate the central directory via the end-of-central-directory record (zip64 aware)
+ * @returns {{offset: number, size: number, count: number}}
+ */
+function findCentralDirectory(fd, fileSize) {
+  // EOCD is 22 bytes plus an optional comment of up to 64KB
+  const tailLength = Math.min(fileSize, 22 + 0xffff);
+  const tailStart = fileSize - tailLength;
+  const tail = readAt(fd, tailStart, tailLength);
+
+  let eocd = -1;
+  for (let i = tail.length - 22; i >= 0; i--) {
+    if (tail.readUInt32LE(i) === EOCD_SIGNATURE) {
+      eocd = i;
+      break;
+    }
+  }
+
+  if (eocd === -1) {
+    throw new Error('Not a zip file (end of central directory not found)');
+  }
+
+  let count = tail.readUInt16LE(eocd + 10);
+  let size = tail.readUInt32LE(eocd + 12);
+  let offset = tail.readUInt32LE(eocd + 16);
+
+  // Zip64: real values live in the zip64 end-of-central-directory record
+  if (count === 0xffff || size === 0xffffffff || offset === 0xffffffff) {
+    const locator = readAt(fd, tailStart + eocd - 20, 20);
+    if (locator.readUInt32LE(0) !== ZIP64_LOCATOR_SIGNATURE) {
+      throw new Error('Corrupt zip64 archive (locator not found)');
+    }
+
+    const zip64Eocd = readAt(fd, Number(locator.readBigUInt64LE(8)), 56);
+    if (zip64Eocd.readUInt32LE(0) !== ZIP64_EOCD_SIGNATURE) {
+      throw new Error('Corrupt zip64 archive (end of central directory not found)');
+    }
+
+    count = Number(zip64Eocd.readBigUInt64LE(32));
+    size = Number(zip64Eocd.readBigUInt64LE(40));
+    offset = Number(zip64Eocd.readBigUInt64LE(48));
+  }
+
+  return {offset, size, count};
+}
+
+/**
+ * Apply zip64 extended information (extra field 0x0001) to an entry
+ */
+function applyZip64Extra(entry, extra) {
+  let pos = 0;
+  while (pos + 4 <= extra.length) {
+    const id = extra.readUInt16LE(pos);
+    const length = extra.readUInt16LE(pos + 2);
+    let field = pos + 4;
+
+    if (id === 0x0001) {
+      if (entry.size === 0xffffffff) {
+        entry.size = Number(extra.readBigUInt64LE(field));
+        field += 8;
+      }
+      if (entry.compressedSize === 0xffffffff) {
+        entry.compressedSize = Number(extra.readBigUInt64LE(field));
+        field += 8;
+      }
+      if (entry.localHeaderOffset === 0xffffffff) {
+        entry.localHeaderOffset = Number(extra.readBigUInt64LE(field));
+      }
+      return;
+    }
+
+    pos += 4 + length;
+  }
+}
+
+/**
+ * List the entries of a zip archive
+ * @param {string} zipPath - Path to the .zip file
+ * @returns {Array<{name: string, size: number, compressedSize: number, method: number, localHeaderOffset: number}>}
+ */
+function listZipEntries(zipPath) {
+  const fd = fs.openSync(zipPath, 'r');
+
+  try {
+    const {offset, size, count} = findCentralDirectory(fd, fs.fstatSync(fd).size);
+    const directory = readAt(fd, offset, size);
+    const entries = [];
+
+    let pos = 0;
+    for (let i = 0; i < count; i++) {
+      if (directory.readUInt32LE(pos) !== CENTRAL_HEADER_SIGNATURE) {
+        throw new Error('Corrupt zip archive (bad central directory entry)');
+      }
+
+      const nameLength = directory.readUInt16LE(pos + 28);
+      const extraLength = directory.readUInt16LE(pos + 30);
+      const commentLength = directory.readUInt16LE(pos + 32);
+
+      const entry = {
+        name: directory.toString('utf-8', pos + 46, pos + 46 + nameLength),
+        method: directory.readUInt16LE(pos + 10),
+        compressedSize: directory.readUInt32LE(pos + 20),
+        size: directory.readUInt32LE(pos + 24),
+        localHeaderOffset: directory.readUInt32LE(pos + 42),
+      };
+
+      applyZip64Extra(entry, directory.subarray(pos + 46 + nameLength, pos + 46 + nameLength + extraLength));
+
+      if (!entry.name.endsWith('/')) {
+        entries.push(entry);
+      }
+
+      pos += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return entries;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Offset of an entry's (compressed) data, just past its local file header
+ */
+function findEntryData(fd, entry) {
+  const header = readAt(fd, entry.localHeaderOffset, 30);
+  if (header.readUInt32LE(0) !== LOCAL_HEADER_SIGNATURE) {
+    throw new Error(`Corrupt zip archive (bad local header for ${entry.name})`);
+  }
+  return entry.localHeaderOffset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+}
+
+/**
+ * Read and decompress a single zip entry into memory
+ * @param {string} zipPath - Path to the .zip file
+ * @param {Object} entry - Entry from listZipEntries()
+ * @returns {Buffer} Uncompressed contents
+ */
+function readZipEntry(zipPath, entry) {
+  const fd = fs.openSync(zipPath, 'r');
+
+  try {
+    const data = readAt(fd, findEntryData(fd, entry), entry.compressedSize);
+
+    if (entry.method === METHOD_STORED) return data;
+    if (entry.method === METHOD_DEFLATE) return zlib.inflateRawSync(data);
+
+    throw new Error(`Unsupported zip compression method ${entry.method} for ${entry.name}`);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Stream a single zip entry, decompressing as it is read
+ * @param {string} zipPath - Path to the .zip file
+ * @param {Object} entry - Entry from listZipEntries()
+ * @returns {import('stream').Readable} Uncompressed contents
+ */
+function createZipEntryStream(zipPath, entry) {
+  if (entry.method !== METHOD_STORED && entry.method !== METHOD_DEFLATE) {
+    throw new Error(`Unsupported zip compression method ${entry.method} for ${entry.name}`);
+  }
+
+  if (entry.compressedSize === 0) return Readable.from([]);
+
+  const fd = fs.openSync(zipPath, 'r');
+  let dataStart;
+  try {
+    dataStart = findEntryData(fd, entry);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  const data = fs.createReadStream(zipPath, {start: dataStart, end: dataStart + entry.compressedSize - 1});
+  if (entry.method === METHOD_STORED) return data;
+
+  // Pass read errors on to the consumer of the inflated stream
+  const inflate = zlib.createInflateRaw();
+  data.on('error', error => inflate.destroy(error));
+  return data.pipe(inflate);
+}
+
+export {listZipEntries, readZipEntry, createZipEntryStream};
@@ -0,0 +1,44 @@
+// Channel content profiles: risk level from flag rate, serious videos and blocklisted keywords
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+
+// channel-profile imports the database; buildContentProfile doesn't query it
+process.env.DATABASE_PATH = ':memory:';
+
+const {buildContentProfile} = await import('../src/lib/channel-profile.js');
+
+const CLEAN = {riskLevel: 'LOW', contentFlags: [], flaggedSeverity: 'NONE'};
+const FLAGGED = {riskLevel: 'MEDIUM', contentFlags: ['violence'], flaggedSeverity: 'MODERATE'};
+
+const analysesOf = (flagged, clean) => [...Array(flagged).fill(FLAGGED), ...Array(clean).fill(CLEAN)];
+
+test('flag rate thresholds set LOW, MEDIUM and HIGH', () => {
+  assert.equal(buildContentProfile(undefined, [], []).riskLevel, 'UNKNOWN');
+  assert.equal(buildContentProfile(undefined, analysesOf(0, 10), []).riskLevel, 'LOW');
+  assert.equal(buildContentProfile(undefined, analysesOf(1, 9), []).riskLevel, 'LOW');
+  assert.equal(buildContentProfile(undefined, analysesOf(2, 8), []).riskLevel, 'MEDIUM');
+  assert.equal(buildContentProfile(undefined, analysesOf(5, 5), []).riskLevel, 'HIGH');
+});
+
+test('one flagged video alone is not enough for HIGH', () => {
+  const profile = buildContentProfile(undefined, analysesOf(1, 0), []);
+
+  assert.equal(profile.flagRate, 1);
+  assert.equal(profile.riskLevel, 'MEDIUM');
+});
+
+test('a SEVERE or HIGH video keeps the channel at least MEDIUM', () => {
+  const severe = {...FLAGGED, flaggedSeverity: 'SEVERE'};
+  const high = {...FLAGGED, riskLevel: 'HIGH'};
+
+  assert.equal(buildContentProfile(undefined, [severe, ...analysesOf(0, 19)], []).riskLevel, 'MEDIUM');
+  assert.equal(buildContentProfile(undefined, [high, ...analysesOf(0, 19)], []).riskLevel, 'MEDIUM');
+});
+
+test('blocklisted channel keywords make the channel HIGH', () => {
+  const channel = {title: 'Daily Pranks', keywords: ['pranks', 'challenges'], madeForKids: false};
+  const profile = buildContentProfile(channel, analysesOf(0, 3), ['pranks']);
+
+  assert.equal(profile.riskLevel, 'HIGH');
+  assert.deepEqual(profile.blocklistMatches, ['pranks']);
+});
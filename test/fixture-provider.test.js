@@ -0,0 +1,63 @@
+// Fixture metadata provider: API resources and yt-dlp dumps come back as videos/channels rows
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import {fileURLToPath} from 'url';
+
+// Provider modules import the database; nothing here queries it
+process.env.DATABASE_PATH = ':memory:';
+
+const FIXTURE_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'metadata.json');
+const {createFixtureProvider} = await import('../src/lib/metadata-providers/fixture.js');
+
+test('fetchVideos converts API resources and yt-dlp dumps to rows', async () => {
+  const provider = createFixtureProvider(FIXTURE_FILE);
+  const {items, failedIds} = await provider.fetchVideos(['apiVideo001', 'dlpVideo002', 'missingVid3']);
+
+  assert.deepEqual(items.map(v => v.id), ['apiVideo001', 'dlpVideo002']);
+  assert.deepEqual(failedIds, []);
+
+  const [api, dlp] = items;
+  assert.equal(api.channelId, 'UCchannel00000000000001');
+  assert.equal(api.duration, 'PT12M30S');
+  assert.equal(api.hasCaption, true);
+  assert.equal(api.viewCount, 1500);
+  assert.equal(api.madeForKids, false);
+
+  assert.equal(dlp.channelTitle, 'Cat Corner');
+  assert.equal(dlp.categoryId, '15');
+  assert.equal(dlp.duration, 'PT45S');
+  assert.equal(dlp.publishedAt, '2026-08-15T00:00:00Z');
+  assert.equal('madeForKids' in dlp, false, 'yt-dlp rows leave out fields yt-dlp does not supply');
+  assert.equal('contentRating' in dlp, false, 'no age limit leaves the stored content rating alone');
+});
+
+test('fetchChannels returns known channels only', async () => {
+  const provider = createFixtureProvider(FIXTURE_FILE);
+  const {items} = await provider.fetchChannels(['UCchannel00000000000001', 'UCunknown']);
+
+  assert.equal(items.length, 1);
+  assert.equal(items[0].title, 'Block Builders');
+  assert.equal(items[0].viewCount, 9000000);
+  assert.equal(items[0].uploadsPlaylistId, 'UUchannel00000000000001');
+  assert.equal(items[0].country, 'US');
+  assert.deepEqual(items[0].keywords, ['minecraft', 'castle builds']);
+});
+
+test('fetchComments and fetchPlaylistVideos respect maxResults', async () => {
+  const provider = createFixtureProvider(FIXTURE_FILE);
+
+  const comments = await provider.fetchComments('apiVideo001', 1);
+  assert.equal(comments.length, 1);
+  assert.equal(comments[0].videoId, 'apiVideo001');
+  assert.equal(comments[0].text, 'Great castle!');
+  assert.equal(comments[0].replyCount, 1);
+  assert.deepEqual(await provider.fetchComments('dlpVideo002', 20), []);
+
+  const uploads = await provider.fetchPlaylistVideos('UUchannel00000000000001', 1);
+  assert.deepEqual(uploads.map(u => u.videoId), ['apiVideo001']);
+});
+
+test('a missing fixture file is an error', () => {
+  assert.throws(() => createFixtureProvider('/nonexistent/fixture.json'), /Metadata fixture file not found/);
+});
@@ -0,0 +1,41 @@
+// Streaming JSON array parser: elements split across arbitrary chunk boundaries
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {streamJsonArray} from '../src/lib/json-stream.js';
+
+const ELEMENTS = [
+  {title: 'Watched "quotes", [brackets] and {braces}', subtitles: [{name: 'a\\b'}]},
+  'plain string, with comma',
+  42,
+  true,
+  null,
+  [1, [2, {three: 3}]],
+];
+
+async function collect(chunks) {
+  const items = [];
+  for await (const item of streamJsonArray(chunks)) items.push(item);
+  return items;
+}
+
+function* splitAt(text, size) {
+  for (let i = 0; i < text.length; i += size) yield text.slice(i, i + size);
+}
+
+test('elements survive every chunk size', async () => {
+  const text = `[\n  ${ELEMENTS.map(e => JSON.stringify(e)).join(' ,\n  ')}\n]\n`;
+
+  for (let size = 1; size <= text.length; size++) {
+    assert.deepEqual(await collect(splitAt(text, size)), ELEMENTS, `chunk size ${size}`);
+  }
+});
+
+test('empty array yields nothing', async () => {
+  assert.deepEqual(await collect(['[', ' ', ']']), []);
+});
+
+test('input that is not a complete array is rejected', async () => {
+  await assert.rejects(collect(['{"title": "x"}']), /Expected a JSON array/);
+  await assert.rejects(collect(['']), /Expected a JSON array/);
+  await assert.rejects(collect(['[{"title": ', '"x"}']), /Unexpected end of JSON array/);
+});
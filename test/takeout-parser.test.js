@@ -0,0 +1,112 @@
+// Takeout parsers: localized HTML history, subscriptions and playlist CSVs
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import {fileURLToPath} from 'url';
+import {
+  parseActivityHtml,
+  parseTakeoutTimestamp,
+  parseCsv,
+  parseSubscriptionsCsv,
+  parsePlaylistCsvs
+} from '../src/lib/takeout-parser.js';
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+// Older export layout: one CSV per playlist, metadata block, blank line, then video rows
+const OLD_PLAYLIST_CSV = `Playlist Id,Channel Id,Time Created,Time Updated,Title,Description,Visibility
+PLold00001,UCme,2019-01-01T00:00:00+00:00,2019-02-01T00:00:00+00:00,"Songs, old",,Public
+
+Video Id,Time Added
+kJQP7kiw5Fk,2019-01-02T00:00:00+00:00
+`;
+
+test('German HTML export parses into the JSON entry shape', () => {
+  const entries = parseActivityHtml(fs.readFileSync(path.join(FIXTURES, 'watch-history.de.html'), 'utf-8'));
+
+  assert.deepEqual(entries, [
+    {
+      header: 'YouTube',
+      title: 'Angesehen: Kekse & Milch',
+      titleUrl: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ&t=42',
+      subtitles: [{name: 'Backkanal', url: 'https://www.youtube.com/channel/UCabc'}],
+      time: '2025-10-24T13:45:12.000Z',
+    },
+    {
+      header: 'YouTube',
+      title: 'Angesehen: Gangnam Style',
+      titleUrl: 'https://www.youtube.com/watch?v=9bZkp7q19f0',
+      subtitles: [{name: 'officialpsy', url: 'https://www.youtube.com/channel/UCxyz'}],
+      time: '2025-03-03T08:00:00.000Z',
+    },
+  ]);
+});
+
+test('localized month names and timezone abbreviations resolve to UTC', () => {
+  assert.equal(parseTakeoutTimestamp('Oct 24, 2025, 3:45:12 PM PDT'), '2025-10-24T22:45:12.000Z');
+  assert.equal(parseTakeoutTimestamp('24 de out. de 2025, 15:45:12 BRT'), '2025-10-24T18:45:12.000Z');
+  assert.equal(parseTakeoutTimestamp('12 févr. 2025, 10:00:00 UTC+01:00'), '2025-02-12T09:00:00.000Z');
+  assert.equal(parseTakeoutTimestamp('3 mrt. 2025, 09:00:00 CET'), '2025-03-03T08:00:00.000Z');
+});
+
+test('unparseable timestamps return null', () => {
+  assert.equal(parseTakeoutTimestamp('gestern'), null);
+  assert.equal(parseTakeoutTimestamp('Smarch 13, 2025, 10:00:00 UTC'), null);
+});
+
+test('quoted CSV fields keep commas, escaped quotes and line breaks', () => {
+  assert.deepEqual(parseCsv('a,"b, ""c""",d\r\n"multi\nline",,\n'), [
+    ['a', 'b, "c"', 'd'],
+    ['multi\nline', '', ''],
+  ]);
+});
+
+test('subscriptions CSV reads quoted channel titles', () => {
+  const subscriptions = parseSubscriptionsCsv(fs.readFileSync(path.join(FIXTURES, 'subscriptions.csv'), 'utf-8'));
+
+  assert.deepEqual(subscriptions, [
+    {channelId: 'UCabc', channelUrl: 'http://www.youtube.com/channel/UCabc', channelTitle: 'Baking, Together'},
+    {channelId: 'UCxyz', channelUrl: 'http://www.youtube.com/channel/UCxyz', channelTitle: 'The "Real" PSY'},
+  ]);
+});
+
+test('current playlist layout matches video files to quoted playlist titles', () => {
+  const dir = path.join(FIXTURES, 'playlists');
+  const files = fs.readdirSync(dir).sort().map(name => ({name, content: fs.readFileSync(path.join(dir, name), 'utf-8')}));
+
+  assert.deepEqual(parsePlaylistCsvs(files), [
+    {
+      playlistId: 'PLroadtrip01',
+      title: 'Road trip, summer 2025',
+      createdAt: '2025-06-01T10:00:00+00:00',
+      updatedAt: '2025-06-02T10:00:00+00:00',
+      visibility: 'Private',
+      videos: [
+        {videoId: 'dQw4w9WgXcQ', addedAt: '2025-06-01T10:05:00+00:00'},
+        {videoId: '9bZkp7q19f0', addedAt: '2025-06-01T10:06:00+00:00'},
+      ],
+    },
+    {
+      playlistId: null,
+      title: 'Watch later',
+      createdAt: null,
+      updatedAt: null,
+      visibility: null,
+      videos: [{videoId: 'kJQP7kiw5Fk', addedAt: '2025-07-04T12:00:00+00:00'}],
+    },
+  ]);
+});
+
+test('older playlist layout reads the metadata block before the videos', () => {
+  const [playlist] = parsePlaylistCsvs([{name: 'Songs old.csv', content: OLD_PLAYLIST_CSV}]);
+
+  assert.deepEqual(playlist, {
+    playlistId: 'PLold00001',
+    title: 'Songs, old',
+    createdAt: '2019-01-01T00:00:00+00:00',
+    updatedAt: '2019-02-01T00:00:00+00:00',
+    visibility: 'Public',
+    videos: [{videoId: 'kJQP7kiw5Fk', addedAt: '2019-01-02T00:00:00+00:00'}],
+  });
+});
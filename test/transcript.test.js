@@ -0,0 +1,56 @@
+// Caption parsing: YouTube auto-caption VTT and manual SRT
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {parseCaptions} from '../src/lib/transcript.js';
+
+const SPACE = ' ';
+
+// YouTube auto-caption VTT: each cue's first line is a single space, and a 10ms cue repeats the line before it rolls
+const AUTO_VTT = `WEBVTT
+Kind: captions
+Language: en
+
+00:00:00.000 --> 00:00:02.000 align:start position:0%
+${SPACE}
+hello<00:00:00.500><c> everyone</c>
+
+00:00:02.000 --> 00:00:02.010 align:start position:0%
+hello everyone
+${SPACE}
+
+00:00:02.010 --> 00:00:04.000 align:start position:0%
+hello everyone
+today<00:00:02.500><c> we</c><00:00:03.000><c> build</c>
+`;
+
+const MANUAL_SRT = `1
+00:00:01,000 --> 00:00:03,000
+Let it go
+
+2
+00:00:03,000 --> 00:00:05,000
+Let it go
+`;
+
+test('auto-caption VTT keeps every spoken line at the time it starts', () => {
+  const {cues, text} = parseCaptions(AUTO_VTT, {rolling: true});
+
+  assert.deepEqual(cues, [
+    {startMs: 0, endMs: 2000, text: 'hello everyone'},
+    {startMs: 2010, endMs: 4000, text: 'today we build'},
+  ]);
+  assert.equal(text, 'hello everyone today we build');
+});
+
+test('manual captions keep lines repeated on purpose', () => {
+  const {text} = parseCaptions(MANUAL_SRT);
+
+  assert.equal(text, 'Let it go Let it go');
+});
+
+test('rolling captions keep a line repeated after a pause', () => {
+  const srt = MANUAL_SRT.replace('00:00:03,000 --> 00:00:05,000', '00:00:04,000 --> 00:00:06,000');
+
+  assert.equal(parseCaptions(srt, {rolling: true}).text, 'Let it go Let it go');
+  assert.equal(parseCaptions(MANUAL_SRT, {rolling: true}).text, 'Let it go');
+});
@@ -0,0 +1,39 @@
+// Zip reader: stored, deflated and zip64 Takeout archives
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import {fileURLToPath} from 'url';
+import {listZipEntries, readZipEntry} from '../src/lib/zip-reader.js';
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+const HISTORY_ENTRY = 'Takeout/YouTube and YouTube Music/history/watch-history.json';
+const SUBSCRIPTIONS_ENTRY = 'Takeout/YouTube and YouTube Music/subscriptions/subscriptions.csv';
+
+for (const [file, method] of [['stored.zip', 0], ['deflated.zip', 8]]) {
+  test(`${file} lists files (not directories) and reads them back`, () => {
+    const zipPath = path.join(FIXTURES, file);
+    const entries = listZipEntries(zipPath);
+
+    assert.deepEqual(entries.map(e => e.name), [HISTORY_ENTRY, SUBSCRIPTIONS_ENTRY]);
+    assert.ok(entries.every(e => e.method === method));
+
+    const history = JSON.parse(readZipEntry(zipPath, entries[0]).toString('utf-8'));
+    assert.equal(history[0].titleUrl, 'https://www.youtube.com/watch?v=dQw4w9WgXcQ');
+    assert.match(readZipEntry(zipPath, entries[1]).toString('utf-8'), /"Baking, Together"/);
+  });
+}
+
+test('zip64 archive takes sizes and offsets from the zip64 records', () => {
+  const zipPath = path.join(FIXTURES, 'zip64.zip');
+  const [entry, ...rest] = listZipEntries(zipPath);
+
+  assert.equal(rest.length, 0);
+  assert.equal(entry.name, HISTORY_ENTRY);
+  assert.equal(entry.localHeaderOffset, 0);
+  assert.equal(entry.size, 147);
+  assert.ok(entry.compressedSize < entry.size);
+
+  const history = JSON.parse(readZipEntry(zipPath, entry).toString('utf-8'));
+  assert.equal(history[0].title, 'Watched Cookies & Milk');
+});